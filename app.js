@@ -5,10 +5,23 @@
 
 const App = {
     // State
-    chatData: null,
+    chatData: null,           // parsedChatData with participant names applied
+    parsedChatData: null,     // names as they appear in the export
     chatName: '',
-    mediaFiles: new Map(),
+    chatExports: [],
+    dateOrderOverride: null,
+    encodingOverride: null,   // forced text encoding for chat files (null = detect)
+    timeZoneOverride: null,   // zone the export was written in (null = suggested)
+    displayTimeZone: null,    // zone to show times in (null = same as the export)
+    identityOverrides: new Map(), // participant name -> name typed in the Names panel
+    identities: new Map(),    // participant name -> { name, source } currently applied
+    contactBook: null,        // phone digits -> name, from an imported contacts file
+    mediaLinks: new Map(),    // message id -> { filename, key } linked in the Attachments panel
+    imageTexts: new Map(),    // media key -> text read from the image ('' for none)
+    imageTextRun: null,       // { stopped } while images are being read
+    mediaFiles: new Map(), // filename -> media handle (bytes stay in MediaStore)
     exporterInfo: null,
+    cancelParse: null,
     
     // DOM elements
     elements: {},
@@ -38,6 +51,11 @@ const App = {
             fileInputSingle: document.getElementById('fileInputSingle'),
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingText: document.getElementById('loadingText'),
+            loadingProgress: document.getElementById('loadingProgress'),
+            loadingProgressBar: document.getElementById('loadingProgressBar'),
+            parseProgress: document.getElementById('parseProgress'),
+            parseProgressBar: document.getElementById('parseProgressBar'),
+            messagesContainer: document.getElementById('messagesContainer'),
             messagesList: document.getElementById('messagesList'),
             searchInput: document.getElementById('searchInput'),
             themeToggle: document.getElementById('themeToggle'),
@@ -49,13 +67,46 @@ const App = {
             closeDatePicker: document.getElementById('closeDatePicker'),
             jumpDateInput: document.getElementById('jumpDateInput'),
             jumpToDateBtn: document.getElementById('jumpToDateBtn'),
+            chatChooserModal: document.getElementById('chatChooserModal'),
+            chatChooserHint: document.getElementById('chatChooserHint'),
+            chatChooserList: document.getElementById('chatChooserList'),
+            chatChooserOpen: document.getElementById('chatChooserOpen'),
+            closeChatChooser: document.getElementById('closeChatChooser'),
             currentUserSelect: document.getElementById('currentUserSelect'),
             dateFilterStart: document.getElementById('dateFilterStart'),
             dateFilterEnd: document.getElementById('dateFilterEnd'),
             dateFilterClear: document.getElementById('dateFilterClear'),
+            dateOrderSection: document.getElementById('dateOrderSection'),
+            dateOrderSelect: document.getElementById('dateOrderSelect'),
+            dateOrderHint: document.getElementById('dateOrderHint'),
+            encodingSection: document.getElementById('encodingSection'),
+            encodingSelect: document.getElementById('encodingSelect'),
+            encodingHint: document.getElementById('encodingHint'),
+            timeZoneSelect: document.getElementById('timeZoneSelect'),
+            timeZoneHint: document.getElementById('timeZoneHint'),
+            displayTimeZoneSelect: document.getElementById('displayTimeZoneSelect'),
+            membersOnDate: document.getElementById('membersOnDate'),
+            identitiesSection: document.getElementById('identitiesSection'),
+            identitiesList: document.getElementById('identitiesList'),
+            identitiesStatus: document.getElementById('identitiesStatus'),
+            exporterHint: document.getElementById('exporterHint'),
+            importContactsBtn: document.getElementById('importContactsBtn'),
+            resetIdentitiesBtn: document.getElementById('resetIdentitiesBtn'),
+            contactsInput: document.getElementById('contactsInput'),
+            attachmentsSection: document.getElementById('attachmentsSection'),
+            attachmentsSummary: document.getElementById('attachmentsSummary'),
+            attachmentsGroups: document.getElementById('attachmentsGroups'),
+            resetMediaLinksBtn: document.getElementById('resetMediaLinksBtn'),
             // Export options
             includeAttachments: document.getElementById('includeAttachments'),
-            includeImageGallery: document.getElementById('includeImageGallery')
+            includeImageGallery: document.getElementById('includeImageGallery'),
+            includeVideoStills: document.getElementById('includeVideoStills'),
+            includeParseReport: document.getElementById('includeParseReport'),
+            neutralExport: document.getElementById('neutralExport'),
+            neutralView: document.getElementById('neutralView'),
+            recognizeImageText: document.getElementById('recognizeImageText'),
+            imageTextStatus: document.getElementById('imageTextStatus'),
+            participantsSection: document.getElementById('participantsSection')
         };
     },
 
@@ -176,6 +227,31 @@ const App = {
             });
         }
         
+        if (this.elements.includeVideoStills) {
+            this.elements.includeVideoStills.addEventListener('change', (e) => {
+                ChatExporter.exportOptions.includeVideoStills = e.target.checked;
+            });
+        }
+        
+        if (this.elements.includeParseReport) {
+            this.elements.includeParseReport.addEventListener('change', (e) => {
+                ChatExporter.exportOptions.includeParseReport = e.target.checked;
+            });
+        }
+        
+        if (this.elements.neutralExport) {
+            this.elements.neutralExport.addEventListener('change', (e) => {
+                ChatExporter.exportOptions.layout = e.target.checked ? 'neutral' : 'pov';
+            });
+        }
+        
+        // Neutral transcript: no POV in the view (exports follow unless changed there)
+        if (this.elements.neutralView) {
+            this.elements.neutralView.addEventListener('change', (e) => {
+                this.setLayout(e.target.checked ? 'neutral' : 'pov');
+            });
+        }
+        
         // Search
         let searchTimeout;
         this.elements.searchInput.addEventListener('input', (e) => {
@@ -185,6 +261,17 @@ const App = {
             }, 300);
         });
         
+        // Text in images (OCR) for search and the PDF
+        if (this.elements.recognizeImageText) {
+            this.elements.recognizeImageText.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.recognizeImages();
+                } else {
+                    this.stopRecognizingImages();
+                }
+            });
+        }
+        
         // Date picker
         this.elements.jumpToDate.addEventListener('click', () => {
             this.elements.datePickerModal.style.display = 'flex';
@@ -219,6 +306,77 @@ const App = {
             this.elements.dateFilterClear.addEventListener('click', () => this.clearDateFilter());
         }
         
+        // Membership history - members on a given day
+        if (this.elements.membersOnDate) {
+            this.elements.membersOnDate.addEventListener('change', (e) => {
+                ChatRenderer.renderMembershipPanel(this.chatData.roster, e.target.value || null);
+            });
+        }
+        
+        // Manual date order override (re-parses the chat)
+        if (this.elements.dateOrderSelect) {
+            this.elements.dateOrderSelect.addEventListener('change', (e) => {
+                this.dateOrderOverride = e.target.value || null;
+                this.reparse();
+            });
+        }
+        
+        // Manual text encoding (re-decodes and re-parses the chat files)
+        if (this.elements.encodingSelect) {
+            ChatEncoding.ENCODINGS.forEach(({ value, label }) => {
+                this.elements.encodingSelect.appendChild(new Option(label, value));
+            });
+            this.elements.encodingSelect.addEventListener('change', (e) => {
+                this.encodingOverride = e.target.value || null;
+                // Databases are binary - only text exports are re-decoded
+                this.reparse(() => this.chatExports.map(chatExport => chatExport.encoding ? {
+                    ...chatExport,
+                    ...ChatEncoding.read(chatExport.bytes, this.encodingOverride)
+                } : chatExport));
+            });
+        }
+        
+        // Source time zone (re-parses the chat) and display time zone (re-formats only)
+        if (this.elements.timeZoneSelect) {
+            this.populateTimeZoneSelect(this.elements.timeZoneSelect, 'Suggested');
+            this.elements.timeZoneSelect.addEventListener('change', (e) => {
+                this.timeZoneOverride = e.target.value || null;
+                this.reparse();
+            });
+        }
+        
+        if (this.elements.displayTimeZoneSelect) {
+            this.populateTimeZoneSelect(this.elements.displayTimeZoneSelect, 'Same as chat');
+            this.elements.displayTimeZoneSelect.addEventListener('change', (e) => {
+                this.displayTimeZone = e.target.value || null;
+                this.applyDisplayTimeZone();
+            });
+        }
+        
+        // Participant names: contacts file and reset (renames are bound per row)
+        if (this.elements.importContactsBtn) {
+            this.elements.importContactsBtn.addEventListener('click', () => {
+                this.elements.contactsInput.click();
+            });
+            this.elements.contactsInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.importContacts(e.target.files[0]);
+                e.target.value = '';
+            });
+            this.elements.resetIdentitiesBtn.addEventListener('click', () => {
+                this.identityOverrides = new Map();
+                this.contactBook = null;
+                this.updateIdentities();
+            });
+        }
+        
+        // Attachment links made by hand (re-linking is bound per row)
+        if (this.elements.resetMediaLinksBtn) {
+            this.elements.resetMediaLinksBtn.addEventListener('click', () => {
+                this.mediaLinks = new Map();
+                this.updateMediaLinks();
+            });
+        }
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -338,16 +496,39 @@ const App = {
         this.showLoading('Reading files...');
         
         try {
-            // Check if there's a ZIP file
-            const zipFile = fileArray.find(f => f.name.toLowerCase().endsWith('.zip'));
+            MediaStore.clear();
             
-            if (zipFile) {
-                await this.processZipFile(zipFile);
-            } else {
-                // Handle folder/multiple files upload
-                await this.processMultipleFiles(fileArray);
+            // Every ZIP is one export; loose chat files are one export each.
+            // Media from all of them goes into one pool, so an export without
+            // media can still show files that came with another one.
+            const zipFiles = fileArray.filter(f => f.name.toLowerCase().endsWith('.zip'));
+            const databaseFiles = fileArray.filter(f => ChatDatabase.isDatabaseFile(f.name));
+            const looseFiles = fileArray.filter(f => !zipFiles.includes(f) && !databaseFiles.includes(f));
+            
+            const chatExports = [];
+            for (const databaseFile of databaseFiles) {
+                chatExports.push(...await this.processDatabaseFile(databaseFile));
+            }
+            for (const zipFile of zipFiles) {
+                chatExports.push(...await this.processZipFile(zipFile));
+            }
+            chatExports.push(...await this.processMultipleFiles(looseFiles));
+            this.mediaFiles = MediaStore.handles();
+            
+            if (chatExports.length === 0) {
+                throw new Error('No chat selected. Please include _chat.txt, a .txt file, a Telegram result.json or a WhatsApp database.');
             }
+            
+            console.log('Media files loaded:', Array.from(this.mediaFiles.keys()));
+            
+            this.chatName = chatExports[0].label;
+            await this.parseAndRender(chatExports);
         } catch (error) {
+            if (error.cancelled) {
+                console.log(`🚫 ${error.message}`);
+                this.hideLoading();
+                return;
+            }
             console.error('Error processing files:', error);
             alert(`Error: ${error.message}`);
             this.hideLoading();
@@ -355,17 +536,15 @@ const App = {
     },
 
     /**
-     * Process a ZIP file
+     * Process a ZIP file - registers its media and returns its chat text.
+     * Every possible chat file is scored; the ones that are not the chat become attachments.
+     * @returns {Promise<Array<Object>>} Exports [{ label, importer, bytes, content, encoding }]
      */
     async processZipFile(file) {
-        this.showLoading('Extracting ZIP archive...');
+        this.showLoading(`Extracting ${file.name}...`);
         
         const zip = await JSZip.loadAsync(file);
-        let chatContent = null;
-        this.mediaFiles = new Map();
-        
-        // Extract chat name from ZIP filename
-        this.chatName = file.name.replace('.zip', '').replace('WhatsApp Chat - ', '');
+        const zipLabel = file.name.replace('.zip', '').replace('WhatsApp Chat - ', '');
         
         // First pass: collect all filenames for debugging
         const allFiles = [];
@@ -378,27 +557,21 @@ const App = {
         
         // Process all files in the ZIP
         const filePromises = [];
+        const textEntries = [];
         
         zip.forEach((relativePath, zipEntry) => {
             if (zipEntry.dir) return;
             
             const filename = relativePath.split('/').pop();
             
-            if (filename === '_chat.txt' || filename.endsWith('.txt')) {
-                filePromises.push(
-                    zipEntry.async('string').then(content => {
-                        if (!chatContent || filename === '_chat.txt') {
-                            chatContent = content;
-                        }
-                    })
-                );
-            } else if (this.isMediaFile(filename)) {
+            if (ChatImporters.isCandidate(filename)) {
+                textEntries.push({ filename, zipEntry });
+            } else if (this.isMediaFile(filename) && !MediaStore.has(filename)) {
+                // Extracted only when displayed or exported
                 filePromises.push(
-                    zipEntry.async('base64').then(data => {
-                        const mimeType = this.getMimeType(filename);
-                        const dataUrl = `data:${mimeType};base64,${data}`;
-                        this.mediaFiles.set(filename, dataUrl);
-                        console.log(`Loaded media: ${filename}`);
+                    MediaStore.add(filename, {
+                        mimeType: this.getMimeType(filename),
+                        load: () => zipEntry.async('blob')
                     })
                 );
             }
@@ -406,83 +579,321 @@ const App = {
         
         await Promise.all(filePromises);
         
-        console.log('Media files loaded:', Array.from(this.mediaFiles.keys()));
+        const candidates = [];
+        for (const { filename, zipEntry } of textEntries) {
+            const bytes = await zipEntry.async('uint8array');
+            candidates.push(this.readChatCandidate(filename, bytes, () => zipEntry.async('blob')));
+        }
         
-        if (!chatContent) {
-            throw new Error('No chat text file found in the ZIP archive');
+        const chats = await this.pickChatFiles(file.name, candidates, true);
+        if (chats.length === 0) {
+            throw new Error(`No chat text file found in the ZIP archive ${file.name}`);
         }
         
-        this.showLoading('Parsing chat messages...');
-        await this.parseAndRender(chatContent);
+        // Raw bytes are kept so a different encoding can be tried later
+        return chats.map(chat => ({
+            // Chat name from the export itself, else the ZIP filename (and the .txt when there are several)
+            label: chat.score.title ||
+                (chats.length > 1 ? `${zipLabel} - ${this.getChatNameFromFilename(chat.filename)}` : zipLabel),
+            importer: chat.importer,
+            bytes: chat.bytes,
+            content: chat.content,
+            encoding: chat.encoding
+        }));
     },
 
     /**
-     * Process multiple files (folder upload)
+     * Open a decrypted WhatsApp database (msgstore.db / ChatStorage.sqlite)
+     * and let the user pick the chat to show. Media comes from the other
+     * dropped files, as with .txt exports.
+     * @returns {Promise<Array<Object>>} Exports [{ label, importer, bytes, content, encoding: null, importerOptions }]
+     */
+    async processDatabaseFile(file) {
+        this.showLoading(`Opening ${file.name}...`);
+        
+        const bytes = await this.readFileAsBytes(file);
+        const { chats } = await ChatDatabase.listChats(bytes);
+        if (chats.length === 0) {
+            throw new Error(`${file.name} is not a WhatsApp message database`);
+        }
+        
+        const chosen = chats.length > 1
+            ? await this.showChatChooser(file.name, chats, {
+                hint: `${file.name} contains ${chats.length} chats. Pick the one to open.`,
+                single: true,
+                describe: chat => ({
+                    name: chat.name,
+                    detail: `${chat.messageCount.toLocaleString()} messages${chat.isGroup ? ' · group' : ''}`
+                })
+            })
+            : chats;
+        
+        return chosen.map(chat => ({
+            label: chat.name,
+            importer: ChatDatabase.id,
+            bytes,
+            content: bytes,
+            encoding: null,
+            importerOptions: { chatId: chat.id }
+        }));
+    },
+
+    /**
+     * Process loose files (folder upload or multi-select) - registers media
+     * and returns the chat exports. A folder holding several transcripts gets
+     * the chat chooser; chat files picked one by one are all taken as exports.
+     * @returns {Promise<Array<Object>>} Exports [{ label, importer, bytes, content, encoding }]
      */
     async processMultipleFiles(files) {
-        this.showLoading('Processing files...');
+        if (files.length === 0) return [];
         
-        let chatContent = null;
-        this.mediaFiles = new Map();
+        this.showLoading('Processing files...');
+        console.log('Processing files:', files.map(f => f.name));
         
-        // Find text file first
-        const txtFile = files.find(f => f.name.endsWith('.txt'));
+        const folders = new Map(); // folder path ('' for picked files) -> candidates
         
-        if (!txtFile) {
-            throw new Error('No chat text file found. Please include _chat.txt or a .txt file.');
+        for (const file of files) {
+            if (ChatImporters.isCandidate(file.name)) {
+                const folder = (file.webkitRelativePath || '').split('/').slice(0, -1).join('/');
+                const candidate = this.readChatCandidate(file.name, await this.readFileAsBytes(file), async () => file);
+                candidate.file = file;
+                if (!folders.has(folder)) folders.set(folder, []);
+                folders.get(folder).push(candidate);
+            } else if (this.isMediaFile(file.name) && !MediaStore.has(file.name)) {
+                // Read only when displayed or exported
+                await MediaStore.add(file.name, {
+                    mimeType: this.getMimeType(file.name),
+                    size: file.size,
+                    load: async () => file
+                });
+            }
         }
         
-        // Extract chat name - try to use folder name from webkitRelativePath if available
-        if (txtFile.webkitRelativePath) {
-            // Extract folder name from path (e.g., "WhatsApp Chat - Name/_chat.txt" -> "WhatsApp Chat - Name")
-            const pathParts = txtFile.webkitRelativePath.split('/');
-            if (pathParts.length > 1) {
-                this.chatName = pathParts[0].replace('WhatsApp Chat - ', '');
-            } else {
-                this.chatName = txtFile.name.replace('.txt', '').replace('_chat', '') || 'WhatsApp Chat';
-            }
-        } else {
-            // Fallback to filename-based extraction
-            this.chatName = txtFile.name.replace('.txt', '').replace('_chat', '').replace('WhatsApp Chat - ', '') || 'WhatsApp Chat';
+        const chatExports = [];
+        for (const [folder, candidates] of folders) {
+            const chats = await this.pickChatFiles(folder || 'the selected files', candidates, folder !== '');
+            chats.forEach(chat => {
+                // Several transcripts from one folder would all get the folder name
+                const label = this.getChatNameForFile(chat.file);
+                chatExports.push({
+                    label: chat.score.title ||
+                        (folder && chats.length > 1 ? `${label} - ${this.getChatNameFromFilename(chat.filename)}` : label),
+                    importer: chat.importer,
+                    bytes: chat.bytes,
+                    content: chat.content,
+                    encoding: chat.encoding
+                });
+                console.log('Loaded chat text:', chat.filename);
+            });
         }
         
-        // Read all files
-        console.log('Processing files:', files.map(f => f.name));
+        return chatExports;
+    },
+
+    /**
+     * Decode a possible chat file and ask the importers whether it is a chat
+     * @param {string} filename
+     * @param {Uint8Array} bytes
+     * @param {Function} load - Returns a Promise for the file's Blob (if it turns out to be an attachment)
+     * @returns {Object} { filename, bytes, content, encoding, importer, score, load }
+     */
+    readChatCandidate(filename, bytes, load) {
+        const { content, encoding } = ChatEncoding.read(bytes, this.encodingOverride);
+        const { importer, score } = ChatImporters.detect(filename, content);
+        console.log(`📄 ${filename}: ${score.summary}${score.isChat ? ` (${importer.name} chat)` : ''}`);
+        return { filename, bytes, content, encoding, importer: importer && importer.id, score, load };
+    },
+
+    /**
+     * Decide which candidate files from one archive or folder are chats. The rest
+     * are registered as attachments (someone may have shared a .txt document).
+     * @param {string} sourceName - ZIP or folder name, for the chooser
+     * @param {Array<Object>} candidates - From readChatCandidate
+     * @param {boolean} askIfSeveral - Show the chooser when several files look like chats
+     * @returns {Promise<Array<Object>>} The chosen candidates
+     */
+    async pickChatFiles(sourceName, candidates, askIfSeveral) {
+        // iOS always names the transcript _chat.txt; otherwise most messages first
+        const ranked = candidates
+            .filter(candidate => candidate.score.isChat)
+            .sort((a, b) => (b.filename === '_chat.txt') - (a.filename === '_chat.txt') ||
+                b.score.messageLines - a.score.messageLines);
+        
+        let chosen = ranked;
+        if (ranked.length === 0 && candidates.length > 0) {
+            // Nothing looks like a chat (odd format or encoding) - try the best one
+            // anyway so the parse report can show what went wrong
+            chosen = [candidates.slice().sort((a, b) =>
+                (b.filename === '_chat.txt') - (a.filename === '_chat.txt') ||
+                b.score.messageLines - a.score.messageLines)[0]];
+        } else if (ranked.length > 1 && askIfSeveral) {
+            chosen = await this.showChatChooser(sourceName, ranked);
+        }
         
-        for (const file of files) {
-            if (file.name.endsWith('.txt')) {
-                chatContent = await this.readFileAsText(file);
-                console.log('Loaded chat text:', file.name);
-            } else if (this.isMediaFile(file.name)) {
-                const dataUrl = await this.readFileAsDataURL(file);
-                this.mediaFiles.set(file.name, dataUrl);
-                console.log('Loaded media file:', file.name);
-            }
+        for (const candidate of candidates) {
+            if (chosen.includes(candidate) || MediaStore.has(candidate.filename)) continue;
+            await MediaStore.add(candidate.filename, {
+                mimeType: this.getMimeType(candidate.filename),
+                size: candidate.bytes.length,
+                load: candidate.load
+            });
         }
         
-        console.log('Total media files loaded:', this.mediaFiles.size);
-        console.log('Media filenames:', Array.from(this.mediaFiles.keys()));
+        return chosen;
+    },
+
+    /**
+     * Let the user pick which transcripts to open when one archive or folder
+     * holds several. Picking more than one merges them.
+     * @param {string} sourceName - ZIP or folder name
+     * @param {Array<Object>} chats - Candidates, best first (pre-selected)
+     * @param {Object} chooser - Overrides for other kinds of lists (optional)
+     * @param {string} chooser.hint - Text above the list
+     * @param {boolean} chooser.single - Allow only one choice
+     * @param {Function} chooser.describe - chat -> { name, detail }
+     * @returns {Promise<Array<Object>>} Selected candidates - rejects with an error
+     *   flagged `cancelled` when the chooser is closed
+     */
+    showChatChooser(sourceName, chats, chooser = {}) {
+        const { chatChooserModal, chatChooserHint, chatChooserList, chatChooserOpen, closeChatChooser } = this.elements;
+        const describe = chooser.describe || (chat => ({
+            name: chat.filename,
+            detail: `${chat.score.summary} · ${ChatEncoding.getLabel(chat.encoding.encoding)}`
+        }));
+        
+        chatChooserHint.textContent = chooser.hint || `${sourceName} contains ${chats.length} chat transcripts. ` +
+            'Pick one, or several exports of the same chat to merge them.';
+        
+        chatChooserList.innerHTML = '';
+        const checkboxes = chats.map((chat, index) => {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            const { name: chatName, detail: chatDetail } = describe(chat);
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = chooser.single ? 'radio' : 'checkbox';
+            checkbox.name = 'chatChoice';
+            checkbox.checked = index === 0;
+            
+            const name = document.createElement('span');
+            name.className = 'chat-chooser-name';
+            name.textContent = chatName;
+            
+            const detail = document.createElement('span');
+            detail.className = 'chat-chooser-detail';
+            detail.textContent = chatDetail;
+            
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            label.appendChild(detail);
+            li.appendChild(label);
+            chatChooserList.appendChild(li);
+            return checkbox;
+        });
         
-        if (!chatContent) {
-            throw new Error('No chat text file found');
+        this.hideLoading();
+        chatChooserModal.style.display = 'flex';
+        
+        return new Promise((resolve, reject) => {
+            const close = () => {
+                chatChooserModal.style.display = 'none';
+                chatChooserOpen.onclick = null;
+                closeChatChooser.onclick = null;
+            };
+            chatChooserOpen.onclick = () => {
+                close();
+                this.showLoading('Processing files...');
+                resolve(chats.filter((chat, index) => checkboxes[index].checked));
+            };
+            // Closing cancels the whole upload - nothing is opened or registered as media
+            closeChatChooser.onclick = () => {
+                close();
+                const error = new Error(`Opening ${sourceName} was cancelled`);
+                error.cancelled = true;
+                reject(error);
+            };
+        });
+    },
+
+    /**
+     * Chat name from a transcript filename, e.g. "WhatsApp Chat with Anna.txt" -> "Anna"
+     */
+    getChatNameFromFilename(filename) {
+        return filename
+            .replace(/\.txt$/i, '')
+            .replace(/^WhatsApp Chat (?:with|-)\s*/i, '')
+            .replace('_chat', '') || 'WhatsApp Chat';
+    },
+
+    /**
+     * Chat name for a loose .txt file - its folder name if it came from a
+     * folder upload, otherwise the filename
+     */
+    getChatNameForFile(txtFile) {
+        if (txtFile.webkitRelativePath) {
+            // Extract folder name from path (e.g., "WhatsApp Chat - Name/_chat.txt" -> "WhatsApp Chat - Name")
+            const pathParts = txtFile.webkitRelativePath.split('/');
+            if (pathParts.length > 1) {
+                return pathParts[pathParts.length - 2].replace('WhatsApp Chat - ', '');
+            }
+            return txtFile.name.replace('.txt', '').replace('_chat', '') || 'WhatsApp Chat';
         }
         
-        await this.parseAndRender(chatContent);
+        // Fallback to filename-based extraction
+        return this.getChatNameFromFilename(txtFile.name);
     },
 
     /**
-     * Parse chat content and render UI
+     * Parse chat exports and render UI
+     * @param {Array<Object>} chatExports - [{ label, bytes, content, encoding }]; several
+     *   exports of the same chat are merged into one timeline
      */
-    async parseAndRender(chatContent) {
-        this.showLoading('Parsing messages...');
+    async parseAndRender(chatExports) {
+        this.showLoading('Parsing messages...', 0);
         
         // Debug: show what media files we have
         console.log('Available media files for parsing:', Array.from(this.mediaFiles.keys()));
         
-        // Parse the chat
-        this.chatData = WhatsAppParser.parse(chatContent, this.mediaFiles);
+        // Keep the raw text so the chat can be re-parsed with different options
+        this.chatExports = chatExports;
+        const options = {
+            dateOrder: this.dateOrderOverride,
+            timeZone: this.timeZoneOverride,
+            displayTimeZone: this.displayTimeZone
+        };
+        
+        // Parse the chat. For a single export the first batch opens the chat
+        // screen so large chats can be read while the rest is still parsing.
+        let streaming = false;
+        const chatData = chatExports.length > 1
+            ? await this.parseAndMerge(chatExports, options)
+            : await this.runParser(chatExports[0], options, (messages, progress) => {
+                if (streaming) {
+                    ChatRenderer.appendMessages('messagesList', messages);
+                } else if (messages.length > 0) {
+                    streaming = true;
+                    this.showStreamingChat(messages);
+                } else {
+                    this.showLoading('Parsing messages...', progress);
+                    return;
+                }
+                this.updateParseProgress(progress);
+            });
+        
+        // Cancelled by a newer parse or by going back to the upload screen
+        if (!chatData) return;
+        this.parsedChatData = chatData;
+        this.chatData = this.applyCorrections(chatData);
+        
+        // A worker parse formatted the times; later formatting here must match
+        WhatsAppParser.setDisplayTimeZone(chatData.displayTimeZone);
+        
+        // Keep the reader's place when replacing the streamed messages
+        const scrollTop = streaming ? this.elements.messagesContainer.scrollTop : null;
         
         console.log(`📱 Export format detected: ${this.chatData.exportFormat || 'unknown'}`);
+        console.log(`🌐 Export language: ${this.chatData.locale}`);
+        console.log(`🕐 Time zone: ${this.chatData.timeZone.zone}, shown in ${this.chatData.displayTimeZone}`);
         console.log(`Parsed ${this.chatData.messages.length} messages`);
         console.log(`Found ${this.chatData.participants.length} participants`);
         console.log(`Media files available: ${this.mediaFiles.size}`);
@@ -498,47 +909,245 @@ const App = {
         
         // Populate participant selector
         this.populateParticipantSelector();
+        this.renderIdentitiesPanel();
+        this.renderAttachmentsPanel();
+        
+        // Offer date order override when detection was unsure
+        this.updateDateOrderControl();
+        this.updateEncodingControl();
+        this.updateTimeZoneControl();
+        
+        // Membership history panel (groups only)
+        if (this.elements.membersOnDate) this.elements.membersOnDate.value = '';
+        ChatRenderer.renderMembershipPanel(this.chatData.roster);
+        
+        // What came from which export (merged chats only)
+        ChatRenderer.renderSourcesPanel(this.chatData);
         
         // Update UI
         ChatRenderer.updateChatInfo(this.chatData, this.chatName);
         ChatRenderer.renderMessages('messagesList', this.chatData);
         
-        // Set date picker min/max
-        if (this.chatData.stats.firstDate) {
-            const firstDateStr = this.formatDateForInput(this.chatData.stats.firstDate);
-            const lastDateStr = this.formatDateForInput(this.chatData.stats.lastDate);
+        // What the parser skipped or guessed
+        ChatRenderer.renderParseReport(this.chatData);
+        this.updateDateInputLimits();
+        
+        // Show chat section, show header
+        this.elements.uploadSection.style.display = 'none';
+        this.elements.chatSection.style.display = 'flex';
+        if (this.elements.mainHeader) {
+            this.elements.mainHeader.style.display = 'flex';
+        }
+        
+        if (scrollTop !== null) {
+            this.elements.messagesContainer.scrollTop = scrollTop;
+        }
+        this.updateParseProgress(null);
+        
+        this.hideLoading();
+    },
+
+    /**
+     * Re-parse the open chat after an option changed, reporting failures as handleFiles does
+     * @param {Function} [getChatExports] - Returns the exports to parse (default: the current ones)
+     */
+    async reparse(getChatExports = () => this.chatExports) {
+        try {
+            await this.parseAndRender(getChatExports());
+        } catch (error) {
+            console.error('Error re-parsing chat:', error);
+            alert(`Error: ${error.message}`);
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Limit the date inputs to the chat's first and last day in the display zone
+     */
+    updateDateInputLimits() {
+        if (!this.chatData.stats.firstDate) return;
+        
+        const firstDateStr = this.formatDateForInput(this.chatData.stats.firstDate);
+        const lastDateStr = this.formatDateForInput(this.chatData.stats.lastDate);
+        
+        if (this.elements.jumpDateInput) {
+            this.elements.jumpDateInput.min = firstDateStr;
+            this.elements.jumpDateInput.max = lastDateStr;
+            this.elements.jumpDateInput.value = firstDateStr;
+        }
+        
+        // Set date filter min/max
+        if (this.elements.dateFilterStart) {
+            this.elements.dateFilterStart.min = firstDateStr;
+            this.elements.dateFilterStart.max = lastDateStr;
+        }
+        if (this.elements.dateFilterEnd) {
+            this.elements.dateFilterEnd.min = firstDateStr;
+            this.elements.dateFilterEnd.max = lastDateStr;
+        }
+        if (this.elements.membersOnDate) {
+            this.elements.membersOnDate.min = firstDateStr;
+            this.elements.membersOnDate.max = lastDateStr;
+        }
+    },
+
+    /**
+     * Parse several exports of the same chat one after another and merge them
+     * @param {Array<Object>} chatExports - [{ label, importer, content }]
+     * @param {Object} options - WhatsAppParser.parse options
+     * @returns {Promise<Object|null>} Merged chat data, or null if cancelled
+     */
+    async parseAndMerge(chatExports, options) {
+        const chats = [];
+        
+        for (let i = 0; i < chatExports.length; i++) {
+            const { label } = chatExports[i];
+            const message = `Parsing ${label} (${i + 1} of ${chatExports.length})...`;
+            this.showLoading(message, i / chatExports.length);
             
-            if (this.elements.jumpDateInput) {
-                this.elements.jumpDateInput.min = firstDateStr;
-                this.elements.jumpDateInput.max = lastDateStr;
-                this.elements.jumpDateInput.value = firstDateStr;
+            const chat = await this.runParser(chatExports[i], options, (messages, progress) => {
+                this.showLoading(message, (i + progress) / chatExports.length);
+            });
+            if (!chat) return null;
+            chats.push(chat);
+        }
+        
+        this.showLoading('Merging exports...');
+        return WhatsAppParser.mergeChats(chats, chatExports.map(chatExport => chatExport.label));
+    },
+
+    /**
+     * Parse in a Web Worker (parser-worker.js), falling back to the main
+     * thread where workers can't be created (e.g. the page was opened from file://)
+     * @param {Object} chatExport - { importer, content, importerOptions } - importer id from ChatImporters,
+     *   importerOptions are added to options (e.g. the database chat id)
+     * @param {Object} options - WhatsAppParser.parse options
+     * @param {Function} onBatch - Called with (messages, progress) as batches arrive
+     * @returns {Promise<Object|null>} Parsed chat data, or null if cancelled
+     */
+    runParser(chatExport, options, onBatch) {
+        // Only one parse at a time - a newer one (e.g. date order change) wins
+        if (this.cancelParse) this.cancelParse();
+        
+        const importerId = chatExport.importer || 'whatsapp';
+        // The chat's name hints at who exported it (a one-to-one chat is named after the other person)
+        options = { ...options, chatTitle: chatExport.label, ...chatExport.importerOptions };
+        const parseOnMainThread = () => ChatImporters.get(importerId).parse(chatExport.content, this.mediaFiles, options);
+        // Run the fallback as a promise step so a parse error rejects instead of throwing inside a handler
+        const parseOnMainThreadAsync = () => Promise.resolve().then(parseOnMainThread);
+        
+        if (typeof Worker === 'undefined') {
+            return parseOnMainThreadAsync();
+        }
+        
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker('parser-worker.js');
+            } catch (error) {
+                console.warn('⚠️ Parser worker unavailable, parsing on the main thread:', error.message);
+                parseOnMainThreadAsync().then(resolve, reject);
+                return;
             }
             
-            // Set date filter min/max
-            if (this.elements.dateFilterStart) {
-                this.elements.dateFilterStart.min = firstDateStr;
-                this.elements.dateFilterStart.max = lastDateStr;
-            }
-            if (this.elements.dateFilterEnd) {
-                this.elements.dateFilterEnd.min = firstDateStr;
-                this.elements.dateFilterEnd.max = lastDateStr;
-            }
-        }
+            let receivedBatch = false;
+            const finish = () => {
+                worker.terminate();
+                this.cancelParse = null;
+            };
+            
+            this.cancelParse = () => {
+                finish();
+                resolve(null);
+            };
+            
+            worker.onmessage = (event) => {
+                const data = event.data;
+                if (data.type === 'batch') {
+                    receivedBatch = true;
+                    onBatch(data.messages, data.progress);
+                } else if (data.type === 'done') {
+                    finish();
+                    resolve(data.result);
+                } else if (data.type === 'error') {
+                    finish();
+                    reject(new Error(data.message));
+                }
+            };
+            
+            // The worker script failed to load or crashed
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                if (receivedBatch) {
+                    reject(new Error(event.message || 'Parser worker failed'));
+                } else {
+                    console.warn('⚠️ Parser worker failed to start, parsing on the main thread');
+                    parseOnMainThreadAsync().then(resolve, reject);
+                }
+            };
+            
+            worker.postMessage({ importer: importerId, content: chatExport.content, mediaFiles: this.mediaFiles, options });
+        });
+    },
+
+    /**
+     * Open the chat screen with the first parsed batch while the worker keeps going
+     * @param {Array} messages - First batch of (provisional) messages
+     */
+    showStreamingChat(messages) {
+        ChatRenderer.init({ messages }, this.mediaFiles);
+        ChatRenderer.renderMessages('messagesList', { messages });
+        document.getElementById('chatTitle').textContent = this.chatName;
         
-        // Show chat section, show header
         this.elements.uploadSection.style.display = 'none';
         this.elements.chatSection.style.display = 'flex';
         if (this.elements.mainHeader) {
             this.elements.mainHeader.style.display = 'flex';
         }
         
+        // Start reading from the top while the rest loads
+        this.elements.messagesContainer.scrollTop = 0;
         this.hideLoading();
     },
 
+    /**
+     * Show parse progress under the chat header
+     * @param {number|null} progress - 0-1 while parsing, null when done
+     */
+    updateParseProgress(progress) {
+        const parsing = progress !== null;
+        
+        if (this.elements.parseProgress) {
+            this.elements.parseProgress.style.display = parsing ? 'block' : 'none';
+            this.elements.parseProgressBar.style.width = `${Math.round((progress || 0) * 100)}%`;
+        }
+        if (parsing) {
+            document.getElementById('chatSubtitle').textContent = `Parsing... ${Math.round(progress * 100)}%`;
+        }
+        
+        // Search, filters and exports need the complete chat
+        [
+            this.elements.searchInput,
+            this.elements.recognizeImageText,
+            this.elements.exportPdf,
+            this.elements.exportHtml,
+            this.elements.jumpToDate,
+            this.elements.dateFilterStart,
+            this.elements.dateFilterEnd,
+            this.elements.dateOrderSelect,
+            this.elements.encodingSelect,
+            this.elements.timeZoneSelect,
+            this.elements.displayTimeZoneSelect
+        ].forEach(el => {
+            if (el) el.disabled = parsing;
+        });
+    },
+
     /**
      * Populate the participant selector list
      */
-    populateParticipantSelector() {
+    populateParticipantSelector(selected = null) {
         const participantsList = document.getElementById('participantsList');
         if (!participantsList || !this.chatData) return;
         
@@ -574,21 +1183,533 @@ const App = {
                 li.classList.add('selected');
                 
                 ChatRenderer.setCurrentUser(participant.name);
-                ChatRenderer.renderMessages('messagesList', this.chatData);
+                ChatRenderer.renderMessages('messagesList', this.chatData, { keepPosition: true });
             });
             
             participantsList.appendChild(li);
         });
         
-        // Auto-select the participant with most messages
+        // Keep the given participant selected, else the detected exporter, else the one with most messages
+        const exporter = this.getDetectedExporter();
         if (this.chatData.participants.length > 0) {
-            const firstItem = participantsList.querySelector('li');
-            if (firstItem) {
-                firstItem.click();
+            const items = Array.from(participantsList.querySelectorAll('li'));
+            const item = items.find(li => li.dataset.participant === (selected || exporter)) || items[0];
+            if (item) {
+                item.click();
+            }
+        }
+        
+        if (this.elements.exporterHint) {
+            this.elements.exporterHint.textContent = this.chatData.exporter && this.chatData.exporter.name
+                ? `Exported by ${WhatsAppParser.describeExporter(this.chatData.exporter)}`
+                : '';
+        }
+    },
+
+    /**
+     * The participant the export came from, if the parser is sure enough to default to them
+     * @returns {string|null}
+     */
+    getDetectedExporter() {
+        const exporter = this.chatData && this.chatData.exporter;
+        if (!exporter || !exporter.name || exporter.confidence < WhatsAppParser.EXPORTER_MIN_CONFIDENCE) return null;
+        return this.chatData.participants.some(p => p.name === exporter.name) ? exporter.name : null;
+    },
+
+    /**
+     * Show the chat from the selected participant's side ('pov') or from
+     * nobody's ('neutral'). The PDF/HTML layout option follows.
+     * @param {string} layout - 'pov' or 'neutral'
+     */
+    setLayout(layout) {
+        ChatRenderer.setLayout(layout);
+        ChatExporter.exportOptions.layout = layout;
+        if (this.elements.neutralExport) this.elements.neutralExport.checked = layout === 'neutral';
+        
+        // The participant list only matters with a POV
+        this.elements.participantsSection?.classList.toggle('neutral', layout === 'neutral');
+        if (this.chatData) {
+            ChatRenderer.renderMessages('messagesList', this.chatData, { keepPosition: true });
+        }
+    },
+
+    /**
+     * Names panel: one row per participant as named in the export, with the
+     * name shown everywhere else. Typing the same name for two rows merges them.
+     */
+    renderIdentitiesPanel() {
+        const { identitiesSection, identitiesList, identitiesStatus } = this.elements;
+        if (!identitiesSection || !this.parsedChatData) return;
+        
+        const sourceLabels = { manual: 'renamed', contact: 'from contacts', merged: 'same person' };
+        identitiesList.innerHTML = '';
+        
+        this.parsedChatData.participants.forEach(({ name }) => {
+            const identity = this.identities.get(name) || { name, source: null };
+            const li = document.createElement('li');
+            li.className = 'identity-item';
+            
+            const original = document.createElement('span');
+            original.className = 'identity-original';
+            original.textContent = name;
+            original.title = name;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'identity-input';
+            input.value = identity.name;
+            input.setAttribute('aria-label', `Name for ${name}`);
+            input.addEventListener('change', () => {
+                const value = input.value.trim();
+                if (value && value !== name) {
+                    this.identityOverrides.set(name, value);
+                } else if (value === name) {
+                    // Typing the original name back keeps it, even over a contact match
+                    this.identityOverrides.set(name, name);
+                } else {
+                    this.identityOverrides.delete(name);
+                }
+                this.updateIdentities();
+            });
+            
+            li.appendChild(original);
+            li.appendChild(input);
+            if (identity.source) {
+                const badge = document.createElement('span');
+                badge.className = `identity-source ${identity.source}`;
+                badge.textContent = sourceLabels[identity.source];
+                li.appendChild(badge);
+            }
+            identitiesList.appendChild(li);
+        });
+        
+        const merged = this.parsedChatData.participants.length - this.chatData.participants.length;
+        const status = [];
+        if (this.contactBook) {
+            const matched = Array.from(this.identities.values()).filter(identity => identity.source === 'contact').length;
+            status.push(`${this.contactBook.size.toLocaleString()} contact numbers loaded, ${matched} matched`);
+        }
+        if (merged > 0) status.push(`${merged} duplicate ${merged === 1 ? 'identity' : 'identities'} merged`);
+        identitiesStatus.textContent = status.join(' · ');
+    },
+
+    /**
+     * Attachments panel: every attachment reference with the file it was
+     * matched to and how, grouped so loose and ambiguous matches come first,
+     * plus the files no message uses. Each reference can be re-linked or
+     * unlinked by hand.
+     */
+    renderAttachmentsPanel() {
+        const { attachmentsSection, attachmentsSummary, attachmentsGroups, resetMediaLinksBtn } = this.elements;
+        if (!attachmentsSection || !this.chatData) return;
+        
+        const report = WhatsAppParser.reconcileMedia(this.chatData, this.mediaFiles);
+        if (report.counts.references === 0 && report.counts.unreferenced === 0) {
+            attachmentsSection.style.display = 'none';
+            return;
+        }
+        attachmentsSection.style.display = 'block';
+        attachmentsSummary.textContent = WhatsAppParser.summarizeReconciliation(report.counts);
+        resetMediaLinksBtn.style.display = this.mediaLinks.size > 0 ? '' : 'none';
+        
+        const { references, unreferenced } = report;
+        const groups = [
+            { title: 'Check these', open: true, items: references.filter(ref => ref.fuzzy || ref.ambiguous) },
+            { title: 'Missing', open: false, items: references.filter(ref => !ref.key && ref.method !== 'manual') },
+            { title: 'Linked by hand', open: false, items: references.filter(ref => ref.method === 'manual') },
+            { title: 'Matched', open: false, items: references.filter(ref => ref.key && !ref.fuzzy && !ref.ambiguous && ref.method !== 'manual') }
+        ];
+        
+        attachmentsGroups.innerHTML = '';
+        groups.forEach(({ title, open, items }) => {
+            if (items.length === 0) return;
+            // Rows are built on first open - big chats have thousands of attachments
+            this.appendAttachmentsGroup(`${title} (${items.length.toLocaleString()})`, open, list => {
+                items.forEach(ref => list.appendChild(this.createAttachmentRow(ref, unreferenced)));
+            });
+        });
+        
+        if (unreferenced.length > 0) {
+            this.appendAttachmentsGroup(`Not used by any message (${unreferenced.length.toLocaleString()})`, false, list => {
+                unreferenced.forEach(key => {
+                    const li = document.createElement('li');
+                    li.className = 'attachment-item';
+                    const name = document.createElement('span');
+                    name.className = 'attachment-name';
+                    name.textContent = key;
+                    name.title = key;
+                    li.appendChild(name);
+                    list.appendChild(li);
+                });
+            });
+        }
+    },
+
+    /**
+     * Add a collapsible group to the Attachments panel
+     * @param {string} title
+     * @param {boolean} open - Expanded from the start
+     * @param {Function} fill - Called with the group's <ul> the first time it is shown
+     */
+    appendAttachmentsGroup(title, open, fill) {
+        const group = document.createElement('details');
+        group.className = 'attachments-group';
+        
+        const heading = document.createElement('summary');
+        heading.textContent = title;
+        group.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        list.className = 'attachments-list';
+        group.appendChild(list);
+        
+        let filled = false;
+        const fillOnce = () => {
+            if (filled || !group.open) return;
+            filled = true;
+            fill(list);
+        };
+        group.addEventListener('toggle', fillOnce);
+        group.open = open;
+        fillOnce();
+        
+        this.elements.attachmentsGroups.appendChild(group);
+    },
+
+    /**
+     * One attachment reference: the name in the chat, the file it shows and
+     * how that file was found, with a picker to change it
+     * @param {Object} ref - Entry of WhatsAppParser.reconcileMedia().references
+     * @param {Array<string>} unreferenced - Files no message uses (offered first)
+     */
+    createAttachmentRow(ref, unreferenced) {
+        const li = document.createElement('li');
+        li.className = 'attachment-item';
+        
+        const name = document.createElement('span');
+        name.className = 'attachment-name linked';
+        name.textContent = ref.filename;
+        name.title = `${ref.sender}, ${WhatsAppParser.formatDateRange(ref.timestamp, ref.timestamp)} - show message`;
+        name.addEventListener('click', () => ChatRenderer.scrollToMessage(ref.messageId));
+        li.appendChild(name);
+        
+        const match = document.createElement('span');
+        match.className = 'attachment-match';
+        if (ref.key) {
+            const method = WhatsAppParser.MEDIA_MATCH_METHODS[ref.method];
+            const others = ref.candidates.length - 1;
+            match.textContent = `${method.label}${ref.key !== ref.filename ? `: ${ref.key}` : ''}` +
+                (ref.ambiguous ? ` (${others} other file${others === 1 ? '' : 's'} also matched)` : '');
+            match.classList.toggle('fuzzy', ref.fuzzy || ref.ambiguous);
+        } else {
+            match.textContent = ref.method === 'manual' ? 'Unlinked by hand' : 'No file found';
+            match.classList.add('missing');
+        }
+        li.appendChild(match);
+        
+        // Files worth trying first: the other candidates, then unused files
+        const select = document.createElement('select');
+        select.className = 'attachment-link';
+        select.setAttribute('aria-label', `File for ${ref.filename}`);
+        select.appendChild(new Option('No file', ''));
+        const suggested = [...new Set([...ref.candidates, ...unreferenced])].filter(key => key !== ref.key);
+        [
+            { label: 'Suggested', keys: suggested },
+            { label: 'All files', keys: Array.from(this.mediaFiles.keys()) }
+        ].forEach(({ label, keys }) => {
+            if (keys.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            keys.forEach(key => group.appendChild(new Option(key, key)));
+            select.appendChild(group);
+        });
+        select.value = ref.key || '';
+        select.addEventListener('change', () => {
+            this.mediaLinks.set(ref.messageId, { filename: ref.filename, key: select.value || null });
+            this.updateMediaLinks();
+        });
+        li.appendChild(select);
+        
+        return li;
+    },
+
+    /**
+     * Load a contacts file (.vcf or .csv) and name phone-number participants from it
+     * @param {File} file
+     */
+    async importContacts(file) {
+        try {
+            const { content } = ChatEncoding.read(await this.readFileAsBytes(file));
+            const book = WhatsAppParser.parseContacts(content, file.name);
+            if (book.size === 0) {
+                throw new Error(`No phone numbers found in ${file.name}`);
             }
+            this.contactBook = book;
+            console.log(`📇 Contacts: ${book.size} numbers from ${file.name}`);
+            this.updateIdentities();
+        } catch (error) {
+            console.error('Error reading contacts:', error);
+            alert(`Error: ${error.message}`);
         }
     },
 
+    /**
+     * Show the date order selector when the detected order is a guess
+     * (or when the user has already overridden it)
+     */
+    updateDateOrderControl() {
+        const section = this.elements.dateOrderSection;
+        if (!section || !this.chatData) return;
+        
+        const { confidence } = this.chatData.dateOrder;
+        const isLowConfidence = confidence < WhatsAppParser.DATE_ORDER_LOW_CONFIDENCE;
+        
+        section.style.display = isLowConfidence || this.dateOrderOverride ? 'block' : 'none';
+        this.elements.dateOrderSelect.value = this.dateOrderOverride || '';
+        this.elements.dateOrderHint.style.display = isLowConfidence && !this.dateOrderOverride ? 'block' : 'none';
+    },
+
+    /**
+     * Show which encoding each chat file was read with, and warn when it
+     * was a guess or nothing could be parsed
+     */
+    updateEncodingControl() {
+        const { encodingSelect, encodingHint, encodingSection } = this.elements;
+        if (!encodingSelect || !this.chatData) return;
+        
+        // Databases have no text encoding to choose
+        const textExports = this.chatExports.filter(chatExport => chatExport.encoding);
+        if (encodingSection) encodingSection.style.display = textExports.length > 0 ? 'block' : 'none';
+        if (textExports.length === 0) return;
+        
+        encodingSelect.value = this.encodingOverride || '';
+        
+        const describe = ({ encoding, source }) =>
+            `${ChatEncoding.getLabel(encoding)} (${ChatEncoding.describeSource(source)})`;
+        const descriptions = textExports.length > 1
+            ? textExports.map(chatExport => `${chatExport.label}: ${describe(chatExport.encoding)}`)
+            : [describe(textExports[0].encoding)];
+        
+        const guessed = textExports.some(chatExport => chatExport.encoding.source === 'fallback');
+        const empty = this.chatData.messages.length === 0;
+        
+        encodingHint.textContent = empty
+            ? `No messages found in ${descriptions.join(', ')} - try another encoding`
+            : `Read as ${descriptions.join(', ')}`;
+        encodingHint.classList.toggle('warning', guessed || empty);
+    },
+
+    /**
+     * Fill a time zone <select> with every zone the browser knows
+     * @param {HTMLSelectElement} select
+     * @param {string} defaultLabel - Label of the empty "automatic" option
+     */
+    populateTimeZoneSelect(select, defaultLabel) {
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : ['Africa/Lagos', 'America/Chicago', 'America/Los_Angeles', 'America/New_York',
+               'America/Sao_Paulo', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Singapore',
+               'Asia/Tokyo', 'Australia/Sydney', 'Europe/Berlin', 'Europe/London', 'Europe/Paris'];
+        
+        select.innerHTML = '';
+        select.appendChild(new Option(defaultLabel, ''));
+        ['UTC', ...zones.filter(zone => zone !== 'UTC')].forEach(zone => {
+            select.appendChild(new Option(zone.replace(/_/g, ' '), zone));
+        });
+    },
+
+    /**
+     * Show the source zone in use and why it was picked
+     */
+    updateTimeZoneControl() {
+        const { timeZoneSelect, timeZoneHint, displayTimeZoneSelect } = this.elements;
+        if (!timeZoneSelect || !this.chatData) return;
+        
+        const { zone, reason } = this.chatData.timeZone;
+        timeZoneSelect.value = this.timeZoneOverride || '';
+        timeZoneSelect.options[0].textContent = `Suggested (${zone.replace(/_/g, ' ')})`;
+        timeZoneHint.textContent = this.timeZoneOverride
+            ? `Times read as ${WhatsAppParser.describeTimeZone(zone)}`
+            : `Suggested from ${reason} - change it if the chat was exported elsewhere`;
+        displayTimeZoneSelect.value = this.displayTimeZone || '';
+    },
+
+    /**
+     * Show times in another zone. Timestamps are instants already, so this
+     * only re-formats; no re-parse.
+     */
+    applyDisplayTimeZone() {
+        if (!this.chatData) return;
+        
+        const zone = this.displayTimeZone || this.chatData.timeZone.zone;
+        this.parsedChatData = WhatsAppParser.applyDisplayTimeZone(this.parsedChatData, zone);
+        this.chatData = this.applyCorrections(this.parsedChatData);
+        
+        this.refreshChatView();
+        console.log(`🕐 Showing times in ${zone}`);
+    },
+
+    /**
+     * Redraw everything derived from chatData after it was rebuilt in place
+     * (display zone or participant names changed)
+     */
+    refreshChatView() {
+        ChatRenderer.init(this.chatData, this.mediaFiles);
+        ChatRenderer.renderMembershipPanel(this.chatData.roster, this.elements.membersOnDate?.value || null);
+        ChatRenderer.renderSourcesPanel(this.chatData);
+        ChatRenderer.renderParseReport(this.chatData);
+        ChatRenderer.updateChatInfo(this.chatData, this.chatName);
+        this.updateDateInputLimits();
+        
+        // Keep any active date filter (its days now mean display-zone days)
+        if (this.elements.dateFilterStart?.value || this.elements.dateFilterEnd?.value) {
+            this.applyDateFilter();
+        } else {
+            ChatRenderer.renderMessages('messagesList', this.chatData, { keepPosition: true });
+        }
+    },
+
+    /**
+     * Chat data with everything the user corrected applied: participant
+     * names, then attachment links - plus the text read from images
+     * @param {Object} chatData - Parsed chat data
+     */
+    applyCorrections(chatData) {
+        const linked = WhatsAppParser.applyMediaLinks(this.applyIdentities(chatData), this.mediaLinks, this.mediaFiles);
+        return WhatsAppParser.applyImageText(linked, this.imageTexts);
+    },
+
+    /**
+     * Read the text in every image attachment not read yet (see
+     * TextRecognizer), one at a time in the background. Matches show in
+     * search and the PDF as batches finish; unticking the option stops it.
+     */
+    async recognizeImages() {
+        if (!this.chatData) return;
+        this.stopRecognizingImages();
+        const run = { stopped: false };
+        this.imageTextRun = run;
+        
+        const status = this.elements.imageTextStatus;
+        const keys = [...new Set(this.chatData.messages
+            .filter(msg => msg.media && msg.media.type === 'image' && msg.media.hasData && !this.imageTexts.has(msg.media.key))
+            .map(msg => msg.media.key))];
+        
+        if (keys.length > 0) {
+            status.textContent = 'Loading text recognizer...';
+            try {
+                await TextRecognizer.getWorker();
+            } catch (error) {
+                console.error('Text recognizer unavailable:', error);
+                if (run.stopped) return;
+                status.textContent = error.message;
+                this.elements.recognizeImageText.checked = false;
+                this.imageTextRun = null;
+                return;
+            }
+        }
+        
+        const BATCH = 20;
+        let unshown = false;
+        for (let i = 0; i < keys.length && !run.stopped; i++) {
+            status.textContent = `Reading images... ${i + 1} / ${keys.length}`;
+            let text = '';
+            try {
+                text = await MediaStore.getImageText(keys[i]);
+            } catch (error) {
+                console.warn(`Could not read text in ${keys[i]}:`, error.message);
+            }
+            if (run.stopped) return;
+            this.imageTexts.set(keys[i], text);
+            unshown = unshown || !!text;
+            if (unshown && (i + 1) % BATCH === 0) {
+                this.updateImageText();
+                unshown = false;
+            }
+        }
+        if (run.stopped) return;
+        
+        this.imageTextRun = null;
+        TextRecognizer.terminate();
+        if (unshown) this.updateImageText();
+        const found = [...this.imageTexts.values()].filter(Boolean).length;
+        status.textContent = `Text found in ${found} of ${this.imageTexts.size} images`;
+        console.log(`🔤 Read text in ${this.imageTexts.size} images, ${found} with text`);
+    },
+
+    /**
+     * Stop reading images (what was read so far stays searchable)
+     */
+    stopRecognizingImages() {
+        if (!this.imageTextRun) return;
+        this.imageTextRun.stopped = true;
+        this.imageTextRun = null;
+        TextRecognizer.terminate();
+        this.updateImageText();
+        if (this.elements.imageTextStatus) this.elements.imageTextStatus.textContent = '';
+    },
+
+    /**
+     * Put the text read from images on the messages and redo an active search
+     */
+    updateImageText() {
+        if (!this.parsedChatData) return;
+        this.chatData = this.applyCorrections(this.parsedChatData);
+        this.refreshChatView();
+        
+        const query = this.elements.searchInput.value;
+        if (query.trim()) ChatRenderer.searchMessages(query);
+    },
+
+    /**
+     * Chat data with participant names applied (see WhatsAppParser.resolveIdentities).
+     * The resolved names are kept in this.identities for the Names panel.
+     * @param {Object} chatData - Parsed chat data (names as in the export)
+     */
+    applyIdentities(chatData) {
+        this.identities = WhatsAppParser.resolveIdentities(chatData.participants.map(p => p.name), {
+            contacts: this.contactBook,
+            manual: this.identityOverrides
+        });
+        
+        const renames = new Map();
+        this.identities.forEach((identity, name) => {
+            if (identity.name !== name) renames.set(name, identity.name);
+        });
+        return WhatsAppParser.applyIdentities(chatData, renames);
+    },
+
+    /**
+     * Re-apply participant names after a rename or contacts import, keeping
+     * the selected POV
+     */
+    updateIdentities() {
+        if (!this.parsedChatData) return;
+        
+        // The POV by their name in the export, so it survives being renamed
+        const povName = Array.from(this.identities)
+            .find(([, identity]) => identity.name === ChatRenderer.currentUser);
+        
+        this.chatData = this.applyCorrections(this.parsedChatData);
+        
+        this.refreshChatView();
+        this.populateParticipantSelector(povName ? this.identities.get(povName[0]).name : null);
+        this.renderIdentitiesPanel();
+        this.renderAttachmentsPanel();
+    },
+
+    /**
+     * Re-apply attachment links after one was changed in the Attachments panel
+     */
+    updateMediaLinks() {
+        if (!this.parsedChatData) return;
+        
+        this.chatData = this.applyCorrections(this.parsedChatData);
+        
+        this.refreshChatView();
+        this.renderAttachmentsPanel();
+    },
+
     /**
      * Apply date filter to messages
      */
@@ -601,21 +1722,13 @@ const App = {
             return;
         }
         
+        // Days are compared in the display time zone ('YYYY-MM-DD' sorts as text)
         const filteredMessages = this.chatData.messages.filter(msg => {
             if (!msg.timestamp) return false;
-            const msgDate = new Date(msg.timestamp);
-            msgDate.setHours(0, 0, 0, 0);
-            
-            if (startDate) {
-                const start = new Date(startDate);
-                if (msgDate < start) return false;
-            }
+            const msgDate = WhatsAppParser.getDateKey(msg.timestamp);
             
-            if (endDate) {
-                const end = new Date(endDate);
-                end.setHours(23, 59, 59, 999);
-                if (msgDate > end) return false;
-            }
+            if (startDate && msgDate < startDate) return false;
+            if (endDate && msgDate > endDate) return false;
             
             return true;
         });
@@ -689,8 +1802,22 @@ const App = {
      * Reset to upload view
      */
     resetToUpload() {
+        if (this.cancelParse) this.cancelParse();
+        this.updateParseProgress(null);
         this.chatData = null;
+        this.parsedChatData = null;
         this.chatName = '';
+        this.chatExports = [];
+        this.identityOverrides = new Map();
+        this.mediaLinks = new Map();
+        this.stopRecognizingImages();
+        this.imageTexts = new Map();
+        if (this.elements.recognizeImageText) this.elements.recognizeImageText.checked = false;
+        this.dateOrderOverride = null;
+        this.encodingOverride = null;
+        this.timeZoneOverride = null;
+        this.displayTimeZone = null;
+        MediaStore.clear();
         this.mediaFiles = new Map();
         this.elements.fileInput.value = '';
         this.elements.fileInputFolder.value = '';
@@ -707,8 +1834,14 @@ const App = {
     /**
      * Show loading overlay
      */
-    showLoading(message = 'Loading...') {
-        this.elements.loadingText.textContent = message;
+    showLoading(message = 'Loading...', progress = null) {
+        this.elements.loadingText.textContent = progress === null
+            ? message
+            : `${message} ${Math.round(progress * 100)}%`;
+        if (this.elements.loadingProgress) {
+            this.elements.loadingProgress.style.display = progress === null ? 'none' : 'block';
+            this.elements.loadingProgressBar.style.width = `${Math.round((progress || 0) * 100)}%`;
+        }
         this.elements.loadingOverlay.style.display = 'flex';
     },
 
@@ -720,26 +1853,14 @@ const App = {
     },
 
     /**
-     * Read file as text
-     */
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(reader.error);
-            reader.readAsText(file);
-        });
-    },
-
-    /**
-     * Read file as data URL
+     * Read file as raw bytes (decoded by ChatEncoding)
      */
-    readFileAsDataURL(file) {
+    readFileAsBytes(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
+            reader.onload = () => resolve(new Uint8Array(reader.result));
             reader.onerror = () => reject(reader.error);
-            reader.readAsDataURL(file);
+            reader.readAsArrayBuffer(file);
         });
     },
 
@@ -749,9 +1870,10 @@ const App = {
     isMediaFile(filename) {
         const mediaExtensions = [
             'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif',
-            'mp4', 'mov', 'avi', '3gp', 'mkv',
+            'mp4', 'mov', 'avi', '3gp', 'mkv', 'webm',
             'mp3', 'ogg', 'opus', 'm4a', 'wav', 'aac',
-            'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx'
+            'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+            'vcf'
         ];
         const ext = filename.split('.').pop().toLowerCase();
         return mediaExtensions.includes(ext);
@@ -777,6 +1899,7 @@ const App = {
             avi: 'video/x-msvideo',
             '3gp': 'video/3gpp',
             mkv: 'video/x-matroska',
+            webm: 'video/webm',
             // Audio
             mp3: 'audio/mpeg',
             ogg: 'audio/ogg',
@@ -791,17 +1914,20 @@ const App = {
             xls: 'application/vnd.ms-excel',
             xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             ppt: 'application/vnd.ms-powerpoint',
-            pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+            pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            txt: 'text/plain',
+            // Contact cards
+            vcf: 'text/vcard'
         };
         return mimeTypes[ext] || 'application/octet-stream';
     },
 
     /**
-     * Format date for input element
+     * Format date for input element (the day in the display time zone)
      */
     formatDateForInput(date) {
         if (!(date instanceof Date)) return '';
-        return date.toISOString().split('T')[0];
+        return WhatsAppParser.getDateKey(date);
     }
 };
 
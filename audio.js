@@ -0,0 +1,69 @@
+/**
+ * WhatsApp2PDF - Voice Note Analysis
+ * Decodes audio attachments with WebAudio to get their length and a
+ * waveform - a short list of peak levels the view and the PDF draw as bars.
+ *
+ * Works on Blobs; MediaStore caches the result per file.
+ */
+
+const AudioAnalyzer = {
+    // Bars in a waveform, and the height of the quietest one (0-1) so silence still shows
+    WAVEFORM_BARS: 40,
+    MIN_LEVEL: 0.06,
+
+    // One decoding context for the whole page (browsers limit how many exist)
+    context: null,
+
+    /**
+     * Length and waveform of an audio file
+     * @param {Blob} blob
+     * @returns {Promise<Object>} { duration, peaks } - duration in seconds,
+     *   peaks: WAVEFORM_BARS levels from MIN_LEVEL to 1
+     */
+    async analyze(blob) {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) throw new Error('This browser cannot decode audio');
+            this.context = new AudioContextClass();
+        }
+
+        const buffer = await new Promise((resolve, reject) => {
+            // Promise and callback forms - older Safari only has the callback
+            blob.arrayBuffer().then(bytes => {
+                const decoding = this.context.decodeAudioData(bytes, resolve, () => reject(new Error('The browser cannot decode this audio file')));
+                if (decoding && decoding.catch) decoding.catch(() => {});
+            }, reject);
+        });
+
+        return { duration: buffer.duration, peaks: this.getPeaks(buffer.getChannelData(0), this.WAVEFORM_BARS) };
+    },
+
+    /**
+     * Loudest sample in each of `count` equal slices, scaled so the loudest
+     * slice is 1
+     * @param {Float32Array} samples
+     * @param {number} count
+     * @returns {Array<number>}
+     */
+    getPeaks(samples, count) {
+        const size = Math.max(1, Math.floor(samples.length / count));
+        const peaks = [];
+        for (let i = 0; i < count; i++) {
+            let peak = 0;
+            const end = Math.min(samples.length, (i + 1) * size);
+            for (let j = i * size; j < end; j++) {
+                const level = Math.abs(samples[j]);
+                if (level > peak) peak = level;
+            }
+            peaks.push(peak);
+        }
+
+        const loudest = Math.max(...peaks);
+        return peaks.map(peak => Math.max(this.MIN_LEVEL, loudest > 0 ? peak / loudest : 0));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioAnalyzer;
+}
@@ -0,0 +1,843 @@
+/**
+ * WhatsApp2PDF - WhatsApp Database Importer
+ * Reads a decrypted WhatsApp message database in the browser with sql.js
+ * (SQLite compiled to WebAssembly) - the file never leaves the device.
+ *
+ * Supported databases:
+ *   Android  msgstore.db        (the "message" table layout, WhatsApp 2.22+)
+ *   iOS      ChatStorage.sqlite (Core Data tables ZWACHATSESSION / ZWAMESSAGE)
+ *
+ * Unlike the .txt export, the database records which message a reply quotes
+ * and who reacted with what, so replyTo links are exact (confidence 1) and
+ * messages get a reactions list:
+ *   message.reactions = [{ emoji, sender, timestamp }]
+ * The result has the same shape WhatsAppParser.parse returns.
+ *
+ * Senders are shown as phone numbers - the message database holds no
+ * address book names (iOS push names are used when present).
+ */
+
+const ChatDatabase = {
+    id: 'whatsapp-db',
+    name: 'WhatsApp database (SQLite)',
+    // Databases are opened by App.processDatabaseFile, never detected from text
+    extensions: [],
+
+    // sql.js 1.10.3, shipped with the app. Relative to the page, and to
+    // parser-worker.js when a database is read in the worker.
+    SQL_JS_PATH: 'vendor/sql.js/sql-wasm.js',
+    SQL_WASM_PATH: 'vendor/sql.js/sql-wasm.wasm',
+
+    DATABASE_EXTENSIONS: ['db', 'sqlite', 'sqlite3'],
+
+    // Every SQLite file starts with this header
+    SQLITE_HEADER: 'SQLite format 3\u0000',
+
+    // Seconds between the Unix epoch and Apple's (2001-01-01), for iOS dates
+    APPLE_EPOCH_OFFSET: 978307200,
+
+    // Protobuf field numbers in iOS blobs. ZWAMEDIAITEM.ZMETADATA holds the
+    // quoted message's stanza id; ZWAMESSAGEINFO.ZRECEIPTINFO holds one
+    // entry per reaction.
+    IOS_METADATA_FIELDS: { quotedKeyId: 5 },
+    IOS_RECEIPT_FIELDS: { reaction: 7 },
+    IOS_REACTION_FIELDS: { senderJid: 1, emoji: 2, timestamp: 3 },
+
+    // Android message.message_type -> message type / media type
+    ANDROID_TYPES: {
+        0: { type: 'text' },
+        1: { type: 'media', media: 'image' },
+        2: { type: 'media', media: 'audio' },
+        3: { type: 'media', media: 'video' },
+        4: { type: 'contact' },
+        5: { type: 'location' },
+        7: { type: 'system' },
+        9: { type: 'media', media: 'document' },
+        13: { type: 'media', media: 'video' },   // GIF
+        15: { type: 'deleted' },
+        16: { type: 'live_location' },
+        20: { type: 'media', media: 'image' },   // Sticker
+        42: { type: 'view_once', media: 'image' },
+        43: { type: 'view_once', media: 'video' },
+        66: { type: 'poll' }
+    },
+
+    // Android message_system.action_type -> system event
+    ANDROID_SYSTEM_ACTIONS: {
+        1: 'subject_changed',
+        4: 'member_added',
+        5: 'member_left',
+        6: 'icon_changed',
+        11: 'group_created',
+        12: 'member_added',
+        14: 'member_removed',
+        20: 'member_joined',
+        27: 'description_changed'
+    },
+
+    // iOS ZWAMESSAGE.ZMESSAGETYPE -> message type / media type
+    IOS_TYPES: {
+        0: { type: 'text' },
+        1: { type: 'media', media: 'image' },
+        2: { type: 'media', media: 'video' },
+        3: { type: 'media', media: 'audio' },
+        4: { type: 'contact' },
+        5: { type: 'location' },
+        6: { type: 'system' },
+        7: { type: 'text' },                     // Link preview
+        8: { type: 'media', media: 'document' },
+        11: { type: 'media', media: 'video' },   // GIF
+        14: { type: 'deleted' },
+        15: { type: 'media', media: 'image' }    // Sticker
+    },
+
+    // iOS ZWAMESSAGE.ZGROUPEVENTTYPE -> system event
+    IOS_GROUP_EVENTS: {
+        1: 'subject_changed',
+        2: 'member_joined',
+        3: 'member_left',
+        4: 'icon_changed',
+        6: 'icon_changed',
+        12: 'member_added',
+        13: 'member_removed'
+    },
+
+    sqlPromise: null,
+
+    /**
+     * Check whether a file may be a WhatsApp database (by name)
+     */
+    isDatabaseFile(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        return this.DATABASE_EXTENSIONS.includes(extension);
+    },
+
+    /**
+     * Check the SQLite header
+     * @param {Uint8Array} bytes
+     */
+    isSQLite(bytes) {
+        if (bytes.length < this.SQLITE_HEADER.length) return false;
+        return Array.from(this.SQLITE_HEADER).every((char, i) => bytes[i] === char.charCodeAt(0));
+    },
+
+    /**
+     * Load sql.js once (script tag on the page, importScripts in the worker)
+     * @returns {Promise<Object>} The sql.js module
+     */
+    loadSqlJs() {
+        if (!this.sqlPromise) {
+            const loadScript = typeof importScripts === 'function'
+                ? Promise.resolve().then(() => importScripts(this.SQL_JS_PATH))
+                : new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = this.SQL_JS_PATH;
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error('Could not load the SQLite reader (sql.js)'));
+                    document.head.appendChild(script);
+                });
+
+            this.sqlPromise = loadScript
+                .then(() => initSqlJs({ locateFile: () => this.SQL_WASM_PATH }))
+                .catch(error => {
+                    this.sqlPromise = null;
+                    throw error;
+                });
+        }
+        return this.sqlPromise;
+    },
+
+    /**
+     * Open a database file
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} { db, schema: 'android' | 'ios' | null } - close db when done
+     */
+    async open(bytes) {
+        if (!this.isSQLite(bytes)) {
+            throw new Error('Not an SQLite database (it may still be encrypted - .crypt14/.crypt15 backups must be decrypted first)');
+        }
+        const SQL = await this.loadSqlJs();
+        const db = new SQL.Database(bytes);
+        try {
+            return { db, schema: this.detectSchema(db) };
+        } catch (error) {
+            db.close();
+            throw error;
+        }
+    },
+
+    /**
+     * Tell the Android and iOS layouts apart by their tables
+     * @returns {string|null} 'android', 'ios', or null for any other database
+     */
+    detectSchema(db) {
+        const tables = new Set(this.query(db, "SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name));
+        if (tables.has('message') && tables.has('chat') && tables.has('jid')) return 'android';
+        if (tables.has('ZWAMESSAGE') && tables.has('ZWACHATSESSION')) return 'ios';
+        if (tables.has('messages') && tables.has('chat_list')) {
+            throw new Error('This msgstore.db uses the pre-2022 layout, which is not supported - open it in a current WhatsApp version first');
+        }
+        return null;
+    },
+
+    /**
+     * Run a query and return rows as objects
+     * @param {Object} db - sql.js Database
+     * @param {string} sql
+     * @param {Array} params - Bound parameters
+     * @returns {Array<Object>}
+     */
+    query(db, sql, params = []) {
+        const [result] = db.exec(sql, params);
+        if (!result) return [];
+        return result.values.map(values => {
+            const row = {};
+            result.columns.forEach((column, i) => { row[column] = values[i]; });
+            return row;
+        });
+    },
+
+    /**
+     * Check for optional tables (they come and go between WhatsApp versions)
+     */
+    hasTable(db, table) {
+        return this.query(db, "SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = ?", [table]).length > 0;
+    },
+
+    /**
+     * List the chats in a database, most messages first
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} { schema, chats: [{ id, jid, name, isGroup, messageCount }] }
+     */
+    async listChats(bytes) {
+        const { db, schema } = await this.open(bytes);
+        try {
+            if (!schema) return { schema, chats: [] };
+            const names = schema === 'ios' ? this.readIosPushNames(db) : new Map();
+
+            const rows = schema === 'android'
+                ? this.query(db, `
+                    SELECT chat._id AS id, jid.raw_string AS jid, chat.subject AS subject,
+                        (SELECT COUNT(*) FROM message WHERE message.chat_row_id = chat._id) AS messageCount
+                    FROM chat JOIN jid ON jid._id = chat.jid_row_id`)
+                : this.query(db, `
+                    SELECT s.Z_PK AS id, s.ZCONTACTJID AS jid, s.ZPARTNERNAME AS subject,
+                        (SELECT COUNT(*) FROM ZWAMESSAGE m WHERE m.ZCHATSESSION = s.Z_PK) AS messageCount
+                    FROM ZWACHATSESSION s`);
+
+            const chats = rows
+                .filter(row => row.jid && row.messageCount > 0 && !row.jid.startsWith('status@'))
+                .map(row => ({
+                    id: row.id,
+                    jid: row.jid,
+                    name: row.subject || this.formatJid(row.jid, names),
+                    isGroup: row.jid.endsWith('@g.us'),
+                    messageCount: row.messageCount
+                }))
+                .sort((a, b) => b.messageCount - a.messageCount);
+
+            return { schema, chats };
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Importer entry point - read one chat from the database
+     * @param {Uint8Array} bytes - The database file
+     * @param {Map} mediaFiles - Map of filename -> media handle (see MediaStore.handles)
+     * @param {Object} options - { chatId, timeZone, displayTimeZone }
+     * @returns {Promise<Object>} Chat data, same shape as WhatsAppParser.parse
+     */
+    async parse(bytes, mediaFiles = new Map(), options = {}) {
+        const P = WhatsAppParser;
+        const { db, schema } = await this.open(bytes);
+
+        try {
+            if (!schema) throw new Error('Not a WhatsApp message database');
+
+            // Database times are instants; the zone only matters for display
+            const { timeZone, displayTimeZone } = P.resolveTimeZones(options, () => ({
+                zone: P.getBrowserTimeZone(),
+                source: 'auto',
+                reason: 'database UTC timestamps'
+            }));
+
+            // JID -> display name, filled by the reader (iOS push names)
+            const names = new Map();
+            const rows = schema === 'android'
+                ? this.readAndroidChat(db, options.chatId, names)
+                : this.readIosChat(db, options.chatId, names);
+            const diagnostics = P.createDiagnostics(rows.length);
+            const messages = this.buildMessages(rows, mediaFiles, diagnostics, names);
+
+            // The phone's own messages are flagged - no guessing needed
+            const sent = rows.filter(row => row.fromMe).length;
+            const exporter = P.scoreExporterClues(sent > 0
+                ? [{ kind: 'from_me', name: 'You', detail: `${sent} messages marked as sent from this phone` }]
+                : []);
+
+            const chatWide = [
+                { kind: 'format', detail: `Export format: ${this.name}, ${schema === 'android' ? 'Android' : 'iOS'}` },
+                {
+                    kind: 'time_zone',
+                    detail: timeZone.source === 'manual'
+                        ? `Time zone: ${timeZone.zone} (chosen)`
+                        : `Time zone: ${timeZone.zone} (${timeZone.reason})`
+                },
+                { kind: 'exporter', detail: `Exported by: ${P.describeExporter(exporter)}` }
+            ];
+            diagnostics.decisions.unshift(...chatWide.map(entry => ({ ...entry, line: null, messageId: null })));
+            diagnostics.counts.decisions += chatWide.length;
+
+            console.log(`🗄️ ${schema} database, chat ${options.chatId}: ${messages.length} messages`);
+
+            return P.buildChatData(messages.map(msg => P.formatForDisplay(msg)), {
+                exportFormat: `${schema}-database`,
+                dateOrder: { order: null, confidence: 1, source: 'format' },
+                locale: 'en',
+                timeZone,
+                displayTimeZone,
+                exporter,
+                diagnostics
+            });
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Read one chat from an Android msgstore.db into neutral rows:
+     *   { rowId, keyId, timestamp, fromMe, senderJid, kind, text, media, location,
+     *     vcard, poll, systemAction, systemTargets, edited, quote, reactions }
+     * @param {Map<string, string>} names - JID -> display name (Android has none to add)
+     */
+    readAndroidChat(db, chatId, names) {
+        const chat = this.query(db, 'SELECT jid.raw_string AS jid FROM chat JOIN jid ON jid._id = chat.jid_row_id WHERE chat._id = ?', [chatId])[0];
+        if (!chat) throw new Error(`Chat ${chatId} not found in the database`);
+
+        const byRowId = (sql) => {
+            const map = new Map();
+            if (!sql) return map;
+            this.query(db, sql, [chatId]).forEach(row => {
+                if (!map.has(row.messageRowId)) map.set(row.messageRowId, []);
+                map.get(row.messageRowId).push(row);
+            });
+            return map;
+        };
+
+        const media = byRowId(`
+            SELECT mm.message_row_id AS messageRowId, mm.file_path AS filePath, mm.media_name AS mediaName,
+                mm.mime_type AS mimeType, mm.page_count AS pageCount
+            FROM message_media mm JOIN message m ON m._id = mm.message_row_id WHERE m.chat_row_id = ?`);
+        const locations = byRowId(this.hasTable(db, 'message_location') && `
+            SELECT ml.message_row_id AS messageRowId, ml.latitude, ml.longitude, ml.place_name AS placeName,
+                ml.place_address AS placeAddress, ml.url
+            FROM message_location ml JOIN message m ON m._id = ml.message_row_id WHERE m.chat_row_id = ?`);
+        const vcards = byRowId(this.hasTable(db, 'message_vcard') && `
+            SELECT mv.message_row_id AS messageRowId, mv.vcard
+            FROM message_vcard mv JOIN message m ON m._id = mv.message_row_id WHERE m.chat_row_id = ?`);
+        const quotes = byRowId(this.hasTable(db, 'message_quoted') && `
+            SELECT mq.message_row_id AS messageRowId, mq.key_id AS keyId, mq.from_me AS fromMe,
+                j.raw_string AS senderJid, mq.text_data AS text
+            FROM message_quoted mq JOIN message m ON m._id = mq.message_row_id
+            LEFT JOIN jid j ON j._id = mq.sender_jid_row_id WHERE m.chat_row_id = ?`);
+        const edits = byRowId(this.hasTable(db, 'message_edit_info') && `
+            SELECT me.message_row_id AS messageRowId, me.edited_timestamp AS editedTimestamp
+            FROM message_edit_info me JOIN message m ON m._id = me.message_row_id WHERE m.chat_row_id = ?`);
+        const pollOptions = byRowId(this.hasTable(db, 'message_poll_option') && `
+            SELECT po.message_row_id AS messageRowId, po.option_name AS text, po.vote_total AS votes
+            FROM message_poll_option po JOIN message m ON m._id = po.message_row_id WHERE m.chat_row_id = ?`);
+        const systemActions = byRowId(this.hasTable(db, 'message_system') && `
+            SELECT ms.message_row_id AS messageRowId, ms.action_type AS actionType
+            FROM message_system ms JOIN message m ON m._id = ms.message_row_id WHERE m.chat_row_id = ?`);
+        const systemTargets = byRowId(this.hasTable(db, 'message_system_chat_participant') && `
+            SELECT sp.message_row_id AS messageRowId, j.raw_string AS jid
+            FROM message_system_chat_participant sp JOIN message m ON m._id = sp.message_row_id
+            JOIN jid j ON j._id = sp.user_jid_row_id WHERE m.chat_row_id = ?`);
+        // An empty reaction means it was taken back
+        const reactions = byRowId(this.hasTable(db, 'message_add_on_reaction') && `
+            SELECT a.parent_message_row_id AS messageRowId, a.from_me AS fromMe, j.raw_string AS senderJid,
+                r.reaction AS emoji, a.timestamp
+            FROM message_add_on a JOIN message_add_on_reaction r ON r.message_add_on_row_id = a._id
+            LEFT JOIN jid j ON j._id = a.sender_jid_row_id
+            WHERE a.chat_row_id = ? AND r.reaction IS NOT NULL AND r.reaction != ''
+            ORDER BY a.timestamp`);
+
+        const first = (map, rowId) => (map.get(rowId) || [])[0] || null;
+
+        return this.query(db, `
+            SELECT m._id AS rowId, m.key_id AS keyId, m.from_me AS fromMe, j.raw_string AS senderJid,
+                m.timestamp, m.message_type AS messageType, m.text_data AS text
+            FROM message m LEFT JOIN jid j ON j._id = m.sender_jid_row_id
+            WHERE m.chat_row_id = ? ORDER BY m.timestamp, m._id`, [chatId]
+        ).map(row => {
+            const kind = this.ANDROID_TYPES[row.messageType] || { type: 'unknown', code: row.messageType };
+            const mediaRow = first(media, row.rowId);
+            const location = first(locations, row.rowId);
+            const vcard = first(vcards, row.rowId);
+            const quote = first(quotes, row.rowId);
+            const system = first(systemActions, row.rowId);
+            const options = pollOptions.get(row.rowId);
+
+            return {
+                rowId: row.rowId,
+                keyId: row.keyId,
+                timestamp: new Date(row.timestamp),
+                fromMe: !!row.fromMe,
+                // Incoming messages in one-to-one chats have no sender of their own
+                senderJid: row.senderJid || chat.jid,
+                kind,
+                text: row.text || '',
+                media: mediaRow && {
+                    path: mediaRow.filePath,
+                    displayName: mediaRow.mediaName,
+                    pages: mediaRow.pageCount || null
+                },
+                location: location && {
+                    name: [location.placeName, location.placeAddress].filter(Boolean).join(', ') || null,
+                    latitude: location.latitude,
+                    longitude: location.longitude,
+                    url: location.url
+                },
+                vcard: vcard && vcard.vcard,
+                poll: options && { question: row.text || '', options: options.map(o => ({ text: o.text, votes: o.votes || 0 })) },
+                systemAction: system && system.actionType,
+                systemTargets: (systemTargets.get(row.rowId) || []).map(target => target.jid),
+                edited: edits.has(row.rowId),
+                quote: quote && {
+                    keyId: quote.keyId,
+                    sender: quote.fromMe ? 'You' : this.formatJid(quote.senderJid || chat.jid, names),
+                    text: quote.text || ''
+                },
+                reactions: (reactions.get(row.rowId) || []).map(reaction => ({
+                    emoji: reaction.emoji,
+                    senderJid: reaction.fromMe ? null : reaction.senderJid || chat.jid,
+                    fromMe: !!reaction.fromMe,
+                    timestamp: new Date(reaction.timestamp)
+                }))
+            };
+        });
+    },
+
+    /**
+     * Read one chat from an iOS ChatStorage.sqlite into the same rows as
+     * readAndroidChat. Quotes and reactions live in protobuf blobs
+     * (ZWAMEDIAITEM.ZMETADATA, ZWAMESSAGEINFO.ZRECEIPTINFO).
+     * @param {Map<string, string>} names - Filled with JID -> push name (and the chat partner's name)
+     */
+    readIosChat(db, chatId, names) {
+        const chat = this.query(db, 'SELECT ZCONTACTJID AS jid, ZPARTNERNAME AS name FROM ZWACHATSESSION WHERE Z_PK = ?', [chatId])[0];
+        if (!chat) throw new Error(`Chat ${chatId} not found in the database`);
+
+        this.readIosPushNames(db).forEach((name, jid) => names.set(jid, name));
+        if (!chat.jid.endsWith('@g.us') && chat.name) names.set(chat.jid, chat.name);
+
+        const receipts = new Map();
+        if (this.hasTable(db, 'ZWAMESSAGEINFO')) {
+            this.query(db, `
+                SELECT i.ZMESSAGE AS messageRowId, i.ZRECEIPTINFO AS receiptInfo
+                FROM ZWAMESSAGEINFO i JOIN ZWAMESSAGE m ON m.Z_PK = i.ZMESSAGE
+                WHERE m.ZCHATSESSION = ? AND i.ZRECEIPTINFO IS NOT NULL`, [chatId]
+            ).forEach(row => receipts.set(row.messageRowId, row.receiptInfo));
+        }
+
+        const rows = this.query(db, `
+            SELECT m.Z_PK AS rowId, m.ZSTANZAID AS keyId, m.ZISFROMME AS fromMe, m.ZFROMJID AS fromJid,
+                m.ZMESSAGEDATE AS date, m.ZMESSAGETYPE AS messageType, m.ZTEXT AS text,
+                m.ZGROUPEVENTTYPE AS groupEventType, g.ZMEMBERJID AS memberJid,
+                mi.ZMEDIALOCALPATH AS mediaPath, mi.ZTITLE AS mediaTitle, mi.ZLATITUDE AS latitude,
+                mi.ZLONGITUDE AS longitude, mi.ZVCARDSTRING AS vcard, mi.ZMETADATA AS metadata
+            FROM ZWAMESSAGE m
+            LEFT JOIN ZWAGROUPMEMBER g ON g.Z_PK = m.ZGROUPMEMBER
+            LEFT JOIN ZWAMEDIAITEM mi ON mi.Z_PK = m.ZMEDIAITEM
+            WHERE m.ZCHATSESSION = ? ORDER BY m.ZMESSAGEDATE, m.Z_PK`, [chatId]);
+
+        // Quotes name the original by stanza id - only ids from this chat count
+        const keyIds = new Map(rows.filter(row => row.keyId).map(row => [row.keyId, row]));
+
+        // Reactions name their sender by JID, the phone's own included
+        const isGroup = chat.jid.endsWith('@g.us');
+        const ownJid = isGroup ? this.readIosOwnJid(db) : null;
+        const isOwnReaction = (reaction) => !!reaction.senderJid &&
+            (isGroup ? reaction.senderJid === ownJid : reaction.senderJid !== chat.jid);
+
+        return rows.map(row => {
+            const kind = this.IOS_TYPES[row.messageType] || { type: 'unknown', code: row.messageType };
+            const isMedia = kind.type === 'media';
+            const quotedKeyId = this.readIosQuotedKeyId(row.metadata);
+            const quoted = quotedKeyId && keyIds.get(quotedKeyId) !== row ? keyIds.get(quotedKeyId) : null;
+
+            return {
+                rowId: row.rowId,
+                keyId: row.keyId,
+                timestamp: new Date((row.date + this.APPLE_EPOCH_OFFSET) * 1000),
+                fromMe: !!row.fromMe,
+                senderJid: row.memberJid || row.fromJid || chat.jid,
+                kind,
+                text: (isMedia ? row.mediaTitle : row.text) || '',
+                media: isMedia && row.mediaPath ? { path: row.mediaPath, displayName: row.mediaTitle, pages: null } : null,
+                location: kind.type === 'location' ? {
+                    name: row.text || null,
+                    latitude: row.latitude,
+                    longitude: row.longitude,
+                    url: `https://maps.google.com/?q=${row.latitude},${row.longitude}`
+                } : null,
+                vcard: row.vcard,
+                poll: null,
+                systemEvent: kind.type === 'system' ? this.IOS_GROUP_EVENTS[row.groupEventType] || null : null,
+                systemAction: row.groupEventType,
+                systemTargets: [],
+                edited: false,
+                quote: quoted ? {
+                    keyId: quoted.keyId,
+                    sender: quoted.fromMe ? 'You' : this.formatJid(quoted.memberJid || quoted.fromJid || chat.jid, names),
+                    text: quoted.text || quoted.mediaTitle || ''
+                } : null,
+                reactions: (receipts.has(row.rowId) ? this.readIosReactions(receipts.get(row.rowId)) : []).map(reaction => ({
+                    ...reaction,
+                    fromMe: isOwnReaction(reaction)
+                }))
+            };
+        });
+    },
+
+    /**
+     * The phone owner's JID in an iOS database - their own messages carry no
+     * sender. In a one-to-one chat any reaction not from the partner is
+     * theirs; failing that, they are the one group member (ZWAGROUPMEMBER)
+     * in every group who never sent an incoming message.
+     * @returns {string|null} null when nothing tells the owner apart
+     */
+    readIosOwnJid(db) {
+        if (this.hasTable(db, 'ZWAMESSAGEINFO')) {
+            const receipts = this.query(db, `
+                SELECT s.ZCONTACTJID AS jid, i.ZRECEIPTINFO AS receiptInfo
+                FROM ZWAMESSAGEINFO i JOIN ZWAMESSAGE m ON m.Z_PK = i.ZMESSAGE
+                JOIN ZWACHATSESSION s ON s.Z_PK = m.ZCHATSESSION
+                WHERE s.ZCONTACTJID LIKE '%@s.whatsapp.net' AND i.ZRECEIPTINFO IS NOT NULL`);
+            for (const row of receipts) {
+                const own = this.readIosReactions(row.receiptInfo).find(reaction => reaction.senderJid && reaction.senderJid !== row.jid);
+                if (own) return own.senderJid;
+            }
+        }
+
+        if (!this.hasTable(db, 'ZWAGROUPMEMBER')) return null;
+        const members = this.query(db, `
+            SELECT g.ZMEMBERJID AS jid, COUNT(DISTINCT g.ZCHATSESSION) AS groups
+            FROM ZWAGROUPMEMBER g WHERE g.ZMEMBERJID IS NOT NULL GROUP BY g.ZMEMBERJID`);
+        const groupCount = Math.max(0, ...members.map(member => member.groups));
+        const senders = new Set(this.query(db, `
+            SELECT DISTINCT g.ZMEMBERJID AS jid
+            FROM ZWAMESSAGE m JOIN ZWAGROUPMEMBER g ON g.Z_PK = m.ZGROUPMEMBER
+            WHERE m.ZISFROMME = 0`).map(row => row.jid));
+        const candidates = members.filter(member => member.groups === groupCount && !senders.has(member.jid));
+        return candidates.length === 1 ? candidates[0].jid : null;
+    },
+
+    /**
+     * Push names from an iOS database - the names people gave themselves in WhatsApp
+     * @returns {Map<string, string>} JID -> push name
+     */
+    readIosPushNames(db) {
+        const names = new Map();
+        if (this.hasTable(db, 'ZWAPROFILEPUSHNAME')) {
+            this.query(db, 'SELECT ZJID AS jid, ZPUSHNAME AS name FROM ZWAPROFILEPUSHNAME').forEach(row => {
+                if (row.jid && row.name) names.set(row.jid, row.name);
+            });
+        }
+        return names;
+    },
+
+    /**
+     * Turn neutral rows (see readAndroidChat) into parsed messages
+     * @param {Map<string, string>} names - JID -> display name (see formatJid)
+     */
+    buildMessages(rows, mediaFiles, diagnostics, names) {
+        const P = WhatsAppParser;
+        const idByKey = new Map();
+        const messages = [];
+
+        rows.forEach(row => {
+            const sender = row.fromMe ? 'You' : this.formatJid(row.senderJid, names);
+            const message = {
+                id: messages.length,
+                timestamp: row.timestamp,
+                sender,
+                rawText: row.text,
+                text: row.text,
+                type: 'text',
+                media: null,
+                isSystem: false,
+                hasQuote: false
+            };
+
+            switch (row.kind.type) {
+                case 'text':
+                    if (!row.text) return;
+                    break;
+                case 'media':
+                    message.type = 'media';
+                    message.media = this.resolveMedia(row.media, row.kind.media, mediaFiles);
+                    if (message.media.type === 'omitted') message.type = 'media_omitted';
+                    break;
+                case 'contact':
+                    message.type = 'contact';
+                    message.contact = P.parseVCard(row.vcard || '', row.text || 'Contact');
+                    message.text = '';
+                    break;
+                case 'location':
+                    message.type = 'location';
+                    message.location = row.location || { name: null, latitude: null, longitude: null, url: null };
+                    message.text = message.location.name || '';
+                    break;
+                case 'live_location':
+                    message.type = 'live_location';
+                    message.text = 'Live location';
+                    break;
+                case 'view_once':
+                    // The file is deleted once opened - only the placeholder is left
+                    message.type = 'view_once';
+                    message.text = row.kind.media === 'video' ? 'View once video' : 'View once photo';
+                    break;
+                case 'deleted':
+                    message.type = 'deleted';
+                    message.text = row.fromMe ? 'You deleted this message' : 'This message was deleted';
+                    break;
+                case 'poll': {
+                    const options = row.poll ? row.poll.options : [];
+                    message.type = 'poll';
+                    message.poll = {
+                        question: row.text,
+                        options,
+                        totalVotes: options.reduce((sum, option) => sum + option.votes, 0)
+                    };
+                    break;
+                }
+                case 'system':
+                    Object.assign(message, this.buildSystemMessage(row, sender, diagnostics, messages.length, names));
+                    break;
+                default:
+                    P.recordDiagnostic(diagnostics, 'unparsedLines', {
+                        line: null,
+                        text: row.text || `Database row ${row.rowId}`,
+                        reason: `Unknown message type ${row.kind.code} - dropped`
+                    });
+                    return;
+            }
+
+            if (row.edited) message.isEdited = true;
+
+            if (row.quote) {
+                const originalId = idByKey.get(row.quote.keyId);
+                message.hasQuote = true;
+                message.quotedMessage = { timestamp: null, sender: row.quote.sender, text: row.quote.text || 'Media' };
+                message.replyTo = originalId !== undefined
+                    ? { id: originalId, confidence: 1, method: 'exact' }
+                    : { id: null, confidence: 1, method: 'unmatched' };
+                if (originalId !== undefined) message.quotedMessage.timestamp = messages[originalId].timestamp;
+            }
+
+            if (row.reactions.length > 0) {
+                message.reactions = row.reactions.map(reaction => ({
+                    emoji: reaction.emoji,
+                    sender: reaction.fromMe ? 'You' : this.formatJid(reaction.senderJid, names),
+                    timestamp: reaction.timestamp
+                }));
+            }
+
+            if (message.type === 'media' && message.media.filename && !message.media.hasData) {
+                P.recordDiagnostic(diagnostics, 'unresolvedMedia', {
+                    line: null,
+                    messageId: message.id,
+                    filename: message.media.filename,
+                    sender,
+                    timestamp: message.timestamp,
+                    reason: mediaFiles.size === 0 ? 'No media files in the upload' : 'No file with this name in the upload'
+                });
+            }
+
+            if (row.keyId) idByKey.set(row.keyId, message.id);
+            messages.push(message);
+        });
+
+        return messages;
+    },
+
+    /**
+     * Fields of a system message (group changes)
+     */
+    buildSystemMessage(row, actor, diagnostics, messageId, names) {
+        const event = row.systemEvent !== undefined
+            ? row.systemEvent
+            : this.ANDROID_SYSTEM_ACTIONS[row.systemAction] || null;
+        const targets = row.systemTargets.map(jid => this.formatJid(jid, names));
+
+        if (!event) {
+            WhatsAppParser.recordDiagnostic(diagnostics, 'decisions', {
+                kind: 'system_action',
+                line: null,
+                messageId,
+                detail: `Group event type ${row.systemAction} shown as a generic notice`
+            });
+        }
+
+        const texts = {
+            subject_changed: `${actor} changed the group name${row.text ? ` to "${row.text}"` : ''}`,
+            member_added: `${actor} added ${targets.join(', ')}`,
+            member_left: `${actor} left`,
+            member_joined: `${actor} joined using this group's invite link`,
+            member_removed: `${actor} removed ${targets.join(', ')}`,
+            icon_changed: `${actor} changed this group's icon`,
+            group_created: `${actor} created group${row.text ? ` "${row.text}"` : ''}`,
+            description_changed: `${actor} changed the group description`
+        };
+        const text = (event && texts[event]) || row.text || 'Group update';
+
+        return {
+            sender: 'System',
+            rawText: text,
+            text,
+            type: 'system',
+            isSystem: true,
+            event: { event: event || 'other', actor, targets }
+        };
+    },
+
+    /**
+     * Media record for a database media path (files are matched by name)
+     */
+    resolveMedia(media, type, mediaFiles) {
+        // Media the phone never downloaded has no file path
+        if (!media || !media.path) {
+            return { filename: null, type: 'omitted', extension: null, key: null, hasData: false };
+        }
+
+        const filename = media.path.split('/').pop();
+        const match = WhatsAppParser.matchMediaFile(filename, mediaFiles);
+        const handle = match ? match.handle : null;
+        const record = {
+            filename,
+            type,
+            extension: filename.split('.').pop().toLowerCase(),
+            key: handle ? handle.key : null,
+            hasData: !!handle,
+            match: match ? { method: match.method, candidates: match.candidates } : null
+        };
+        if (media.displayName && media.displayName !== filename) record.displayName = media.displayName;
+        if (media.pages) record.pages = media.pages;
+        return record;
+    },
+
+    /**
+     * Display name for a JID: iOS push name when known, else "+<number>"
+     * @param {string} jid
+     * @param {Map<string, string>} names - JID -> push name, from the database being read
+     */
+    formatJid(jid, names = new Map()) {
+        if (!jid) return 'Unknown';
+        if (names.has(jid)) return names.get(jid);
+        const user = jid.split('@')[0];
+        return /^\d+$/.test(user) ? `+${user}` : user;
+    },
+
+    /**
+     * Stanza id of the message an iOS message quotes
+     * @param {Uint8Array} blob - ZWAMEDIAITEM.ZMETADATA
+     * @returns {string|null} null when the message quotes nothing
+     */
+    readIosQuotedKeyId(blob) {
+        const fields = this.decodeProtobuf(blob) || [];
+        const field = fields.find(f => f.field === this.IOS_METADATA_FIELDS.quotedKeyId && f.text !== null);
+        return field ? field.text : null;
+    },
+
+    /**
+     * Reactions in an iOS receipt blob. A reaction without a sender JID
+     * keeps senderJid null and is shown as from an unknown sender; fromMe
+     * is left to the caller, which knows the chat.
+     * @param {Uint8Array} blob - ZWAMESSAGEINFO.ZRECEIPTINFO
+     * @returns {Array<Object>} [{ emoji, senderJid, fromMe, timestamp }]
+     */
+    readIosReactions(blob) {
+        const FIELDS = this.IOS_REACTION_FIELDS;
+        const fields = this.decodeProtobuf(blob) || [];
+
+        return fields
+            .filter(f => f.field === this.IOS_RECEIPT_FIELDS.reaction && f.children)
+            .map(entry => {
+                const get = (number, wireType) => entry.children.find(f => f.field === number && f.wireType === wireType);
+                const emoji = get(FIELDS.emoji, 2);
+                const sender = get(FIELDS.senderJid, 2);
+                const time = get(FIELDS.timestamp, 0);
+                return {
+                    emoji: emoji ? emoji.text : null,
+                    senderJid: sender ? sender.text : null,
+                    fromMe: false,
+                    timestamp: time ? new Date(time.value) : null
+                };
+            })
+            // An empty emoji is a reaction that was taken back
+            .filter(reaction => reaction.emoji);
+    },
+
+    /**
+     * Minimal protobuf reader. Length-delimited fields are kept as text
+     * when they are valid UTF-8 without control characters, and also parsed
+     * as nested messages when that succeeds.
+     * @param {Uint8Array} bytes
+     * @returns {Array<Object>|null} [{ field, wireType, value, text, children }], or null if not protobuf
+     */
+    decodeProtobuf(bytes, depth = 0) {
+        if (!bytes || depth > 8) return null;
+        const fields = [];
+        let pos = 0;
+
+        const readVarint = () => {
+            let result = 0;
+            let shift = 0;
+            while (pos < bytes.length) {
+                const byte = bytes[pos++];
+                result += (byte & 0x7f) * Math.pow(2, shift);
+                if (byte < 0x80) return result;
+                shift += 7;
+                if (shift > 63) return null;
+            }
+            return null;
+        };
+
+        while (pos < bytes.length) {
+            const key = readVarint();
+            if (key === null || key === 0) return null;
+            const field = Math.floor(key / 8);
+            const wireType = key % 8;
+            const entry = { field, wireType, value: null, text: null, children: null };
+
+            if (wireType === 0) {
+                entry.value = readVarint();
+                if (entry.value === null) return null;
+            } else if (wireType === 1 || wireType === 5) {
+                pos += wireType === 1 ? 8 : 4;
+            } else if (wireType === 2) {
+                const length = readVarint();
+                if (length === null || pos + length > bytes.length) return null;
+                const slice = bytes.subarray(pos, pos + length);
+                pos += length;
+
+                const text = ChatEncoding.decodeStrictUtf8(slice);
+                if (text !== null && !/[\u0000-\u0008\u000e-\u001f]/.test(text)) entry.text = text;
+                entry.children = this.decodeProtobuf(slice, depth + 1);
+            } else {
+                return null;
+            }
+            if (pos > bytes.length) return null;
+            fields.push(entry);
+        }
+        return fields;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatDatabase;
+}
@@ -0,0 +1,155 @@
+/**
+ * WhatsApp2PDF - Text Encoding
+ * Sniffs the character encoding of chat .txt files before decoding them.
+ *
+ * Most exports are UTF-8, but older Android phones and files re-saved on
+ * Windows arrive as UTF-16 (with or without a byte order mark) or as a
+ * Windows code page. Decoding those as UTF-8 gives mojibake or no messages.
+ *
+ * Detection order:
+ *   1. Byte order mark
+ *   2. UTF-16 null-byte pattern (ASCII text has a zero in every other byte)
+ *   3. Strict UTF-8 - if it decodes without errors it is UTF-8
+ *   4. Windows-1252 as the fallback for everything else
+ */
+
+const ChatEncoding = {
+    // Encodings offered in the manual selector (TextDecoder labels)
+    ENCODINGS: [
+        { value: 'utf-8', label: 'UTF-8' },
+        { value: 'utf-16le', label: 'UTF-16 LE' },
+        { value: 'utf-16be', label: 'UTF-16 BE' },
+        { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+        { value: 'windows-1250', label: 'Windows-1250 (Central European)' },
+        { value: 'windows-1251', label: 'Windows-1251 (Cyrillic)' },
+        { value: 'windows-1256', label: 'Windows-1256 (Arabic)' }
+    ],
+
+    // Bytes sampled for the UTF-16 null-byte check
+    SAMPLE_SIZE: 4096,
+
+    // Share of zero bytes on one side of each pair that marks UTF-16
+    UTF16_NULL_RATIO: 0.3,
+
+    /**
+     * Guess the encoding of raw file bytes
+     * @param {Uint8Array} bytes
+     * @returns {Object} { encoding, source: 'bom' | 'nulls' | 'valid-utf8' | 'fallback', content } -
+     *   content is the text when the UTF-8 check (step 3) already decoded it, else null
+     */
+    detect(bytes) {
+        const marked = this.detectMarked(bytes);
+        if (marked) return { ...marked, content: null };
+
+        // 3. Anything that is valid UTF-8 is almost certainly meant as UTF-8,
+        // 4. otherwise assume the Western Windows code page
+        const content = this.decodeStrictUtf8(bytes);
+        return content !== null
+            ? { encoding: 'utf-8', source: 'valid-utf8', content }
+            : { encoding: 'windows-1252', source: 'fallback', content: null };
+    },
+
+    /**
+     * Steps 1 and 2 of detect(): encodings the bytes identify themselves
+     * @param {Uint8Array} bytes
+     * @returns {Object|null} { encoding, source }, or null if there is no BOM or UTF-16 pattern
+     */
+    detectMarked(bytes) {
+        // 1. Byte order mark
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', source: 'bom' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', source: 'bom' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', source: 'bom' };
+        }
+
+        // 2. UTF-16 without a BOM: digits, brackets and Latin letters leave a
+        //    zero high byte, on the odd side for LE and the even side for BE
+        const sample = bytes.subarray(0, Math.min(bytes.length, this.SAMPLE_SIZE));
+        const pairs = Math.floor(sample.length / 2);
+        if (pairs > 0) {
+            let evenNulls = 0;
+            let oddNulls = 0;
+            for (let i = 0; i < pairs * 2; i += 2) {
+                if (sample[i] === 0) evenNulls++;
+                if (sample[i + 1] === 0) oddNulls++;
+            }
+            if (oddNulls / pairs >= this.UTF16_NULL_RATIO && oddNulls > evenNulls * 4) {
+                return { encoding: 'utf-16le', source: 'nulls' };
+            }
+            if (evenNulls / pairs >= this.UTF16_NULL_RATIO && evenNulls > oddNulls * 4) {
+                return { encoding: 'utf-16be', source: 'nulls' };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Decode as UTF-8, failing on the first invalid sequence
+     * @returns {string|null} Text, or null if the bytes are not UTF-8
+     */
+    decodeStrictUtf8(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Decode file bytes (a matching byte order mark is dropped)
+     * @param {Uint8Array} bytes
+     * @param {string} encoding - TextDecoder label
+     * @returns {string}
+     */
+    decode(bytes, encoding) {
+        return new TextDecoder(encoding).decode(bytes);
+    },
+
+    /**
+     * Decode with an explicit encoding, or detect one
+     * @param {Uint8Array} bytes
+     * @param {string} encoding - Forced encoding (optional)
+     * @returns {Object} { content, encoding: { encoding, source } }
+     */
+    read(bytes, encoding = null) {
+        const detected = encoding ? { encoding, source: 'manual', content: null } : this.detect(bytes);
+
+        // The UTF-8 check's strict decode is the text - don't decode twice
+        const content = detected.content !== null ? detected.content : this.decode(bytes, detected.encoding);
+
+        console.log(`🔤 Text encoding: ${this.getLabel(detected.encoding)} (${this.describeSource(detected.source)})`);
+        return { content, encoding: { encoding: detected.encoding, source: detected.source } };
+    },
+
+    /**
+     * Display name of an encoding
+     */
+    getLabel(encoding) {
+        const known = this.ENCODINGS.find(e => e.value === encoding);
+        return known ? known.label : encoding;
+    },
+
+    /**
+     * Why an encoding was picked, for the UI
+     */
+    describeSource(source) {
+        const reasons = {
+            bom: 'byte order mark',
+            nulls: 'UTF-16 byte pattern',
+            'valid-utf8': 'valid UTF-8',
+            fallback: 'not valid UTF-8 - guessed',
+            manual: 'chosen'
+        };
+        return reasons[source] || source;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatEncoding;
+}
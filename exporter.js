@@ -8,7 +8,10 @@ const ChatExporter = {
     // Export options (can be modified before export)
     exportOptions: {
         includeAttachments: true,
-        includeImageGallery: true
+        includeImageGallery: true,
+        includeVideoStills: false,
+        includeParseReport: false,
+        layout: 'pov' // 'pov' (current user on the right) or 'neutral' (everyone left-aligned)
     },
 
     /**
@@ -96,8 +99,69 @@ const ChatExporter = {
             return doc.getStringUnitWidth(text) * fontSize / doc.internal.scaleFactor;
         };
         
-        // Get current user POV
+        // Helper: Play button and duration badge over a video poster frame
+        const drawVideoOverlay = (x, yPos, w, h, duration) => {
+            const cx = x + w / 2;
+            const cy = yPos + h / 2;
+            const r = Math.min(w, h) * 0.14;
+            doc.setFillColor(40, 40, 40);
+            doc.circle(cx, cy, r, 'F');
+            doc.setFillColor(255, 255, 255);
+            doc.triangle(cx - r * 0.35, cy - r * 0.5, cx - r * 0.35, cy + r * 0.5, cx + r * 0.55, cy, 'F');
+            
+            if (duration !== null) {
+                const label = ChatRenderer.formatDuration(duration);
+                const labelWidth = getTextWidth(label, 6) + 2;
+                drawRect(x + w - labelWidth - 1, yPos + h - 4.5, labelWidth, 3.5, 0.8, [40, 40, 40]);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(255, 255, 255);
+                doc.text(label, x + w - labelWidth, yPos + h - 1.8);
+            }
+        };
+        
+        // Helper: Text read from an image as an invisible layer under it, so
+        // search and copy in a PDF viewer find the words in screenshots
+        const drawImageTextLayer = (x, yPos, w, h, text) => {
+            const fontSize = 4;
+            const lines = wrapText(this.cleanTextForPDF(text), w, fontSize);
+            const lineHeight = Math.min(fontSize * 0.4, h / lines.length);
+            doc.setFont('helvetica', 'normal');
+            lines.forEach((line, i) => {
+                doc.text(line, x, yPos + fontSize * 0.35 + i * lineHeight, { renderingMode: 'invisible' });
+            });
+        };
+        
+        // Helper: Voice note - play button, waveform bars, then length and filename
+        const VOICE_NOTE_HEIGHT = 11;
+        const drawVoiceNote = (x, yPos, w, info, filename) => {
+            const r = 3;
+            const cx = x + r;
+            const cy = yPos + 4;
+            doc.setFillColor(...COLORS.accent);
+            doc.circle(cx, cy, r, 'F');
+            doc.setFillColor(255, 255, 255);
+            doc.triangle(cx - r * 0.35, cy - r * 0.5, cx - r * 0.35, cy + r * 0.5, cx + r * 0.55, cy, 'F');
+            
+            // Bars centred on the play button's middle line
+            const barsX = x + r * 2 + 2;
+            const step = (x + w - barsX) / info.peaks.length;
+            doc.setFillColor(...COLORS.textGray);
+            info.peaks.forEach((peak, i) => {
+                const h = peak * 7;
+                doc.rect(barsX + i * step, cy - h / 2, step * 0.6, h, 'F');
+            });
+            
+            const label = `${ChatRenderer.formatDuration(info.duration)}  ${this.cleanTextForPDF(filename || '')}`;
+            const lines = wrapText(label, x + w - barsX, SMALL_FONT - 1);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...COLORS.textGray);
+            doc.text(lines.length > 1 ? lines[0] + '...' : lines[0], barsX, yPos + VOICE_NOTE_HEIGHT - 0.5);
+        };
+        
+        // Get current user POV (none in the neutral layout)
         const currentUser = ChatRenderer?.currentUser || chatData.participants[0]?.name || 'Unknown';
+        const neutral = this.exportOptions.layout === 'neutral';
+        const senderColor = (name) => this.hexToRgb(ChatRenderer.getSenderColor(name));
         
         // ========== COVER PAGE ==========
         // Header background - compact
@@ -117,7 +181,7 @@ const ChatExporter = {
         
         // POV indicator
         doc.setFontSize(9);
-        doc.text(`Viewing as: ${this.cleanTextForPDF(currentUser)}`, PAGE_WIDTH / 2, 42, { align: 'center' });
+        doc.text(neutral ? 'Neutral transcript - no perspective applied' : `Viewing as: ${this.cleanTextForPDF(currentUser)}`, PAGE_WIDTH / 2, 42, { align: 'center' });
         
         y = 55;
         
@@ -151,22 +215,28 @@ const ChatExporter = {
         y = disclaimerY + 42;
         
         // ========== EXPORT INFO ==========
-        drawRect(MARGIN, y, CONTENT_WIDTH, 18, 2, [245, 247, 250]);
+        drawRect(MARGIN, y, CONTENT_WIDTH, 28, 2, [245, 247, 250]);
         doc.setFontSize(7);
         doc.setTextColor(...COLORS.textGray);
         doc.text(`Generated: ${new Date().toLocaleString()}`, MARGIN + 4, y + 5);
-        doc.text(`POV: ${this.cleanTextForPDF(currentUser)} (messages on right side)`, MARGIN + 4, y + 10);
+        doc.text(neutral ? 'POV: none (neutral transcript)' : `POV: ${this.cleanTextForPDF(currentUser)} (messages on right side)`, MARGIN + 4, y + 10);
+        
+        // Why this side - the export's own clues to who exported it
+        doc.text(wrapText(this.cleanTextForPDF(this.describePov(chatData, currentUser)), CONTENT_WIDTH - 8, 7)[0], MARGIN + 4, y + 15);
         
         if (exporterInfo) {
             let exporterText = 'Exported by: ';
             if (exporterInfo.ip) exporterText += `IP ${exporterInfo.ip}`;
             if (exporterInfo.location) exporterText += ` | ${exporterInfo.location}`;
-            doc.text(exporterText, MARGIN + 4, y + 15);
+            doc.text(exporterText, MARGIN + 4, y + 20);
         } else {
-            doc.text('Exported by: WhatsApp2PDF (client-side processing)', MARGIN + 4, y + 15);
+            doc.text('Exported by: WhatsApp2PDF (client-side processing)', MARGIN + 4, y + 20);
         }
         
-        y += 22;
+        // Export text has no zone of its own - record how times were read and shown
+        doc.text(this.describeTimeZones(chatData), MARGIN + 4, y + 25);
+        
+        y += 32;
         
         // ========== STATS (compact two-column layout) ==========
         const stats = [
@@ -175,6 +245,9 @@ const ChatExporter = {
             ['Participants', chatData.participants.length.toString()],
             ['Period', chatData.stats.dateRange || '-']
         ];
+        // Edited, view once, waiting and disappearing messages - content a reviewer never sees
+        const flagged = WhatsAppParser.describeFlagged(chatData.stats);
+        if (flagged) stats.push(['Flagged', this.cleanTextForPDF(flagged)]);
         
         doc.setFontSize(8);
         const colWidth = (CONTENT_WIDTH - 5) / 2;
@@ -194,7 +267,7 @@ const ChatExporter = {
             doc.text(value, xPos + 28, yPos);
         });
         
-        y += 20;
+        y += 20 + (Math.ceil(stats.length / 2) - 2) * 8;
         
         // ========== PARTICIPANTS (compact multi-column layout) ==========
         drawRect(MARGIN, y, CONTENT_WIDTH, 1, 0, COLORS.border);
@@ -219,14 +292,23 @@ const ChatExporter = {
         const maxParticipants = Math.min(maxRows * numColumns, chatData.participants.length);
         const participantsToShow = chatData.participants.slice(0, maxParticipants);
         
+        // Members who are no longer in the group (from the roster history)
+        const roster = chatData.roster;
+        const formerMembers = new Set(
+            roster && roster.hasHistory ? roster.members.filter(m => !m.isCurrent).map(m => m.name) : []
+        );
+        
         participantsToShow.forEach((p, index) => {
             const col = index % numColumns;
             const row = Math.floor(index / numColumns);
             const xPos = MARGIN + 2 + (col * colWidthParticipants);
             const yPos = y + (row * participantLineHeight);
             
-            // Highlight current user
-            if (p.name === currentUser) {
+            // Highlight current user (neutral: each name in its message label colour)
+            if (neutral) {
+                doc.setTextColor(...senderColor(p.name));
+                doc.setFont('helvetica', 'bold');
+            } else if (p.name === currentUser) {
                 doc.setTextColor(...COLORS.accent);
                 doc.setFont('helvetica', 'bold');
             } else {
@@ -234,7 +316,7 @@ const ChatExporter = {
                 doc.setFont('helvetica', 'normal');
             }
             
-            const participantText = `• ${this.cleanTextForPDF(p.name)} (${p.count})`;
+            const participantText = `• ${this.cleanTextForPDF(p.name)} (${p.count})${formerMembers.has(p.name) ? ' - left' : ''}`;
             const truncatedText = participantText.length > 25 
                 ? participantText.substring(0, 22) + '...' 
                 : participantText;
@@ -253,6 +335,37 @@ const ChatExporter = {
             y += 4;
         }
         
+        // ========== MEMBERSHIP HISTORY ==========
+        if (roster && roster.hasHistory) {
+            ensureSpace(14);
+            drawRect(MARGIN, y, CONTENT_WIDTH, 1, 0, COLORS.border);
+            y += 4;
+            
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(9);
+            doc.setTextColor(...COLORS.textDark);
+            doc.text('Membership history:', MARGIN, y);
+            y += 4;
+            
+            roster.members.forEach(member => {
+                const lines = member.periods.map(period => WhatsAppParser.describeMembershipPeriod(period));
+                const wrapped = wrapText(this.cleanTextForPDF(lines.join('; ')), CONTENT_WIDTH - 45, 7);
+                ensureSpace(wrapped.length * 3.2 + 1);
+                
+                doc.setFontSize(7);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(...(member.isCurrent ? COLORS.textDark : COLORS.textGray));
+                const name = this.cleanTextForPDF(member.name);
+                doc.text(name.length > 25 ? name.substring(0, 22) + '...' : name, MARGIN + 2, y);
+                
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(...COLORS.textGray);
+                doc.text(wrapped, MARGIN + 42, y);
+                y += wrapped.length * 3.2 + 1;
+            });
+            y += 2;
+        }
+        
         // Footer
         doc.setFontSize(7);
         doc.setTextColor(...COLORS.textGray);
@@ -266,6 +379,9 @@ const ChatExporter = {
         let lastDate = null;
         const totalMessages = chatData.messages.length;
         
+        // Page of every rendered message, so replies can link back to the original
+        const messagePages = new Map();
+        
         for (let i = 0; i < totalMessages; i++) {
             const msg = chatData.messages[i];
             
@@ -294,7 +410,9 @@ const ChatExporter = {
             
             // ===== SYSTEM MESSAGE =====
             if (msg.isSystem) {
-                const sysTextClean = this.cleanTextForPDF(msg.text || 'System message');
+                // Disappearing-message timers get a marker (the viewer's icon can't be drawn)
+                const sysPrefix = msg.event && msg.event.event === 'disappearing_messages_toggled' ? '[Timer] ' : '';
+                const sysTextClean = sysPrefix + this.cleanTextForPDF(msg.text || 'System message');
                 const sysText = wrapText(sysTextClean, CONTENT_WIDTH - 30, 7);
                 const sysHeight = sysText.length * 3 + 3;
                 
@@ -316,23 +434,64 @@ const ChatExporter = {
             }
             
             // ===== REGULAR MESSAGE =====
-            const isOutgoing = msg.sender === currentUser;
+            const isOutgoing = !neutral && msg.sender === currentUser;
             const bubbleColor = isOutgoing ? COLORS.outgoingBg : COLORS.incomingBg;
             
             // Prepare content
             const sender = this.cleanTextForPDF(msg.sender || 'Unknown');
-            const text = this.cleanTextForPDF(msg.text || '');
-            const time = msg.formattedTime || '';
-            const hasMedia = msg.media && (msg.media.hasData || msg.media.type === 'omitted' || msg.media.filename);
+            const time = (msg.isEdited ? 'Edited ' : '') + (msg.formattedTime || '');
+            
+            // Poll, location and contact cards replace the text and media placeholder;
+            // view once and "waiting" messages say what is missing instead
+            const card = this.getPDFCard(msg);
+            const notice = ChatRenderer.getContentNotice(msg);
+            const text = card ? '' : this.cleanTextForPDF(notice ? `[${notice.label}] ${notice.detail}` : (msg.text || ''));
+            const hasMedia = !card && msg.media && (msg.media.hasData || msg.media.type === 'omitted' || msg.media.filename);
             
             // Calculate wrapped text
             const textPadding = 4;
             const innerWidth = MAX_BUBBLE_WIDTH - (textPadding * 2);
             const wrappedText = text ? wrapText(text, innerWidth, FONT_SIZE) : [];
             
+            // Card: title line plus one line per row, bars add a thin strip below their row
+            const CARD_ROW_HEIGHT = 3.5;
+            const CARD_BAR_HEIGHT = 1.8;
+            let cardTitle = '';
+            let cardHeight = 0;
+            if (card) {
+                const titleLines = wrapText(card.title, innerWidth - 4, FONT_SIZE);
+                cardTitle = titleLines.length > 1 ? titleLines[0] + '...' : titleLines[0];
+                cardHeight = 2 + LINE_HEIGHT + card.rows.reduce((sum, row) => sum + CARD_ROW_HEIGHT + (row.bar !== undefined ? CARD_BAR_HEIGHT : 0), 0);
+            }
+            
+            // Quoted message (reply) - one line of sender, one line of text
+            const QUOTE_HEIGHT = 8;
+            let quoteSender = '';
+            let quoteLine = '';
+            if (msg.quotedMessage) {
+                quoteSender = this.cleanTextForPDF(msg.quotedMessage.sender || '');
+                const quoteLines = wrapText(this.cleanTextForPDF(msg.quotedMessage.text || 'Media'), innerWidth - 4, SMALL_FONT);
+                quoteLine = quoteLines.length > 1 ? quoteLines[0] + '...' : (quoteLines[0] || '');
+            }
+            
             // Check if we should embed image thumbnail
-            const embedImage = this.exportOptions.includeAttachments && hasMedia && msg.media.hasData && msg.media.type === 'image' && msg.media.data;
-            const thumbnailHeight = embedImage ? 35 : 0;
+            const embedImage = this.exportOptions.includeAttachments && hasMedia && msg.media.hasData && msg.media.type === 'image';
+            
+            // Video poster frame (the [Video] placeholder when the browser cannot read the file)
+            const videoPoster = this.exportOptions.includeAttachments && hasMedia && msg.media.hasData && msg.media.type === 'video'
+                ? await this.loadVideoPoster(msg.media.key)
+                : null;
+            const thumbnailHeight = embedImage || videoPoster ? 35 : 0;
+            
+            // Voice note waveform (the [Audio] placeholder when the browser cannot decode the file)
+            const voiceNote = this.exportOptions.includeAttachments && hasMedia && msg.media.hasData && msg.media.type === 'audio'
+                ? await this.loadAudioInfo(msg.media.key)
+                : null;
+            
+            // Converted before measuring: an animated GIF adds a strip of frames
+            const pdfImage = embedImage ? await this.loadPDFImage(msg.media.key) : null;
+            const STRIP_HEIGHT = 10;
+            const stripHeight = pdfImage && pdfImage.strip ? STRIP_HEIGHT + 1 : 0;
             
             // Calculate bubble dimensions - COMPACT layout
             // Don't add base padding separately - it will be accounted for in top/bottom positioning
@@ -348,17 +507,32 @@ const ChatExporter = {
                 heightBreakdown.senderSpace = 4;
             }
             
+            // Quoted message block
+            if (msg.quotedMessage) {
+                bubbleHeight += QUOTE_HEIGHT + 1;
+                heightBreakdown.quote = QUOTE_HEIGHT + 1;
+            }
+            
             // Media placeholder or embedded image
             if (hasMedia) {
-                if (embedImage) {
-                    bubbleHeight += thumbnailHeight + 2;
-                    heightBreakdown.media = thumbnailHeight + 2;
+                if (embedImage || videoPoster) {
+                    bubbleHeight += thumbnailHeight + 2 + stripHeight;
+                    heightBreakdown.media = thumbnailHeight + 2 + stripHeight;
+                } else if (voiceNote) {
+                    bubbleHeight += VOICE_NOTE_HEIGHT + 1;
+                    heightBreakdown.media = VOICE_NOTE_HEIGHT + 1;
                 } else {
                     bubbleHeight += 8;
                     heightBreakdown.media = 8;
                 }
             }
             
+            // Card block
+            if (card) {
+                bubbleHeight += cardHeight + 1;
+                heightBreakdown.card = cardHeight + 1;
+            }
+            
             // Message text
             if (wrappedText.length > 0) {
                 const textHeight = wrappedText.length * LINE_HEIGHT + 1;
@@ -380,13 +554,23 @@ const ChatExporter = {
                 maxLineWidth = Math.max(maxLineWidth, getTextWidth(line, FONT_SIZE));
             });
             maxLineWidth = Math.max(maxLineWidth, getTextWidth(time, SMALL_FONT) + 4);
+            if (msg.quotedMessage) {
+                maxLineWidth = Math.max(maxLineWidth, getTextWidth(quoteLine, SMALL_FONT) + 4, getTextWidth(quoteSender, SMALL_FONT) + 4);
+            }
             if (hasMedia) {
-                maxLineWidth = Math.max(maxLineWidth, 50);
+                maxLineWidth = Math.max(maxLineWidth, voiceNote ? 65 : 50);
+            }
+            if (card) {
+                maxLineWidth = Math.max(maxLineWidth, 60, getTextWidth(cardTitle, FONT_SIZE) + 4);
+                card.rows.forEach(row => {
+                    maxLineWidth = Math.max(maxLineWidth, getTextWidth(row.text, SMALL_FONT) + 12);
+                });
             }
             
             const bubbleWidth = Math.min(MAX_BUBBLE_WIDTH, Math.max(maxLineWidth + textPadding * 2 + 3, 40));
             
             ensureSpace(bubbleHeight + 2);
+            messagePages.set(msg.id, doc.internal.getCurrentPageInfo().pageNumber);
             
             // Position bubble
             const bubbleX = isOutgoing ? PAGE_WIDTH - MARGIN - bubbleWidth : MARGIN;
@@ -417,20 +601,55 @@ const ChatExporter = {
             // Sender name (only for incoming)
             if (!isOutgoing) {
                 doc.setFontSize(SMALL_FONT);
-                doc.setTextColor(...COLORS.accent);
+                doc.setTextColor(...(neutral ? senderColor(msg.sender) : COLORS.accent));
                 doc.setFont('helvetica', 'bold');
                 const senderTrunc = sender.length > 25 ? sender.substring(0, 22) + '...' : sender;
                 doc.text(senderTrunc, bubbleX + textPadding, textY);
                 textY += 3.5;
             }
             
+            // Quoted message - links to the original's page when it was matched
+            if (msg.quotedMessage) {
+                const quoteX = bubbleX + textPadding - 1;
+                const quoteY = textY - 2.5;
+                const quoteWidth = bubbleWidth - textPadding * 2 + 2;
+                const uncertain = !msg.replyTo || msg.replyTo.confidence < 0.6;
+                
+                drawRect(quoteX, quoteY, quoteWidth, QUOTE_HEIGHT, 1, [240, 242, 245]);
+                drawRect(quoteX, quoteY, 0.8, QUOTE_HEIGHT, 0, uncertain ? COLORS.border : COLORS.accent);
+                
+                doc.setFontSize(SMALL_FONT);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(...COLORS.accent);
+                doc.text(quoteSender, quoteX + 2.5, quoteY + 3);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(...COLORS.textGray);
+                doc.text(quoteLine, quoteX + 2.5, quoteY + 6.3);
+                
+                const originalPage = msg.replyTo && messagePages.get(msg.replyTo.id);
+                if (originalPage) {
+                    doc.link(quoteX, quoteY, quoteWidth, QUOTE_HEIGHT, { pageNumber: originalPage });
+                }
+                
+                textY += QUOTE_HEIGHT + 1;
+            }
+            
             // Media handling
             if (hasMedia) {
                 if (embedImage) {
                     try {
+                        if (!pdfImage) throw new Error(`Could not read ${msg.media.key}`);
                         const imgWidth = bubbleWidth - (textPadding * 2);
-                        doc.addImage(msg.media.data, 'JPEG', bubbleX + textPadding, textY, imgWidth, thumbnailHeight, undefined, 'MEDIUM');
+                        if (msg.imageText) drawImageTextLayer(bubbleX + textPadding, textY, imgWidth, thumbnailHeight, msg.imageText);
+                        doc.addImage(pdfImage.dataUrl, pdfImage.format, bubbleX + textPadding, textY, imgWidth, thumbnailHeight, undefined, 'MEDIUM');
                         textY += thumbnailHeight + 2;
+                        
+                        if (pdfImage.strip) {
+                            const { strip } = pdfImage;
+                            const stripWidth = Math.min(imgWidth, STRIP_HEIGHT * strip.width / strip.height);
+                            doc.addImage(strip.dataUrl, strip.format, bubbleX + textPadding, textY, stripWidth, stripWidth * strip.height / strip.width, undefined, 'MEDIUM');
+                            textY += stripHeight;
+                        }
                     } catch (e) {
                         doc.setFontSize(SMALL_FONT);
                         doc.setTextColor(...COLORS.textGray);
@@ -438,6 +657,14 @@ const ChatExporter = {
                         doc.text('[Image]', bubbleX + textPadding, textY + 3);
                         textY += 7;
                     }
+                } else if (videoPoster) {
+                    const imgWidth = bubbleWidth - (textPadding * 2);
+                    doc.addImage(videoPoster.dataUrl, 'JPEG', bubbleX + textPadding, textY, imgWidth, thumbnailHeight, undefined, 'MEDIUM');
+                    drawVideoOverlay(bubbleX + textPadding, textY, imgWidth, thumbnailHeight, videoPoster.duration);
+                    textY += thumbnailHeight + 2;
+                } else if (voiceNote) {
+                    drawVoiceNote(bubbleX + textPadding, textY, bubbleWidth - textPadding * 2, voiceNote, msg.media.filename);
+                    textY += VOICE_NOTE_HEIGHT + 1;
                 } else {
                     doc.setFontSize(SMALL_FONT);
                     doc.setTextColor(...COLORS.textGray);
@@ -462,11 +689,49 @@ const ChatExporter = {
                 }
             }
             
-            // Message text
-            if (wrappedText.length > 0) {
+            // Poll, location or contact card
+            if (card) {
+                const cardX = bubbleX + textPadding - 1;
+                const cardY = textY - 1;
+                const cardWidth = bubbleWidth - textPadding * 2 + 2;
+                drawRect(cardX, cardY, cardWidth, cardHeight, 1.5, [245, 245, 245]);
+                
                 doc.setFontSize(FONT_SIZE);
+                doc.setFont('helvetica', 'bold');
                 doc.setTextColor(...COLORS.textDark);
+                doc.text(cardTitle, cardX + 2, cardY + 4);
+                
+                let rowY = cardY + 2 + LINE_HEIGHT;
+                doc.setFontSize(SMALL_FONT);
                 doc.setFont('helvetica', 'normal');
+                card.rows.forEach(row => {
+                    doc.setTextColor(...(row.link ? COLORS.accent : COLORS.textGray));
+                    doc.text(row.text, cardX + 2, rowY + 2.5);
+                    if (row.value !== undefined) {
+                        doc.text(String(row.value), cardX + cardWidth - 2, rowY + 2.5, { align: 'right' });
+                    }
+                    if (row.link) {
+                        doc.link(cardX, rowY, cardWidth, CARD_ROW_HEIGHT, { url: row.link });
+                    }
+                    rowY += CARD_ROW_HEIGHT;
+                    
+                    if (row.bar !== undefined) {
+                        drawRect(cardX + 2, rowY, cardWidth - 4, 0.8, 0, COLORS.border);
+                        if (row.bar > 0) {
+                            drawRect(cardX + 2, rowY, (cardWidth - 4) * row.bar, 0.8, 0, COLORS.accent);
+                        }
+                        rowY += CARD_BAR_HEIGHT;
+                    }
+                });
+                
+                textY += cardHeight + 1;
+            }
+            
+            // Message text
+            if (wrappedText.length > 0) {
+                doc.setFontSize(FONT_SIZE);
+                doc.setTextColor(...(notice ? COLORS.textGray : COLORS.textDark));
+                doc.setFont('helvetica', notice ? 'italic' : 'normal');
                 
                 wrappedText.forEach(line => {
                     doc.text(line, bubbleX + textPadding, textY);
@@ -521,37 +786,41 @@ const ChatExporter = {
             
             chatData.messages.forEach(msg => {
                 if (msg.media && msg.media.type === 'document' && msg.media.extension === 'pdf' && msg.media.filename) {
-                    let pdfData = mediaFiles.get(msg.media.filename);
-                    let actualFilename = msg.media.filename;
+                    // A file linked (or unlinked) by hand is final - no name guessing
+                    const manual = !!(msg.media.match && msg.media.match.method === 'manual');
+                    let pdfHandle = manual
+                        ? (msg.media.key ? mediaFiles.get(msg.media.key) : null)
+                        : mediaFiles.get(msg.media.filename);
+                    let actualFilename = manual && msg.media.key ? msg.media.key : msg.media.filename;
                     
-                    if (!pdfData) {
+                    if (!pdfHandle && !manual) {
                         for (const [key, value] of mediaFiles) {
                             if (key.toLowerCase() === msg.media.filename.toLowerCase() && key.toLowerCase().endsWith('.pdf')) {
-                                pdfData = value;
+                                pdfHandle = value;
                                 actualFilename = key;
                                 break;
                             }
                         }
                     }
                     
-                    if (!pdfData) {
+                    if (!pdfHandle && !manual) {
                         const baseName = msg.media.filename.replace(/^.*?(\d{5,}[-_].*)$/, '$1');
                         for (const [key, value] of mediaFiles) {
                             if (key.includes(baseName) && key.toLowerCase().endsWith('.pdf')) {
-                                pdfData = value;
+                                pdfHandle = value;
                                 actualFilename = key;
                                 break;
                             }
                         }
                     }
                     
-                    if (!pdfData) {
+                    if (!pdfHandle && !manual) {
                         for (const [key, value] of mediaFiles) {
                             if (key.toLowerCase().endsWith('.pdf')) {
                                 const msgNumeric = msg.media.filename.match(/(\d{5,})/);
                                 const keyNumeric = key.match(/(\d{5,})/);
                                 if (msgNumeric && keyNumeric && msgNumeric[1] === keyNumeric[1]) {
-                                    pdfData = value;
+                                    pdfHandle = value;
                                     actualFilename = key;
                                     break;
                                 }
@@ -564,8 +833,8 @@ const ChatExporter = {
                             filename: actualFilename,
                             displayName: msg.media.displayName || msg.media.filename,
                             pages: msg.media.pages || null,
-                            data: pdfData || null,
-                            hasData: !!pdfData,
+                            key: pdfHandle ? pdfHandle.key : null,
+                            hasData: !!pdfHandle,
                             timestamp: msg.timestamp,
                             sender: msg.sender,
                             formattedTime: msg.formattedTime || ''
@@ -575,13 +844,13 @@ const ChatExporter = {
                 }
             });
             
-            for (const [filename, data] of mediaFiles) {
+            for (const [filename, handle] of mediaFiles) {
                 if (filename.toLowerCase().endsWith('.pdf') && !pdfFilesFound.has(filename)) {
                     pdfAttachments.push({
                         filename: filename,
                         displayName: filename,
                         pages: null,
-                        data: data,
+                        key: handle.key,
                         hasData: true,
                         timestamp: null,
                         sender: 'Unknown',
@@ -643,8 +912,7 @@ const ChatExporter = {
                     
                     if (attachment.hasData && window.pdfjsLib) {
                         try {
-                            const base64Data = attachment.data.split(',')[1];
-                            const pdfBytes = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
+                            const pdfBytes = new Uint8Array(await MediaStore.getArrayBuffer(attachment.key));
                             const pdfDoc = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
                             const numPages = pdfDoc.numPages;
                             
@@ -722,10 +990,10 @@ const ChatExporter = {
             const imageAttachments = [];
             
             chatData.messages.forEach(msg => {
-                if (msg.media && msg.media.hasData && msg.media.type === 'image' && msg.media.data) {
+                if (msg.media && msg.media.hasData && msg.media.type === 'image') {
                     imageAttachments.push({
                         filename: msg.media.filename || 'image',
-                        data: msg.media.data,
+                        key: msg.media.key,
                         sender: msg.sender,
                         formattedDate: msg.formattedDate || '',
                         formattedTime: msg.formattedTime || ''
@@ -759,16 +1027,9 @@ const ChatExporter = {
                     onProgress(`Rendering image ${i + 1} of ${imageAttachments.length}...`);
                     
                     try {
-                        const imgElement = new Image();
-                        const imgLoaded = new Promise((resolve) => {
-                            imgElement.onload = () => resolve(true);
-                            imgElement.onerror = () => resolve(false);
-                            imgElement.src = img.data;
-                        });
+                        const image = await MediaStore.getPdfImage(img.key);
                         
-                        await imgLoaded;
-                        
-                        const aspectRatio = imgElement.naturalHeight / imgElement.naturalWidth;
+                        const aspectRatio = image.height / image.width;
                         const imgWidth = CONTENT_WIDTH;
                         let imgHeight = imgWidth * aspectRatio;
                         
@@ -777,7 +1038,12 @@ const ChatExporter = {
                             imgHeight = maxImgHeight;
                         }
                         
-                        if (y + imgHeight + 16 > PAGE_HEIGHT - MARGIN) {
+                        // Frames of an animated GIF go under the first one
+                        const strip = image.strip;
+                        const stripWidth = strip ? Math.min(CONTENT_WIDTH, 25 * strip.width / strip.height) : 0;
+                        const stripHeight = strip ? stripWidth * strip.height / strip.width : 0;
+                        
+                        if (y + imgHeight + (strip ? stripHeight + 3 : 0) + 16 > PAGE_HEIGHT - MARGIN) {
                             doc.addPage();
                             y = MARGIN;
                         }
@@ -796,10 +1062,15 @@ const ChatExporter = {
                         doc.setDrawColor(...COLORS.border);
                         doc.setLineWidth(0.3);
                         doc.rect(MARGIN, y, imgWidth, imgHeight, 'S');
-                        doc.addImage(img.data, 'JPEG', MARGIN, y, imgWidth, imgHeight, undefined, 'MEDIUM');
+                        doc.addImage(image.dataUrl, image.format, MARGIN, y, imgWidth, imgHeight, undefined, 'MEDIUM');
                         
                         y += imgHeight + 4;
                         
+                        if (strip) {
+                            doc.addImage(strip.dataUrl, strip.format, MARGIN, y, stripWidth, stripHeight, undefined, 'MEDIUM');
+                            y += stripHeight + 3;
+                        }
+                        
                         doc.setFontSize(6);
                         doc.setTextColor(...COLORS.textGray);
                         const cleanFilename = this.cleanTextForPDF(img.filename);
@@ -819,6 +1090,142 @@ const ChatExporter = {
             }
         }
         
+        // ========== VIDEO STILLS SECTION ==========
+        if (this.exportOptions.includeVideoStills) {
+            const videos = chatData.messages.filter(msg => msg.media && msg.media.hasData && msg.media.type === 'video');
+            
+            if (videos.length > 0) {
+                onProgress(`Adding ${videos.length} video still(s)...`);
+                
+                doc.addPage();
+                
+                drawRect(0, 0, PAGE_WIDTH, 32, 0, COLORS.headerBg);
+                doc.setFontSize(16);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(255, 255, 255);
+                doc.text('Video Stills', PAGE_WIDTH / 2, 15, { align: 'center' });
+                doc.setFontSize(9);
+                doc.setFont('helvetica', 'normal');
+                doc.text(`${videos.length} video(s) from this conversation`, PAGE_WIDTH / 2, 25, { align: 'center' });
+                y = 38;
+                
+                // Contact sheet: three frames per row, each with file, sender, time, length and size
+                const COLUMNS = 3;
+                const GAP = 5;
+                const CAPTION_HEIGHT = 11;
+                const cellWidth = (CONTENT_WIDTH - GAP * (COLUMNS - 1)) / COLUMNS;
+                const frameHeight = cellWidth * 9 / 16;
+                
+                for (let i = 0; i < videos.length; i++) {
+                    const msg = videos[i];
+                    const column = i % COLUMNS;
+                    onProgress(`Reading video ${i + 1} of ${videos.length}...`);
+                    
+                    if (column === 0) {
+                        if (i > 0) y += frameHeight + CAPTION_HEIGHT + GAP;
+                        ensureSpace(frameHeight + CAPTION_HEIGHT);
+                    }
+                    const x = MARGIN + column * (cellWidth + GAP);
+                    
+                    drawRect(x, y, cellWidth, frameHeight, 0, [30, 30, 30]);
+                    const poster = await this.loadVideoPoster(msg.media.key);
+                    if (poster) {
+                        // Fit the frame in the cell, keeping its shape
+                        const scale = Math.min(cellWidth / poster.width, frameHeight / poster.height);
+                        const w = poster.width * scale;
+                        const h = poster.height * scale;
+                        doc.addImage(poster.dataUrl, 'JPEG', x + (cellWidth - w) / 2, y + (frameHeight - h) / 2, w, h, undefined, 'MEDIUM');
+                        drawVideoOverlay(x, y, cellWidth, frameHeight, poster.duration);
+                    } else {
+                        doc.setFontSize(7);
+                        doc.setFont('helvetica', 'italic');
+                        doc.setTextColor(200, 200, 200);
+                        doc.text('No preview', x + cellWidth / 2, y + frameHeight / 2, { align: 'center' });
+                    }
+                    
+                    const captions = [
+                        this.cleanTextForPDF(msg.media.filename || 'video'),
+                        `${this.cleanTextForPDF(msg.sender)} | ${WhatsAppParser.formatDateRange(msg.timestamp, msg.timestamp)} ${msg.formattedTime || ''}`,
+                        poster ? ChatRenderer.describeVideo(poster) : 'Could not read the video'
+                    ];
+                    captions.forEach((caption, line) => {
+                        doc.setFont('helvetica', line === 0 ? 'bold' : 'normal');
+                        doc.setTextColor(...(line === 0 ? COLORS.textDark : COLORS.textGray));
+                        const lines = wrapText(caption, cellWidth, 6);
+                        doc.text(lines.length > 1 ? lines[0] + '...' : lines[0], x, y + frameHeight + 3 + line * 2.8);
+                    });
+                }
+                y += frameHeight + CAPTION_HEIGHT + GAP;
+            }
+        }
+        
+        // ========== PARSE REPORT APPENDIX ==========
+        if (this.exportOptions.includeParseReport && chatData.diagnostics) {
+            onProgress('Adding parse report...');
+            const report = chatData.diagnostics;
+            
+            doc.addPage();
+            
+            drawRect(0, 0, PAGE_WIDTH, 32, 0, COLORS.headerBg);
+            doc.setFontSize(16);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(255, 255, 255);
+            doc.text('Parse Report', PAGE_WIDTH / 2, 15, { align: 'center' });
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            doc.text(this.cleanTextForPDF(WhatsAppParser.summarizeDiagnostics(report)), PAGE_WIDTH / 2, 25, { align: 'center' });
+            y = 38;
+            
+            doc.setFontSize(8);
+            doc.setTextColor(...COLORS.textGray);
+            doc.text(`${report.totalLines.toLocaleString()} lines read. Line numbers refer to the exported .txt file.`, MARGIN, y);
+            y += 8;
+            
+            WhatsAppParser.DIAGNOSTIC_LISTS.forEach(({ list, title }) => {
+                const count = report.counts[list];
+                
+                ensureSpace(12);
+                doc.setFont('helvetica', 'bold');
+                doc.setFontSize(9);
+                doc.setTextColor(...COLORS.textDark);
+                doc.text(`${title} (${count.toLocaleString()})`, MARGIN, y);
+                y += 5;
+                
+                doc.setFont('helvetica', 'normal');
+                doc.setFontSize(SMALL_FONT);
+                
+                if (count === 0) {
+                    doc.setTextColor(...COLORS.textGray);
+                    doc.text('None', MARGIN + 2, y);
+                    y += 6;
+                    return;
+                }
+                
+                report[list].forEach(entry => {
+                    const where = entry.line
+                        ? (entry.sourceLabel ? `${entry.sourceLabel}:${entry.line}` : `Line ${entry.line}`) + ': '
+                        : '';
+                    const lines = wrapText(this.cleanTextForPDF(where + WhatsAppParser.describeDiagnostic(list, entry)), CONTENT_WIDTH - 4, SMALL_FONT);
+                    
+                    ensureSpace(lines.length * 3);
+                    doc.setTextColor(...COLORS.textDark);
+                    lines.forEach(line => {
+                        doc.text(line, MARGIN + 2, y);
+                        y += 3;
+                    });
+                    y += 0.8;
+                });
+                
+                if (count > report[list].length) {
+                    ensureSpace(4);
+                    doc.setTextColor(...COLORS.textGray);
+                    doc.text(`...and ${(count - report[list].length).toLocaleString()} more`, MARGIN + 2, y);
+                    y += 3.8;
+                }
+                y += 4;
+            });
+        }
+        
         // ========== SAVE ==========
         onProgress('Generating PDF file...');
         
@@ -833,7 +1240,7 @@ const ChatExporter = {
      * Export chat to standalone HTML file
      */
     async exportToHTML(chatData, chatName, mediaFiles = new Map()) {
-        const html = this.generateHTMLExport(chatData, chatName, mediaFiles);
+        const html = await this.generateHTMLExport(chatData, chatName, mediaFiles);
         
         const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
         const url = URL.createObjectURL(blob);
@@ -852,30 +1259,52 @@ const ChatExporter = {
 
     /**
      * Generate standalone HTML export with embedded media
+     * (files are read from MediaStore one message at a time)
      */
-    generateHTMLExport(chatData, chatName, mediaFiles) {
+    async generateHTMLExport(chatData, chatName, mediaFiles) {
         const currentUser = ChatRenderer?.currentUser || chatData.participants[0]?.name;
+        const neutral = this.exportOptions.layout === 'neutral';
         
         let messagesHtml = '';
         let lastDate = null;
         
-        chatData.messages.forEach(message => {
+        for (const message of chatData.messages) {
             if (message.formattedDate !== lastDate) {
                 messagesHtml += `<div class="date-sep"><span>${this.escapeHtml(message.formattedDate)}</span></div>`;
                 lastDate = message.formattedDate;
             }
             
             const msgClass = message.isSystem ? 'system' : 
-                (message.sender === currentUser ? 'outgoing' : 'incoming');
+                (!neutral && message.sender === currentUser ? 'outgoing' : 'incoming');
+            
+            // Poll, location and contact cards share the viewer's markup
+            const card = ChatRenderer.createCardElement(message);
+            const download = card && card.querySelector('a[download]');
+            if (download) {
+                download.href = await MediaStore.getDataUrl(message.media.key);
+            }
+            const cardHtml = card ? card.outerHTML : '';
+            
+            // Images the browser cannot show (HEIC) are embedded converted, next to the original
+            const embedded = message.media && message.media.hasData && ['image', 'video', 'audio'].includes(message.media.type)
+                ? await MediaStore.getDisplayDataUrl(message.media.key)
+                : null;
             
             let mediaHtml = '';
-            if (message.media) {
-                if (message.media.type === 'image' && message.media.hasData) {
-                    mediaHtml = `<div class="media"><img src="${message.media.data}" alt="Image" loading="lazy"></div>`;
-                } else if (message.media.type === 'video' && message.media.hasData) {
-                    mediaHtml = `<div class="media"><video src="${message.media.data}" controls preload="metadata"></video></div>`;
-                } else if (message.media.type === 'audio' && message.media.hasData) {
-                    mediaHtml = `<div class="media"><audio src="${message.media.data}" controls></audio></div>`;
+            if (message.media && !card) {
+                if (message.media.type === 'image' && embedded) {
+                    const original = MediaStore.isConverted(message.media.key)
+                        ? `<a class="original" href="${await MediaStore.getDataUrl(message.media.key)}" download="${this.escapeHtml(message.media.filename || message.media.key)}">Download original</a>`
+                        : '';
+                    mediaHtml = `<div class="media"><img src="${embedded}" alt="Image" loading="lazy">${original}</div>`;
+                } else if (message.media.type === 'video' && embedded) {
+                    mediaHtml = `<div class="media"><video src="${embedded}" controls preload="metadata"></video></div>`;
+                } else if (message.media.type === 'audio' && embedded) {
+                    const info = await this.loadAudioInfo(message.media.key);
+                    const details = info
+                        ? `<div class="audio-meta">🎤 ${ChatRenderer.formatDuration(info.duration)} · ${this.escapeHtml(message.media.filename || '')}</div>`
+                        : '';
+                    mediaHtml = `<div class="media"><audio src="${embedded}" controls></audio>${details}</div>`;
                 } else if (message.media.type === 'omitted') {
                     mediaHtml = `<div class="media-placeholder">📷 Media not included in export</div>`;
                 } else if (message.media.hasData) {
@@ -885,29 +1314,53 @@ const ChatExporter = {
                 }
             }
             
+            let quoteHtml = '';
+            if (message.quotedMessage) {
+                const replyTo = message.replyTo || {};
+                const quoteInner = `<div class="quote-sender">${this.escapeHtml(message.quotedMessage.sender || '')}</div>` +
+                    `<div class="quote-text">${this.escapeHtml(message.quotedMessage.text || 'Media')}</div>`;
+                const quoteClass = `quote${replyTo.confidence < 0.6 ? ' uncertain' : ''}`;
+                quoteHtml = replyTo.id !== null && replyTo.id !== undefined
+                    ? `<a class="${quoteClass}" href="#msg-${replyTo.id}">${quoteInner}</a>`
+                    : `<div class="${quoteClass}">${quoteInner}</div>`;
+            }
+            
+            const senderStyle = neutral ? ` style="color: ${ChatRenderer.getSenderColor(message.sender)}"` : '';
             const senderHtml = msgClass === 'incoming' && !message.isSystem 
-                ? `<div class="sender">${this.escapeHtml(message.sender)}</div>` 
+                ? `<div class="sender"${senderStyle}>${this.escapeHtml(message.sender)}</div>` 
                 : '';
             
-            const textHtml = message.text 
-                ? `<div class="text">${this.formatTextForExport(message.text)}</div>` 
-                : '';
+            // View once and "waiting" messages say what is missing; timers keep their icon
+            const notice = ChatRenderer.getContentNotice(message);
+            const timerIcon = message.event && message.event.event === 'disappearing_messages_toggled' ? '⏱️ ' : '';
+            const textHtml = notice
+                ? `<div class="text notice">${notice.icon} ${this.escapeHtml(notice.label)}<div class="notice-detail">${this.escapeHtml(notice.detail)}</div></div>`
+                : message.text && !card
+                    ? `<div class="text">${timerIcon}${this.formatTextForExport(message.text)}</div>` 
+                    : '';
             
             const timeHtml = !message.isSystem 
-                ? `<div class="time">${this.escapeHtml(message.formattedTime)}</div>` 
+                ? `<div class="time">${message.isEdited ? '<span class="edited">Edited</span> ' : ''}${this.escapeHtml(message.formattedTime)}</div>` 
+                : '';
+            
+            const reactionsHtml = message.reactions && message.reactions.length > 0
+                ? ChatRenderer.createReactionsElement(message).outerHTML
                 : '';
             
             messagesHtml += `
-                <div class="msg ${msgClass}">
+                <div class="msg ${msgClass}" id="msg-${message.id}">
                     <div class="bubble">
                         ${senderHtml}
+                        ${quoteHtml}
+                        ${cardHtml}
                         ${mediaHtml}
                         ${textHtml}
                         ${timeHtml}
+                        ${reactionsHtml}
                     </div>
                 </div>
             `;
-        });
+        }
         
         return `<!DOCTYPE html>
 <html lang="en">
@@ -989,6 +1442,9 @@ const ChatExporter = {
             color: #111b21;
             white-space: pre-wrap;
         }
+        .text.notice { font-style: italic; color: #667781; }
+        .notice-detail { font-size: 11px; }
+        .time .edited { font-style: italic; }
         .text a { color: #039be5; text-decoration: none; }
         .text a:hover { text-decoration: underline; }
         .time {
@@ -999,6 +1455,22 @@ const ChatExporter = {
             float: right;
             margin-left: 8px;
         }
+        .quote {
+            display: block;
+            background: rgba(0,0,0,0.05);
+            border-left: 3px solid #00a884;
+            border-radius: 4px;
+            padding: 3px 8px;
+            margin: 2px 0 4px;
+            text-decoration: none;
+            font-size: 12.5px;
+        }
+        .quote.uncertain { border-left-style: dashed; }
+        .message-reactions { clear: both; display: flex; flex-wrap: wrap; gap: 4px; padding-top: 3px; }
+        .reaction { font-size: 12px; padding: 0 6px; border-radius: 10px; background: rgba(0,0,0,0.06); }
+        .quote-sender { color: #00a884; font-weight: 500; font-size: 12px; }
+        .quote-text { color: #667781; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .msg:target .bubble { box-shadow: 0 0 0 3px #00a884; }
         .media {
             margin: 3px 0;
             border-radius: 6px;
@@ -1011,10 +1483,12 @@ const ChatExporter = {
             border-radius: 6px;
             cursor: pointer;
         }
+        .media .original { display: block; margin-top: 2px; font-size: 11px; color: #00a884; text-decoration: none; }
         .media audio {
             width: 100%;
             max-width: 280px;
         }
+        .media .audio-meta { font-size: 11px; color: #667781; margin-top: 2px; }
         .media-placeholder {
             background: #f0f2f5;
             padding: 10px 12px;
@@ -1023,6 +1497,24 @@ const ChatExporter = {
             color: #667781;
             margin: 3px 0;
         }
+        .message-card {
+            display: block;
+            min-width: 200px;
+            background: #f0f2f5;
+            padding: 8px 10px;
+            border-radius: 6px;
+            margin: 3px 0;
+            color: inherit;
+            text-decoration: none;
+        }
+        .card-title { font-weight: 600; margin-bottom: 4px; }
+        .card-detail { font-size: 13px; color: #667781; }
+        .card-footer { display: block; margin-top: 4px; font-size: 12px; color: #00a884; text-decoration: none; }
+        .poll-option { margin-bottom: 5px; }
+        .poll-option-row { display: flex; justify-content: space-between; gap: 12px; font-size: 13px; }
+        .poll-votes { color: #667781; }
+        .poll-bar { height: 4px; margin-top: 2px; background: #d1d7db; border-radius: 2px; overflow: hidden; }
+        .poll-bar span { display: block; height: 100%; background: #00a884; }
         .date-sep {
             display: flex;
             justify-content: center;
@@ -1072,6 +1564,11 @@ const ChatExporter = {
     <div class="header">
         <h1>${this.escapeHtml(chatName)}</h1>
         <p>${chatData.stats.totalMessages.toLocaleString()} messages • ${chatData.stats.dateRange}</p>
+        <p>${this.escapeHtml(this.describeTimeZones(chatData))}</p>
+        ${WhatsAppParser.describeFlagged(chatData.stats) ? `<p>Flagged: ${this.escapeHtml(WhatsAppParser.describeFlagged(chatData.stats))}</p>` : ''}
+        ${neutral
+            ? `<p>${this.escapeHtml(this.describePov(chatData, currentUser))}</p>`
+            : currentUser ? `<p>Viewing as ${this.escapeHtml(currentUser)} - ${this.escapeHtml(this.describePov(chatData, currentUser))}</p>` : ''}
     </div>
     <div class="container">
         ${messagesHtml}
@@ -1095,6 +1592,144 @@ const ChatExporter = {
 </html>`;
     },
 
+    /**
+     * One line naming the zone the export was read in and the zone times are shown in,
+     * e.g. "Time zone: Asia/Kolkata (UTC+05:30) - times shown in Europe/Berlin (UTC+01:00)"
+     */
+    describeTimeZones(chatData) {
+        if (!chatData.timeZone) return 'Time zone: unknown';
+        
+        const at = chatData.stats.lastDate || new Date();
+        const source = WhatsAppParser.describeTimeZone(chatData.timeZone.zone, at);
+        const display = chatData.displayTimeZone || chatData.timeZone.zone;
+        
+        return display === chatData.timeZone.zone
+            ? `Time zone: ${source}`
+            : `Time zone: ${source} - times shown in ${WhatsAppParser.describeTimeZone(display, at)}`;
+    },
+
+    /**
+     * Why the export is seen from this participant's side (or from nobody's,
+     * in the neutral layout), e.g. "Detected as the exporter (95% confidence): 2 "You deleted this message" under Anna"
+     */
+    describePov(chatData, currentUser) {
+        if (this.exportOptions.layout === 'neutral') {
+            return 'Neutral transcript: no perspective applied, every message is left-aligned under its sender\'s name';
+        }
+        
+        const exporter = chatData.exporter;
+        const confidence = exporter ? `${Math.round(exporter.confidence * 100)}% confidence` : '';
+        
+        if (exporter && exporter.name === currentUser) {
+            const reasons = exporter.clues.filter(clue => clue.name === currentUser).map(clue => clue.detail);
+            return `Detected as the exporter (${confidence}): ${reasons.join('; ')}`;
+        }
+        
+        // Not the detected exporter - the app falls back to the most active participant
+        const detected = exporter && exporter.name && exporter.confidence >= WhatsAppParser.EXPORTER_MIN_CONFIDENCE;
+        const mostActive = !detected && chatData.participants[0] && chatData.participants[0].name === currentUser;
+        const hint = exporter && exporter.name
+            ? `the export points to ${exporter.name}, ${confidence}`
+            : 'the export does not show who exported it';
+        return `${mostActive ? 'Most active participant' : 'Chosen by hand'} (${hint})`;
+    },
+
+    /**
+     * Convert '#rrggbb' to the [r, g, b] jsPDF expects
+     */
+    hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    /**
+     * Image for a PDF bubble, converted for jsPDF (see MediaStore.getPdfImage)
+     * @returns {Promise<Object|null>} null when the file cannot be read - the
+     *   bubble then shows an [Image] placeholder
+     */
+    async loadPDFImage(key) {
+        try {
+            return await MediaStore.getPdfImage(key);
+        } catch (error) {
+            console.error(`Could not convert ${key} for the PDF:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Video poster frame for the PDF (see MediaStore.getVideoInfo)
+     * @returns {Promise<Object|null>} { dataUrl, duration, width, height }, or
+     *   null when the browser cannot read the video
+     */
+    async loadVideoPoster(key) {
+        try {
+            const info = await MediaStore.getVideoInfo(key);
+            return { ...info, dataUrl: await MediaStore.blobToDataUrl(info.blob) };
+        } catch (error) {
+            console.error(`No poster frame for ${key}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Voice note length and waveform (see MediaStore.getAudioInfo)
+     * @returns {Promise<Object|null>} { duration, peaks }, or null when the
+     *   browser cannot decode the file
+     */
+    async loadAudioInfo(key) {
+        try {
+            return await MediaStore.getAudioInfo(key);
+        } catch (error) {
+            console.error(`No waveform for ${key}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Build the PDF card for poll, location and contact messages
+     * @returns {Object|null} { title, rows: [{ text, value?, bar?, link? }] }, or null for other types
+     */
+    getPDFCard(msg) {
+        if (msg.poll) {
+            const maxVotes = Math.max(1, ...msg.poll.options.map(o => o.votes));
+            return {
+                title: '[Poll] ' + this.cleanTextForPDF(msg.poll.question),
+                rows: [
+                    ...msg.poll.options.map(option => ({
+                        text: this.cleanTextForPDF(option.text),
+                        value: option.votes,
+                        bar: option.votes / maxVotes
+                    })),
+                    { text: `${msg.poll.totalVotes} vote${msg.poll.totalVotes === 1 ? '' : 's'}` }
+                ]
+            };
+        }
+        
+        if (msg.location) {
+            const { name, latitude, longitude, url } = msg.location;
+            const rows = [];
+            if (latitude !== null) {
+                rows.push({ text: `${latitude.toFixed(5)}, ${longitude.toFixed(5)}` });
+            }
+            rows.push({ text: 'Open in maps', link: url });
+            return { title: '[Location] ' + (this.cleanTextForPDF(name) || 'Shared location'), rows };
+        }
+        
+        if (msg.contact) {
+            const { name, phones, emails, organization } = msg.contact;
+            return {
+                title: '[Contact] ' + this.cleanTextForPDF(name),
+                rows: [
+                    ...(organization ? [{ text: this.cleanTextForPDF(organization) }] : []),
+                    ...phones.map(phone => ({ text: 'Tel: ' + this.cleanTextForPDF(phone) })),
+                    ...emails.map(email => ({ text: 'Email: ' + this.cleanTextForPDF(email) }))
+                ]
+            };
+        }
+        
+        return null;
+    },
+
     /**
      * Format text for HTML export
      */
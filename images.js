@@ -0,0 +1,312 @@
+/**
+ * WhatsApp2PDF - Image Normalisation
+ * Turns images the browser or jsPDF cannot use as they are into ones they can,
+ * and takes poster frames from videos for thumbnails and the PDF.
+ *
+ *   HEIC / HEIF - Decoded with libheif (WebAssembly, shipped in vendor/ and
+ *                 loaded on first use); only Safari shows them natively
+ *   WebP        - Redrawn for jsPDF (as PNG when transparent, so stickers
+ *                 do not turn black)
+ *   GIF         - First frame for jsPDF, plus a strip of frames so an
+ *                 animated GIF still shows its motion on paper
+ *   PNG, JPEG   - Passed through (jsPDF keeps a PNG's alpha channel)
+ *
+ * Conversions work on Blobs; MediaStore caches what the page shows and keeps
+ * the original file for download.
+ */
+
+const ImageConverter = {
+    // libheif-js 1.18.2, shipped with the app so HEIC photos open offline
+    HEIF_JS_PATH: 'vendor/libheif/libheif-bundle.js',
+
+    heifPromise: null,
+
+    // Types browsers other than Safari cannot show in an <img>
+    UNDISPLAYABLE_TYPES: ['image/heic', 'image/heif'],
+
+    // Types jsPDF can embed as they are
+    PDF_FORMATS: { 'image/jpeg': 'JPEG', 'image/png': 'PNG' },
+
+    // Frames in the strip under an animated GIF
+    STRIP_FRAMES: 6,
+    STRIP_FRAME_HEIGHT: 120,
+    JPEG_QUALITY: 0.9,
+
+    // Video posters: frame at 10% of the video (at most this far in), longest side, give-up time
+    POSTER_MAX_SEEK: 1,
+    POSTER_MAX_SIZE: 640,
+    POSTER_TIMEOUT: 15000,
+
+    /**
+     * Whether the page must show a converted copy instead of the file itself
+     */
+    needsDisplayConversion(mimeType) {
+        return this.UNDISPLAYABLE_TYPES.includes(mimeType);
+    },
+
+    /**
+     * Load the HEIC decoder (once)
+     * @returns {Promise<Object>} The libheif module
+     */
+    loadHeif() {
+        if (!this.heifPromise) {
+            const loadScript = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.HEIF_JS_PATH;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load the HEIC decoder (libheif)'));
+                document.head.appendChild(script);
+            });
+
+            // The bundle defines libheif as a factory for the module
+            this.heifPromise = loadScript
+                .then(() => (typeof libheif === 'function' ? libheif() : libheif))
+                .catch(error => {
+                    this.heifPromise = null;
+                    throw error;
+                });
+        }
+        return this.heifPromise;
+    },
+
+    /**
+     * Image the page can show: the blob itself, or a converted copy
+     * @param {Blob} blob - Original file
+     * @param {string} mimeType
+     * @returns {Promise<Blob>} JPEG, or PNG when the image has transparency
+     */
+    async toDisplayBlob(blob, mimeType) {
+        if (!this.needsDisplayConversion(mimeType)) return blob;
+        return this.canvasToBlob(await this.decodeHeif(blob));
+    },
+
+    /**
+     * Image ready for jsPDF's addImage
+     * @param {Blob} blob - Original file
+     * @param {string} mimeType
+     * @returns {Promise<Object>} { dataUrl, format: 'JPEG' | 'PNG', width, height, strip }
+     *   strip is null, or { dataUrl, width, height, frames } for animated GIFs
+     */
+    async toPdfImage(blob, mimeType) {
+        if (mimeType === 'image/gif') {
+            const { frames, frameCount } = await this.decodeFrames(blob, mimeType, this.STRIP_FRAMES);
+            const first = this.canvasToDataUrl(frames[0]);
+            const strip = frameCount > 1 ? this.buildStrip(frames) : null;
+            return {
+                ...first,
+                width: frames[0].width,
+                height: frames[0].height,
+                strip: strip && { ...this.canvasToDataUrl(strip, 'PNG'), width: strip.width, height: strip.height, frames: frames.length }
+            };
+        }
+
+        // JPEG and PNG go in untouched - no quality lost to re-encoding
+        const format = this.PDF_FORMATS[mimeType];
+        if (format) {
+            const bitmap = await createImageBitmap(blob);
+            const { width, height } = bitmap;
+            bitmap.close();
+            return { dataUrl: await MediaStore.blobToDataUrl(blob), format, width, height, strip: null };
+        }
+
+        const canvas = this.needsDisplayConversion(mimeType)
+            ? await this.decodeHeif(blob)
+            : await this.blobToCanvas(blob);
+        return { ...this.canvasToDataUrl(canvas), width: canvas.width, height: canvas.height, strip: null };
+    },
+
+    /**
+     * Poster frame, duration and resolution of a video
+     * @param {string} url - Object URL of the video
+     * @returns {Promise<Object>} { blob, duration, width, height } - blob is a
+     *   JPEG of a frame near the start (skipping a black first frame); duration
+     *   in seconds (null when the file does not say)
+     */
+    extractVideoPoster(url) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        const waitFor = (event) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out reading the video')), this.POSTER_TIMEOUT);
+            video.addEventListener(event, () => { clearTimeout(timer); resolve(); }, { once: true });
+            video.addEventListener('error', () => { clearTimeout(timer); reject(new Error('The browser cannot play this video')); }, { once: true });
+        });
+
+        const extract = async () => {
+            const loaded = waitFor('loadeddata');
+            video.src = url;
+            await loaded;
+
+            const duration = Number.isFinite(video.duration) ? video.duration : null;
+            const seeked = waitFor('seeked');
+            video.currentTime = duration ? Math.min(this.POSTER_MAX_SEEK, duration * 0.1) : 0;
+            await seeked;
+
+            const width = video.videoWidth;
+            const height = video.videoHeight;
+            if (!width || !height) throw new Error('The video has no picture');
+
+            const scale = Math.min(1, this.POSTER_MAX_SIZE / Math.max(width, height));
+            const canvas = this.createCanvas(Math.round(width * scale), Math.round(height * scale));
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            return { blob: await this.canvasToBlob(canvas, 'JPEG'), duration, width, height };
+        };
+
+        return extract().finally(() => {
+            // Let go of the decoder
+            video.removeAttribute('src');
+            video.load();
+        });
+    },
+
+    /**
+     * Decode a HEIC/HEIF file (its primary image) onto a canvas
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async decodeHeif(blob) {
+        const heif = await this.loadHeif();
+        const decoder = new heif.HeifDecoder();
+        const images = decoder.decode(new Uint8Array(await blob.arrayBuffer()));
+        if (!images || images.length === 0) throw new Error('Not a readable HEIC image');
+
+        const image = images[0];
+        const width = image.get_width();
+        const height = image.get_height();
+        const canvas = this.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        const pixels = context.createImageData(width, height);
+
+        await new Promise((resolve, reject) => {
+            image.display(pixels, result => (result ? resolve() : reject(new Error('Could not decode HEIC image'))));
+        });
+        context.putImageData(pixels, 0, 0);
+        images.forEach(decoded => decoded.free && decoded.free());
+        return canvas;
+    },
+
+    /**
+     * Decode up to maxFrames frames, spread over the whole animation
+     * (one frame where the browser cannot step through frames)
+     * @returns {Promise<Object>} { frames: [canvas], frameCount }
+     */
+    async decodeFrames(blob, mimeType, maxFrames) {
+        if (typeof ImageDecoder === 'undefined' || !(await ImageDecoder.isTypeSupported(mimeType))) {
+            return { frames: [await this.blobToCanvas(blob)], frameCount: 1 };
+        }
+
+        const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: mimeType });
+        try {
+            await decoder.tracks.ready;
+            const frameCount = decoder.tracks.selectedTrack.frameCount;
+            const count = Math.min(maxFrames, frameCount);
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                const frameIndex = Math.floor(i * frameCount / count);
+                const { image } = await decoder.decode({ frameIndex });
+                const canvas = this.createCanvas(image.displayWidth, image.displayHeight);
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                image.close();
+                frames.push(canvas);
+            }
+            return { frames, frameCount };
+        } finally {
+            decoder.close();
+        }
+    },
+
+    /**
+     * Frames side by side at a common height, on a transparent background
+     * @param {Array<HTMLCanvasElement>} frames
+     * @returns {HTMLCanvasElement}
+     */
+    buildStrip(frames) {
+        const GAP = 4;
+        const height = Math.min(this.STRIP_FRAME_HEIGHT, frames[0].height);
+        const widths = frames.map(frame => Math.round(frame.width * height / frame.height));
+        const strip = this.createCanvas(widths.reduce((sum, width) => sum + width, 0) + GAP * (frames.length - 1), height);
+        const context = strip.getContext('2d');
+
+        let x = 0;
+        frames.forEach((frame, i) => {
+            context.drawImage(frame, x, 0, widths[i], height);
+            x += widths[i] + GAP;
+        });
+        return strip;
+    },
+
+    /**
+     * Draw any image the browser can decode onto a canvas
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async blobToCanvas(blob) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = this.createCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    },
+
+    /**
+     * Blank canvas of the given size
+     */
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    /**
+     * Whether any pixel is not fully opaque
+     */
+    hasTransparency(canvas) {
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) return true;
+        }
+        return false;
+    },
+
+    /**
+     * PNG if the image has transparency (a JPEG would turn it black), else JPEG
+     */
+    pickFormat(canvas) {
+        return this.hasTransparency(canvas) ? 'PNG' : 'JPEG';
+    },
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} format - 'JPEG' or 'PNG' (default: see pickFormat)
+     * @returns {Object} { dataUrl, format }
+     */
+    canvasToDataUrl(canvas, format = this.pickFormat(canvas)) {
+        const dataUrl = format === 'PNG'
+            ? canvas.toDataURL('image/png')
+            : canvas.toDataURL('image/jpeg', this.JPEG_QUALITY);
+        return { dataUrl, format };
+    },
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} format - 'JPEG' or 'PNG' (default: see pickFormat)
+     * @returns {Promise<Blob>}
+     */
+    canvasToBlob(canvas, format = this.pickFormat(canvas)) {
+        const png = format === 'PNG';
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))),
+                png ? 'image/png' : 'image/jpeg',
+                png ? undefined : this.JPEG_QUALITY
+            );
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageConverter;
+}
@@ -0,0 +1,94 @@
+/**
+ * WhatsApp2PDF - Chat Importers
+ * Registry of the chat formats the app can read. The upload code asks the
+ * registry which files look like chats and which importer should parse each;
+ * every importer returns the chat data shape of WhatsAppParser.parse, so the
+ * renderer and exporters work the same for all of them.
+ *
+ * An importer is a plain object:
+ *   id          - Stable name, passed to the parser worker
+ *   name        - Shown in the UI
+ *   extensions  - File extensions it may accept (lowercase, no dot)
+ *   score(filename, content) -> { isChat, title?, summary, ... }
+ *   parse(content, mediaFiles, options) -> chat data (or a Promise for it)
+ *   parseChunked(content, mediaFiles, options, onBatch) -> chat data (optional)
+ */
+
+const WhatsAppImporter = {
+    id: 'whatsapp',
+    name: 'WhatsApp (.txt)',
+    extensions: ['txt'],
+
+    score(filename, content) {
+        const score = WhatsAppParser.scoreChatText(content);
+        return {
+            ...score,
+            summary: `${score.messageLines} of ${score.sampledLines} sampled lines look like messages`
+        };
+    },
+
+    parse(content, mediaFiles, options) {
+        return WhatsAppParser.parse(content, mediaFiles, options);
+    },
+
+    parseChunked(content, mediaFiles, options, onBatch) {
+        return WhatsAppParser.parseChunked(content, mediaFiles, options, onBatch);
+    }
+};
+
+const ChatImporters = {
+    importers: [],
+
+    /**
+     * Add an importer (the first one to recognise a file wins in detect())
+     */
+    register(importer) {
+        this.importers.push(importer);
+    },
+
+    /**
+     * Look up an importer by id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.importers.find(importer => importer.id === id) || null;
+    },
+
+    /**
+     * Check whether any importer may accept a file, judging by its name only
+     */
+    isCandidate(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        return this.importers.some(importer => importer.extensions.includes(extension));
+    },
+
+    /**
+     * Pick the importer for a file
+     * @param {string} filename
+     * @param {string} content - Decoded file contents
+     * @returns {Object} { importer, score } - the best-scoring importer for the
+     *   extension; score.isChat is false if none recognised the file
+     */
+    detect(filename, content) {
+        const extension = filename.split('.').pop().toLowerCase();
+        let best = null;
+
+        this.importers
+            .filter(importer => importer.extensions.includes(extension))
+            .forEach(importer => {
+                const score = importer.score(filename, content);
+                if (!best || (score.isChat && !best.score.isChat)) best = { importer, score };
+            });
+
+        return best || { importer: null, score: { isChat: false, summary: 'Unsupported file type' } };
+    }
+};
+
+ChatImporters.register(WhatsAppImporter);
+if (typeof TelegramImporter !== 'undefined') ChatImporters.register(TelegramImporter);
+if (typeof ChatDatabase !== 'undefined') ChatImporters.register(ChatDatabase);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatImporters;
+}
@@ -0,0 +1,245 @@
+/**
+ * WhatsApp2PDF - Media Store
+ * Keeps exported media as lazily extracted Blobs instead of base64 data URLs.
+ *
+ * Nothing is decompressed until someone asks for it: the renderer when a
+ * bubble scrolls into view, the exporters when they embed a file.
+ *
+ * The parser only ever sees handles - plain objects that can be posted to
+ * the parser worker:
+ *   { key, filename, mimeType, size, text? }
+ * Parsed messages keep `media.key` and resolve data through getUrl /
+ * getDataUrl / getArrayBuffer.
+ */
+
+const MediaStore = {
+    // key -> { handle, load, blob, url, displayUrl, video, audio, text }
+    entries: new Map(),
+
+    // Small text files read up front so the parser can use their contents
+    TEXT_EXTENSIONS: ['vcf'],
+
+    /**
+     * Register a media file
+     * @param {string} filename - Filename as it appears in the export
+     * @param {Object} source
+     * @param {string} source.mimeType - MIME type for the Blob
+     * @param {number} source.size - Size in bytes, if known
+     * @param {Function} source.load - Returns a Promise for the file's Blob (e.g. a ZIP entry or File)
+     * @returns {Promise<Object>} Handle for the file
+     */
+    async add(filename, { mimeType, size = null, load }) {
+        const handle = { key: filename, filename, mimeType, size };
+        const entry = { handle, load, blob: null, url: null, displayUrl: null, video: null, audio: null, text: null };
+        this.entries.set(filename, entry);
+
+        const extension = filename.split('.').pop().toLowerCase();
+        if (this.TEXT_EXTENSIONS.includes(extension)) {
+            handle.text = await (await this.getBlob(filename)).text();
+        }
+
+        return handle;
+    },
+
+    /**
+     * All handles, keyed by filename (the media map the parser expects)
+     * @returns {Map<string, Object>}
+     */
+    handles() {
+        return new Map(Array.from(this.entries, ([key, entry]) => [key, entry.handle]));
+    },
+
+    /**
+     * Check whether a file is in the store
+     */
+    has(key) {
+        return this.entries.has(key);
+    },
+
+    /**
+     * Extract a file (once) and return it as a Blob with the right MIME type
+     * @returns {Promise<Blob>}
+     */
+    async getBlob(key) {
+        const entry = this.entries.get(key);
+        if (!entry) throw new Error(`Media file not found: ${key}`);
+
+        if (!entry.blob) {
+            const blob = await entry.load();
+            entry.blob = blob.type === entry.handle.mimeType
+                ? blob
+                : blob.slice(0, blob.size, entry.handle.mimeType);
+        }
+        return entry.blob;
+    },
+
+    /**
+     * Object URL for displaying a file in the page (cached until clear())
+     * @returns {Promise<string>}
+     */
+    async getUrl(key) {
+        const entry = this.entries.get(key);
+        if (!entry) throw new Error(`Media file not found: ${key}`);
+
+        if (!entry.url) {
+            entry.url = URL.createObjectURL(await this.getBlob(key));
+        }
+        return entry.url;
+    },
+
+    /**
+     * Base64 data URL for exporters that must embed the bytes (jsPDF, standalone HTML).
+     * Not cached - callers should drop it once used.
+     * @returns {Promise<string>}
+     */
+    async getDataUrl(key) {
+        return this.blobToDataUrl(await this.getBlob(key));
+    },
+
+    /**
+     * Object URL of a version the page can show: the file itself, or a
+     * converted copy for formats the browser cannot display (see ImageConverter).
+     * Cached until clear().
+     * @returns {Promise<string>}
+     */
+    async getDisplayUrl(key) {
+        if (!this.isConverted(key)) return this.getUrl(key);
+
+        const entry = this.entries.get(key);
+        if (!entry.displayUrl) {
+            const blob = await ImageConverter.toDisplayBlob(await this.getBlob(key), entry.handle.mimeType);
+            entry.displayUrl = URL.createObjectURL(blob);
+        }
+        return entry.displayUrl;
+    },
+
+    /**
+     * Data URL of the version the page can show (for the standalone HTML export)
+     * @returns {Promise<string>}
+     */
+    async getDisplayDataUrl(key) {
+        if (!this.isConverted(key)) return this.getDataUrl(key);
+
+        const entry = this.entries.get(key);
+        return this.blobToDataUrl(await ImageConverter.toDisplayBlob(await this.getBlob(key), entry.handle.mimeType));
+    },
+
+    /**
+     * Image in a form jsPDF can embed (see ImageConverter.toPdfImage). Not cached.
+     * @returns {Promise<Object>} { dataUrl, format, width, height, strip }
+     */
+    async getPdfImage(key) {
+        const entry = this.entries.get(key);
+        if (!entry) throw new Error(`Media file not found: ${key}`);
+        return ImageConverter.toPdfImage(await this.getBlob(key), entry.handle.mimeType);
+    },
+
+    /**
+     * Poster frame, duration and resolution of a video - taken once, the
+     * first time the video is shown or exported, and cached until clear()
+     * @returns {Promise<Object>} { url, blob, duration, width, height } - url and
+     *   blob are the poster JPEG (see ImageConverter.extractVideoPoster)
+     */
+    getVideoInfo(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return Promise.reject(new Error(`Media file not found: ${key}`));
+
+        if (!entry.video) {
+            entry.video = this.getUrl(key)
+                .then(url => ImageConverter.extractVideoPoster(url))
+                .then(info => ({ ...info, url: URL.createObjectURL(info.blob) }))
+                .catch(error => {
+                    entry.video = null;
+                    throw error;
+                });
+        }
+        return entry.video;
+    },
+
+    /**
+     * Length and waveform of an audio file - decoded once and cached until clear()
+     * @returns {Promise<Object>} { duration, peaks } (see AudioAnalyzer.analyze)
+     */
+    getAudioInfo(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return Promise.reject(new Error(`Media file not found: ${key}`));
+
+        if (!entry.audio) {
+            entry.audio = this.getBlob(key)
+                .then(blob => AudioAnalyzer.analyze(blob))
+                .catch(error => {
+                    entry.audio = null;
+                    throw error;
+                });
+        }
+        return entry.audio;
+    },
+
+    /**
+     * Text in an image (see TextRecognizer) - read once and cached until clear()
+     * @returns {Promise<string>} '' when the image holds no readable text
+     */
+    getImageText(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return Promise.reject(new Error(`Media file not found: ${key}`));
+
+        if (!entry.text) {
+            // The converted copy for formats the recognizer cannot decode either (HEIC)
+            entry.text = this.getDisplayUrl(key)
+                .then(url => TextRecognizer.recognize(url))
+                .catch(error => {
+                    entry.text = null;
+                    throw error;
+                });
+        }
+        return entry.text;
+    },
+
+    /**
+     * Whether the page shows a converted copy instead of the file itself
+     * (the original stays available through getUrl / getDataUrl)
+     */
+    isConverted(key) {
+        const entry = this.entries.get(key);
+        return !!entry && typeof ImageConverter !== 'undefined' &&
+            ImageConverter.needsDisplayConversion(entry.handle.mimeType);
+    },
+
+    /**
+     * Read a Blob as a base64 data URL
+     * @returns {Promise<string>}
+     */
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Raw bytes (e.g. for pdf.js)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async getArrayBuffer(key) {
+        return (await this.getBlob(key)).arrayBuffer();
+    },
+
+    /**
+     * Forget every file and release its object URL
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            if (entry.url) URL.revokeObjectURL(entry.url);
+            if (entry.displayUrl) URL.revokeObjectURL(entry.displayUrl);
+            if (entry.video) entry.video.then(info => URL.revokeObjectURL(info.url), () => {});
+        });
+        this.entries = new Map();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaStore;
+}
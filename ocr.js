@@ -0,0 +1,85 @@
+/**
+ * WhatsApp2PDF - Text in Images
+ * Reads the text in image attachments (screenshots, photographed documents)
+ * with Tesseract - WebAssembly, in its own Web Worker - so search and the
+ * PDF can use it. Images never leave the browser.
+ *
+ * The library (tesseract.js 5.1.1), its WebAssembly core and the English
+ * language data ship with the app in vendor/tesseract, so recognition works
+ * offline. They are only loaded once the option is turned on; MediaStore
+ * caches the text per file.
+ */
+
+const TextRecognizer = {
+    // Relative to the page. The core folder holds the LSTM-only builds (with
+    // and without SIMD) and lang/ the gzipped eng.traineddata (4.0.0_best_int).
+    TESSERACT_JS_PATH: 'vendor/tesseract/tesseract.min.js',
+    WORKER_PATH: 'vendor/tesseract/worker.min.js',
+    CORE_PATH: 'vendor/tesseract/core',
+    LANG_PATH: 'vendor/tesseract/lang',
+    LANGUAGE: 'eng',
+
+    // Mean word confidence (0-100) below which a result is noise from a photo, not text
+    MIN_CONFIDENCE: 60,
+
+    workerPromise: null,
+
+    /**
+     * Load the recognizer and start its worker (once)
+     * @returns {Promise<Object>} The Tesseract worker
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            const loadScript = typeof Tesseract !== 'undefined' ? Promise.resolve() : new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.TESSERACT_JS_PATH;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Could not load the text recognizer (Tesseract)'));
+                document.head.appendChild(script);
+            });
+
+            this.workerPromise = loadScript
+                .then(() => Tesseract.createWorker(this.LANGUAGE, 1, {
+                    workerPath: this.WORKER_PATH,
+                    corePath: this.CORE_PATH,
+                    langPath: this.LANG_PATH
+                }))
+                .catch(error => {
+                    this.workerPromise = null;
+                    throw error;
+                });
+        }
+        return this.workerPromise;
+    },
+
+    /**
+     * Text in an image, on one line
+     * @param {Blob|string} image - Image Blob or object URL of a format the browser can show
+     * @returns {Promise<string>} '' when the image holds no readable text
+     */
+    async recognize(image) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image);
+        if (data.confidence < this.MIN_CONFIDENCE) return '';
+        return data.text.replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Stop the worker and free its memory (the next recognize starts a new one)
+     */
+    async terminate() {
+        if (!this.workerPromise) return;
+        const worker = this.workerPromise;
+        this.workerPromise = null;
+        try {
+            await (await worker).terminate();
+        } catch (error) {
+            // Never started - nothing to free
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextRecognizer;
+}
@@ -0,0 +1,30 @@
+/**
+ * WhatsApp2PDF - Parser Worker
+ * Runs a chat importer (see importers.js) off the main thread so large chats
+ * don't freeze the tab. Importers with parseChunked stream their messages.
+ *
+ * Messages in:  { importer, content, mediaFiles, options }
+ * Messages out: { type: 'batch', messages, progress }
+ *               { type: 'done', result }
+ *               { type: 'error', message }
+ */
+
+importScripts('encoding.js', 'parser.js', 'telegram.js', 'database.js', 'importers.js');
+
+self.onmessage = async (event) => {
+    const { importer: importerId, content, mediaFiles, options } = event.data;
+
+    try {
+        const importer = ChatImporters.get(importerId || 'whatsapp');
+        if (!importer) throw new Error(`Unknown chat format: ${importerId}`);
+
+        const result = importer.parseChunked
+            ? importer.parseChunked(content, mediaFiles, options, (messages, progress) => {
+                self.postMessage({ type: 'batch', messages, progress });
+            })
+            : await importer.parse(content, mediaFiles, options);
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -18,6 +18,9 @@
  * - Normal message: DD/MM/YYYY, HH:MM - Sender: Message text
  * - Uses dash as separator instead of brackets
  * 
+ * Localized exports (German, Spanish, Portuguese, French, Italian, Hindi)
+ * are recognised through the LOCALES phrase table.
+ * 
  * Special characters:
  * - U+200E (LRM) appears at start of lines and before certain content
  * - U+202F (Narrow No-Break Space) appears between time and AM/PM
@@ -44,17 +47,482 @@ const WhatsAppParser = {
             .trim();
     },
 
+    /**
+     * Localized WhatsApp phrases, keyed by language code.
+     * Each entry is a regex source fragment (alternatives separated by |).
+     * Missing keys fall back to English. Add languages with registerLocale().
+     */
+    LOCALES: {
+        en: {
+            name: 'English',
+            attached: 'attached',
+            mediaOmitted: '(?:image|video|audio|sticker|document|GIF)\\s*omitted|<Media omitted>',
+            documentOmitted: 'document\\s*omitted',
+            pages: 'pages?|sheets?',
+            voiceCall: 'Voice\\s*call',
+            videoCall: 'Video\\s*call',
+            groupCall: 'Group\\s*call',
+            missedCall: 'Missed.*call',
+            noAnswer: 'No\\s*answer',
+            tapToCallBack: 'Tap\\s*to\\s*call\\s*back',
+            deleted: 'This message was deleted',
+            selfDeleted: 'You deleted this message',
+            edited: '<This message was edited>',
+            viewOnce: 'View once (?:photo|video|voice message|message|media)(?:\\s*omitted)?',
+            waiting: 'Waiting for this message(?:\\.\\s*This may take a while)?\\.?',
+            fileAttached: '\\(file attached\\)',
+            poll: 'POLL',
+            pollOption: 'OPTION',
+            votes: 'votes?',
+            location: 'location',
+            liveLocation: 'Live location shared',
+            encrypted: 'Messages and calls are end-to-end encrypted',
+            groupEvent: 'created group|added|left|removed|changed the subject|changed this group',
+            listSeparator: ',\\s*|\\s+and\\s+',
+            // How the exporting user is named in system lines (shown as "You")
+            you: 'You',
+            // Structured system events - each capture group fills the named field.
+            // First match wins, so the open-ended added/removed patterns go last
+            events: [
+                { event: 'group_created', pattern: '^(.+?) created group ["“](.+)["”]$', fields: ['actor', 'subject'] },
+                { event: 'group_created', pattern: '^(.+?) created this group$', fields: ['actor'] },
+                { event: 'member_left', pattern: '^(.+?) left$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^(.+?) joined using (?:this|a) group(?:\'s)? (?:invite )?link$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) changed the (?:subject|group name) from ["“](.*)["”] to ["“](.*)["”]$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?) changed the (?:subject|group name) to ["“](.*)["”]$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?) (?:changed|deleted) this group\'s icon$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) changed the group description$', fields: ['actor'] },
+                { event: 'settings_changed', pattern: '^(.+?) changed (?:this group\'s|the group) settings.*$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^(You)\'re now an admin$', fields: ['targets'] },
+                { event: 'admin_promoted', pattern: '^(.+?) made (.+) an admin$', fields: ['actor', 'targets'] },
+                { event: 'admin_promoted', pattern: '^(.+?) (?:is|are) now an admin$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^(You)\'re no longer an admin$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^(.+?) dismissed (.+) as admin$', fields: ['actor', 'targets'] },
+                { event: 'number_changed', pattern: '^(.+?) changed their phone number to a new number\\b.*$', fields: ['actor'] },
+                { event: 'number_changed', pattern: '^(.+?) changed to (\\+[\\d\\s()-]+)$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) turned on disappearing messages\\.?(?:.*?(\\d+\\s*(?:hours?|days?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) turned off disappearing messages\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) uses? a default timer for disappearing messages in new chats\\.?(?:.*?(\\d+\\s*(?:hours?|days?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true, defaultTimer: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) changed the (?:disappearing )?message timer to (\\d+\\s*(?:hours?|days?))\\.?$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(?:All )?(?:new )?messages (?:in this chat )?will disappear (?:from this chat )?(\\d+\\s*(?:hours?|days?)) after (?:they\'re|they are) sent.*$', fields: ['duration'], values: { enabled: true } },
+                { event: 'member_added', pattern: '^(.+?) added (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?) removed (.+)$', fields: ['actor', 'targets'] }
+            ]
+        },
+        de: {
+            name: 'Deutsch',
+            attached: 'Anhang',
+            mediaOmitted: '(?:Bild|Video|Audio|Sticker|Dokument|GIF)\\s*weggelassen|<Medien ausgeschlossen>',
+            documentOmitted: 'Dokument\\s*weggelassen',
+            pages: 'Seiten?|Blätter|Blatt',
+            voiceCall: 'Sprachanruf',
+            videoCall: 'Videoanruf',
+            groupCall: 'Gruppenanruf',
+            missedCall: 'Verpasster.*anruf',
+            noAnswer: 'Keine\\s*Antwort',
+            tapToCallBack: 'Zum\\s*Zurückrufen\\s*tippen',
+            deleted: 'Diese Nachricht wurde gelöscht',
+            selfDeleted: 'Du hast diese Nachricht gelöscht',
+            edited: '<Diese Nachricht wurde bearbeitet>',
+            waiting: 'Warten auf diese Nachricht(?:\\..*)?',
+            viewOnce: '(?:(?:Foto|Video|Sprachnachricht|Nachricht|Medien)\\s*zur einmaligen Ansicht|Einmalansicht(?:-(?:Foto|Video|Sprachnachricht|Nachricht))?)(?:\\s*weggelassen)?',
+            fileAttached: '\\(Datei angehängt\\)',
+            poll: 'UMFRAGE',
+            pollOption: 'OPTION',
+            votes: 'Stimmen|Stimme',
+            location: 'Standort',
+            liveLocation: 'Live-Standort wird geteilt',
+            encrypted: 'Nachrichten und Anrufe sind Ende-zu-Ende-verschlüsselt',
+            groupEvent: 'hat die Gruppe .* erstellt|hinzugefügt|hat die Gruppe verlassen|entfernt|hat den Betreff|hat das Gruppenbild',
+            listSeparator: ',\\s*|\\s+und\\s+',
+            you: 'Du|Dich',
+            events: [
+                { event: 'group_created', pattern: '^(.+?) (?:hat|hast) die Gruppe ["“„«]\\s*(.+)\\s*["”“»] erstellt$', fields: ['actor', 'subject'] },
+                { event: 'member_left', pattern: '^(.+?) (?:hat|hast) die Gruppe verlassen$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^(.+?) (?:ist|bist) (?:der Gruppe )?über (?:den|einen) Einladungslink(?: dieser Gruppe)? beigetreten$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:hat|hast) den (?:Betreff|Gruppennamen) von ["“„«]\\s*(.*)\\s*["”“»] (?:zu|in) ["“„«]\\s*(.*)\\s*["”“»] geändert$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:hat|hast) den (?:Betreff|Gruppennamen) (?:zu|in) ["“„«]\\s*(.*)\\s*["”“»] geändert$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?) (?:hat|hast) das Gruppenbild (?:geändert|gelöscht)$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) (?:hat|hast) die Gruppenbeschreibung geändert$', fields: ['actor'] },
+                { event: 'settings_changed', pattern: '^(.+?) (?:hat|hast) die Gruppeneinstellungen geändert.*$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^(Du) bist jetzt (?:ein )?Admin$', fields: ['targets'] },
+                { event: 'admin_promoted', pattern: '^(.+?) (?:ist|sind) jetzt (?:ein )?Admin$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^(Du) bist kein Admin mehr$', fields: ['targets'] },
+                { event: 'number_changed', pattern: '^(.+?) hat zu (\\+[\\d\\s()-]+) gewechselt$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) (?:hat|hast) selbstlöschende Nachrichten aktiviert\\.?(?:.*?(\\d+\\s*(?:Stunden|Tage?n?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) (?:hat|hast) selbstlöschende Nachrichten deaktiviert\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'member_added', pattern: '^(.+?) (?:hat|hast) (.+) hinzugefügt$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?) (?:hat|hast) (.+) entfernt$', fields: ['actor', 'targets'] }
+            ]
+        },
+        es: {
+            name: 'Español',
+            attached: 'adjunto',
+            mediaOmitted: '(?:imagen|video|audio|sticker|documento|GIF)\\s*omitid[oa]|<Multimedia omitido>',
+            documentOmitted: 'documento\\s*omitido',
+            pages: 'páginas?|hojas?',
+            voiceCall: 'Llamada\\s*de\\s*voz',
+            videoCall: 'Videollamada',
+            groupCall: 'Llamada\\s*grupal',
+            missedCall: '(?:Llamada|Videollamada).*perdida',
+            noAnswer: 'Sin\\s*respuesta',
+            tapToCallBack: 'Toca\\s*para\\s*devolver\\s*la\\s*llamada',
+            deleted: 'Se eliminó este mensaje',
+            selfDeleted: 'Eliminaste este mensaje',
+            edited: '<Se editó este mensaje\\.?>',
+            waiting: 'Esperando (?:este|el) mensaje(?:\\..*)?',
+            viewOnce: '(?:Foto|Video|Mensaje de voz|Mensaje|Archivo multimedia) de (?:una sola visualización|visualización única)(?:\\s*omitid[oa])?',
+            fileAttached: '\\(archivo adjunto\\)',
+            poll: 'ENCUESTA',
+            pollOption: 'OPCIÓN',
+            votes: 'votos?',
+            location: 'ubicación',
+            liveLocation: 'Ubicación en tiempo real compartida',
+            encrypted: 'Los mensajes y las llamadas están cifrados de extremo a extremo',
+            groupEvent: 'creó el grupo|añadió|se unió|salió|eliminó a|cambió el asunto|cambió el nombre del grupo',
+            listSeparator: ',\\s*|\\s+y\\s+',
+            you: 'Tú|Tu|Usted|Te',
+            // "You ..." has no pronoun in Spanish ("Añadiste a Ana"), so those lines set the actor
+            events: [
+                { event: 'group_created', pattern: '^(.+?) creó el grupo ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['actor', 'subject'] },
+                { event: 'group_created', pattern: '^Creaste el grupo ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['subject'], values: { actor: 'You' } },
+                { event: 'member_left', pattern: '^Saliste(?: del grupo)?$', fields: [], values: { actor: 'You' } },
+                { event: 'member_left', pattern: '^(.+?) salió(?: del grupo)?$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^Te uniste (?:al grupo )?(?:usando|mediante|con) el enlace de invitación(?: de este grupo)?$', fields: [], values: { actor: 'You' } },
+                { event: 'member_joined', pattern: '^(.+?) se unió (?:al grupo )?(?:usando|mediante|con) el enlace de invitación(?: de este grupo)?$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) cambió el (?:asunto|nombre del grupo) de ["“„«]\\s*(.*)\\s*["”“»] a ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?) cambió el (?:asunto|nombre del grupo) a ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^Cambiaste el (?:asunto|nombre del grupo) a ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['newSubject'], values: { actor: 'You' } },
+                { event: 'icon_changed', pattern: '^(.+?) (?:cambió|eliminó) (?:el ícono|la imagen|la foto) (?:de este|del) grupo$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) cambió la descripción del grupo$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^Ahora eres (?:admin|administrador)(?: del grupo)?$', fields: [], values: { targets: ['You'] } },
+                { event: 'admin_promoted', pattern: '^(.+?) ahora es (?:admin|administrador)(?: del grupo)?$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^Ya no eres (?:admin|administrador)(?: del grupo)?$', fields: [], values: { targets: ['You'] } },
+                { event: 'number_changed', pattern: '^(.+?) cambió (?:su número )?a (\\+[\\d\\s()-]+)$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) activó los mensajes temporales\\.?(?:.*?(\\d+\\s*(?:horas?|días?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) desactivó los mensajes temporales\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'member_added', pattern: '^(.+?) (?:añadió|agregó) a (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_added', pattern: '^(.+?) te (?:añadió|agregó)$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_added', pattern: '^(?:Añadiste|Agregaste) a (.+)$', fields: ['targets'], values: { actor: 'You' } },
+                { event: 'member_removed', pattern: '^(.+?) eliminó a (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?) te eliminó$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_removed', pattern: '^Eliminaste a (.+)$', fields: ['targets'], values: { actor: 'You' } }
+            ],
+            am: 'a\\.\\s?m\\.',
+            pm: 'p\\.\\s?m\\.'
+        },
+        pt: {
+            name: 'Português',
+            attached: 'anexado',
+            mediaOmitted: '(?:imagem|vídeo|áudio|figurinha|documento|GIF)\\s*(?:ocultad[oa]|omitid[oa])|<Mídia oculta>|<Arquivo de mídia oculto>',
+            documentOmitted: 'documento\\s*(?:ocultado|omitido)',
+            pages: 'páginas?|planilhas?',
+            voiceCall: 'Chamada\\s*de\\s*voz',
+            videoCall: 'Chamada\\s*de\\s*vídeo',
+            groupCall: 'Chamada\\s*em\\s*grupo',
+            missedCall: 'Chamada.*perdida',
+            noAnswer: 'Não\\s*atendida',
+            tapToCallBack: 'Toque\\s*para\\s*retornar',
+            deleted: 'Mensagem apagada|Esta mensagem foi apagada',
+            selfDeleted: 'Você apagou esta mensagem',
+            edited: '<Mensagem editada>',
+            waiting: 'Aguardando (?:esta|a) mensagem(?:\\..*)?',
+            viewOnce: '(?:Foto|Vídeo|Mensagem de voz|Mensagem|Mídia) de visualização única(?:\\s*(?:ocultad[oa]|omitid[oa]))?',
+            fileAttached: '\\(arquivo anexado\\)',
+            poll: 'ENQUETE',
+            pollOption: 'OPÇÃO',
+            votes: 'votos?',
+            location: 'localização',
+            liveLocation: 'Localização em tempo real compartilhada',
+            encrypted: 'As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta',
+            groupEvent: 'criou o grupo|adicionou|saiu|removeu|mudou o assunto|mudou o nome do grupo',
+            listSeparator: ',\\s*|\\s+e\\s+',
+            you: 'Você|Voce|Te',
+            events: [
+                { event: 'group_created', pattern: '^(.+?) criou o grupo ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['actor', 'subject'] },
+                { event: 'member_left', pattern: '^(.+?) saiu(?: do grupo)?$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^(.+?) entr(?:ou|ou no grupo) (?:usando|pelo|por meio do) (?:o )?link de convite(?: deste grupo)?$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:mudou|alterou) o (?:assunto|nome do grupo) de ["“„«]\\s*(.*)\\s*["”“»] para ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:mudou|alterou) o (?:assunto|nome do grupo) para ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?) (?:mudou|alterou|apagou) (?:a imagem|o ícone) (?:deste|do) grupo$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) (?:mudou|alterou) a descrição do grupo$', fields: ['actor'] },
+                { event: 'settings_changed', pattern: '^(.+?) (?:mudou|alterou) as configurações (?:deste|do) grupo.*$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^Agora você é (?:um )?admin(?:istrador)?$', fields: [], values: { targets: ['You'] } },
+                { event: 'admin_promoted', pattern: '^(.+?) agora é (?:um )?admin(?:istrador)?$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^Você não é mais (?:um )?admin(?:istrador)?$', fields: [], values: { targets: ['You'] } },
+                { event: 'number_changed', pattern: '^(.+?) mudou para (\\+[\\d\\s()-]+)$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) ativou as mensagens temporárias\\.?(?:.*?(\\d+\\s*(?:horas?|dias?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) desativou as mensagens temporárias\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'member_added', pattern: '^(.+?) te adicionou$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_added', pattern: '^(.+?) adicionou (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?) te removeu$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_removed', pattern: '^(.+?) removeu (.+)$', fields: ['actor', 'targets'] }
+            ],
+            am: 'a\\.\\s?m\\.',
+            pm: 'p\\.\\s?m\\.'
+        },
+        fr: {
+            name: 'Français',
+            attached: 'pièce\\s*jointe',
+            mediaOmitted: '(?:image|vidéo|audio|sticker|document|GIF)\\s*(?:absente?|omise?)|<Médias omis>',
+            documentOmitted: 'document\\s*(?:absent|omis)',
+            pages: 'pages?|feuilles?',
+            voiceCall: 'Appel\\s*vocal',
+            videoCall: 'Appel\\s*vidéo',
+            groupCall: 'Appel\\s*de\\s*groupe',
+            missedCall: 'Appel.*manqué',
+            noAnswer: 'Pas\\s*de\\s*réponse',
+            tapToCallBack: 'Appuyez\\s*pour\\s*rappeler',
+            deleted: 'Ce message a été supprimé',
+            selfDeleted: 'Vous avez supprimé ce message',
+            edited: '<Ce message a été modifié>',
+            waiting: 'En attente de ce message(?:\\..*)?',
+            viewOnce: '(?:Photo|Vidéo|Message vocal|Message|Média) à (?:vue|visionnage) unique(?:\\s*(?:absente?|omise?))?',
+            fileAttached: '\\(fichier joint\\)',
+            poll: 'SONDAGE',
+            pollOption: 'OPTION',
+            votes: 'votes?',
+            location: 'position',
+            liveLocation: 'Position en direct partagée',
+            encrypted: 'Les messages et les appels sont chiffrés de bout en bout',
+            groupEvent: 'a créé le groupe|a ajouté|est parti|a retiré|a modifié le sujet|a changé le nom du groupe',
+            listSeparator: ',\\s*|\\s+et\\s+',
+            you: 'Vous|Tu|Toi',
+            events: [
+                { event: 'group_created', pattern: '^(.+?) (?:a|avez) créé le groupe ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['actor', 'subject'] },
+                { event: 'member_left', pattern: '^(.+?) (?:est|êtes) parti(?:e|\\(e\\))?$', fields: ['actor'] },
+                { event: 'member_left', pattern: '^(.+?) (?:a|avez) quitté le groupe$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^(.+?) (?:a|avez) rejoint (?:ce|le) groupe (?:via|avec) (?:le|un) lien d\'invitation$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:a|avez) (?:modifié|changé) (?:le sujet|le nom du groupe) (?:de|depuis) ["“„«]\\s*(.*)\\s*["”“»] (?:en|à|pour) ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?) (?:a|avez) (?:modifié|changé) (?:le sujet|le nom du groupe) (?:en|à|pour) ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?) (?:a|avez) (?:modifié|changé|supprimé) (?:l\'icône|la photo) (?:de ce|du) groupe$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) (?:a|avez) (?:modifié|changé) la description du groupe$', fields: ['actor'] },
+                { event: 'settings_changed', pattern: '^(.+?) (?:a|avez) (?:modifié|changé) les paramètres (?:de ce|du) groupe.*$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^(Vous) êtes (?:désormais|maintenant) admin(?:istrateur)?$', fields: ['targets'] },
+                { event: 'admin_promoted', pattern: '^(.+?) est (?:désormais|maintenant) admin(?:istrateur)?$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^(Vous) n\'êtes plus admin(?:istrateur)?$', fields: ['targets'] },
+                { event: 'number_changed', pattern: '^(.+?) (?:est passé|a changé de numéro pour) (?:au |à )?(\\+[\\d\\s()-]+)$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) (?:a|avez) activé les messages éphémères\\.?(?:.*?(\\d+\\s*(?:heures?|jours?)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) (?:a|avez) désactivé les messages éphémères\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'member_added', pattern: '^(.+?) vous a ajouté$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_added', pattern: '^(.+?) (?:a|avez) ajouté (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?) (?:a|avez) retiré (.+)$', fields: ['actor', 'targets'] }
+            ]
+        },
+        it: {
+            name: 'Italiano',
+            attached: 'allegato',
+            mediaOmitted: '(?:immagine|video|audio|sticker|documento|GIF)\\s*omess[oa]|<Media omessi>',
+            documentOmitted: 'documento\\s*omesso',
+            pages: 'pagin[ae]|fogli?',
+            voiceCall: 'Chiamata\\s*vocale',
+            videoCall: 'Videochiamata',
+            groupCall: 'Chiamata\\s*di\\s*gruppo',
+            missedCall: '(?:Chiamata|Videochiamata).*persa',
+            noAnswer: 'Nessuna\\s*risposta',
+            tapToCallBack: 'Tocca\\s*per\\s*richiamare',
+            deleted: 'Questo messaggio è stato eliminato',
+            selfDeleted: 'Hai eliminato questo messaggio',
+            edited: '<Questo messaggio è stato modificato>',
+            waiting: 'In attesa di questo messaggio(?:\\..*)?',
+            viewOnce: '(?:Foto|Video|Messaggio vocale|Messaggio|Contenuto multimediale) (?:visualizzabile una volta|a visualizzazione singola)(?:\\s*omess[oa])?',
+            fileAttached: '\\(file allegato\\)',
+            poll: 'SONDAGGIO',
+            pollOption: 'OPZIONE',
+            votes: 'voti|voto',
+            location: 'posizione',
+            liveLocation: 'Posizione in tempo reale condivisa',
+            encrypted: 'I messaggi e le chiamate sono crittografati end-to-end',
+            groupEvent: 'ha creato il gruppo|ha aggiunto|è uscito|ha rimosso|ha cambiato l\'oggetto|ha cambiato il nome del gruppo',
+            listSeparator: ',\\s*|\\s+e\\s+',
+            you: 'Tu|Te|Ti',
+            // "You ..." has no pronoun in Italian ("Hai aggiunto Anna"), so those lines set the actor
+            events: [
+                { event: 'group_created', pattern: '^Hai creato il gruppo ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['subject'], values: { actor: 'You' } },
+                { event: 'group_created', pattern: '^(.+?) ha creato il gruppo ["“„«]\\s*(.+)\\s*["”“»]$', fields: ['actor', 'subject'] },
+                { event: 'member_left', pattern: '^Sei uscit[oa](?: dal gruppo)?$', fields: [], values: { actor: 'You' } },
+                { event: 'member_left', pattern: '^(.+?) è uscit[oa](?: dal gruppo)?$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^Ti sei unit[oa] tramite (?:il )?link d\'invito(?: del gruppo)?$', fields: [], values: { actor: 'You' } },
+                { event: 'member_joined', pattern: '^(.+?) si è unit[oa] tramite (?:il )?link d\'invito(?: del gruppo)?$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?) ha cambiato (?:l\'oggetto|il nome del gruppo) da ["“„«]\\s*(.*)\\s*["”“»] a ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^Hai cambiato (?:l\'oggetto|il nome del gruppo) (?:in|a) ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['newSubject'], values: { actor: 'You' } },
+                { event: 'subject_changed', pattern: '^(.+?) ha cambiato (?:l\'oggetto|il nome del gruppo) (?:in|a) ["“„«]\\s*(.*)\\s*["”“»]$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?) ha (?:cambiato|eliminato) l\'immagine (?:di questo|del) gruppo$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?) ha (?:cambiato|modificato) la descrizione del gruppo$', fields: ['actor'] },
+                { event: 'settings_changed', pattern: '^(.+?) ha (?:cambiato|modificato) le impostazioni (?:di questo|del) gruppo.*$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^Ora sei (?:un )?amministratore$', fields: [], values: { targets: ['You'] } },
+                { event: 'admin_promoted', pattern: '^(.+?) (?:ora )?è (?:ora )?(?:un )?amministratore$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^Non sei più (?:un )?amministratore$', fields: [], values: { targets: ['You'] } },
+                { event: 'number_changed', pattern: '^(.+?) ha cambiato (?:il suo )?numero in (\\+[\\d\\s()-]+)$', fields: ['actor', 'newNumber'] },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) ha attivato i messaggi effimeri\\.?(?:.*?(\\d+\\s*(?:ore|giorni|giorno)))?.*$', fields: ['actor', 'duration'], values: { enabled: true } },
+                { event: 'disappearing_messages_toggled', pattern: '^(.+?) ha disattivato i messaggi effimeri\\.?$', fields: ['actor'], values: { enabled: false } },
+                { event: 'member_added', pattern: '^Hai aggiunto (.+)$', fields: ['targets'], values: { actor: 'You' } },
+                { event: 'member_added', pattern: '^(.+?) ti ha aggiunto$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_added', pattern: '^(.+?) ha aggiunto (.+)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^Hai rimosso (.+)$', fields: ['targets'], values: { actor: 'You' } },
+                { event: 'member_removed', pattern: '^(.+?) ti ha rimosso$', fields: ['actor'], values: { targets: ['You'] } },
+                { event: 'member_removed', pattern: '^(.+?) ha rimosso (.+)$', fields: ['actor', 'targets'] }
+            ]
+        },
+        hi: {
+            name: 'हिन्दी',
+            attached: 'संलग्न',
+            mediaOmitted: '(?:इमेज|वीडियो|ऑडियो|स्टिकर|दस्तावेज़|GIF)\\s*छोड़(?:ा|ी)\\s*गय(?:ा|ी)|<मीडिया छोड़ दिया गया>',
+            documentOmitted: 'दस्तावेज़\\s*छोड़ा\\s*गया',
+            pages: 'पेज|पृष्ठ',
+            voiceCall: 'वॉइस\\s*कॉल',
+            videoCall: 'वीडियो\\s*कॉल',
+            groupCall: 'ग्रुप\\s*कॉल',
+            missedCall: 'मिस्ड.*कॉल',
+            noAnswer: 'कोई\\s*जवाब\\s*नहीं',
+            tapToCallBack: 'वापस\\s*कॉल\\s*करने\\s*के\\s*लिए\\s*टैप\\s*करें',
+            deleted: 'यह संदेश हटा दिया गया था',
+            selfDeleted: 'आपने यह संदेश हटा दिया',
+            edited: '<यह संदेश संपादित किया गया था>',
+            viewOnce: '(?:एक बार देखने (?:वाली|वाला) (?:फ़ोटो|वीडियो|वॉइस मैसेज|मैसेज|मीडिया))(?:\\s*छोड़ (?:दी|दिया) गई?)?',
+            waiting: 'इस (?:संदेश|मैसेज) का इंतज़ार (?:किया जा रहा है|है)(?:\\..*)?',
+            encrypted: 'संदेश और कॉल एंड-टू-एंड एन्क्रिप्टेड हैं',
+            groupEvent: 'ने ग्रुप बनाया|ने जोड़ा|ने छोड़ दिया|ने हटाया|ने विषय बदला',
+            listSeparator: ',\\s*|\\s+और\\s+',
+            you: 'आप|आपको',
+            // "आपने" (you did) is written as one word, so the space before "ने" is optional
+            events: [
+                { event: 'group_created', pattern: '^(.+?)\\s?ने ग्रुप ["“„«]\\s*(.+)\\s*["”“»] बनाया$', fields: ['actor', 'subject'] },
+                { event: 'member_left', pattern: '^(.+?)\\s?ने (?:ग्रुप )?छोड़ दिया$', fields: ['actor'] },
+                { event: 'member_left', pattern: '^(.+?) (?:ग्रुप से )?(?:चले गए|लेफ़्ट हो गए)$', fields: ['actor'] },
+                { event: 'member_joined', pattern: '^(.+?) (?:इस )?ग्रुप के (?:आमंत्रण|इनवाइट) लिंक (?:से|का उपयोग करके) (?:जुड़े|जुड़ गए)$', fields: ['actor'] },
+                { event: 'subject_changed', pattern: '^(.+?)\\s?ने (?:विषय|ग्रुप का नाम) ["“„«]\\s*(.*)\\s*["”“»] से बदलकर ["“„«]\\s*(.*)\\s*["”“»] (?:कर दिया|किया)$', fields: ['actor', 'oldSubject', 'newSubject'] },
+                { event: 'subject_changed', pattern: '^(.+?)\\s?ने (?:विषय|ग्रुप का नाम) बदलकर ["“„«]\\s*(.*)\\s*["”“»] (?:कर दिया|किया)$', fields: ['actor', 'newSubject'] },
+                { event: 'icon_changed', pattern: '^(.+?)\\s?ने (?:इस )?ग्रुप का आइकन (?:बदला|हटाया)$', fields: ['actor'] },
+                { event: 'description_changed', pattern: '^(.+?)\\s?ने ग्रुप का विवरण बदला$', fields: ['actor'] },
+                { event: 'admin_promoted', pattern: '^अब (आप) (?:एक )?एडमिन हैं$', fields: ['targets'] },
+                { event: 'admin_demoted', pattern: '^(आप) अब एडमिन नहीं हैं$', fields: ['targets'] },
+                { event: 'member_added', pattern: '^(.+?)\\s?ने (.+?) को (?:जोड़ा|ऐड किया)$', fields: ['actor', 'targets'] },
+                { event: 'member_removed', pattern: '^(.+?)\\s?ने (.+?) को (?:हटाया|हटा दिया)$', fields: ['actor', 'targets'] }
+            ]
+        }
+    },
+
+    // Compiled regexes per locale code (built on first use)
+    compiledLocales: {},
+
+    /**
+     * Register (or extend) a locale phrase table
+     * @param {string} code - Language code, e.g. 'nl'
+     * @param {Object} phrases - Phrase fragments, same keys as LOCALES.en
+     */
+    registerLocale(code, phrases) {
+        this.LOCALES[code] = { ...(this.LOCALES[code] || {}), ...phrases };
+        delete this.compiledLocales[code];
+    },
+
+    /**
+     * Get the compiled regex set for a locale (English for unknown codes)
+     * @param {string} code - Language code
+     * @returns {Object} Locale with ready-to-use regexes
+     */
+    getLocale(code = 'en') {
+        if (!this.LOCALES[code]) code = 'en';
+        if (this.compiledLocales[code]) return this.compiledLocales[code];
+        
+        const p = { ...this.LOCALES.en, ...this.LOCALES[code] };
+        const calls = `${p.voiceCall}|${p.videoCall}|${p.groupCall}`;
+        
+        const locale = {
+            code,
+            name: p.name,
+            attached: new RegExp(`<\\s*(?:${p.attached})\\s*:\\s*([^>]+)>`, 'i'),
+            attachedAll: new RegExp(`<\\s*(?:${p.attached})\\s*:[^>]+>`, 'gi'),
+            mediaOmitted: new RegExp(p.mediaOmitted, 'i'),
+            mediaOmittedAll: new RegExp(p.mediaOmitted, 'gi'),
+            pdfWithAttachment: new RegExp(`([^•]+\\.pdf)\\s*•\\s*(\\d+)\\s*(?:${p.pages})\\s*<\\s*(?:${p.attached})\\s*:\\s*([^>]+)>`, 'i'),
+            documentOmitted: new RegExp(`([^•]+\\.(pdf|xlsx?|docx?|pptx?))\\s*•\\s*(\\d+)\\s*(${p.pages})\\s*(?:${p.documentOmitted})?`, 'i'),
+            documentOmittedAll: new RegExp(`•.*(?:${p.documentOmitted})`, 'gi'),
+            call: new RegExp(calls, 'i'),
+            callDetails: new RegExp(`(${calls})(?:,?\\s*(.+))?`, 'i'),
+            callType: new RegExp(`(${p.voiceCall}|${p.videoCall})`, 'i'),
+            missedCall: new RegExp(`${p.missedCall}|${p.noAnswer}|${p.tapToCallBack}`, 'i'),
+            noAnswer: new RegExp(p.noAnswer, 'i'),
+            tapToCallBack: new RegExp(`,?\\s*(?:${p.tapToCallBack})`, 'i'),
+            deleted: new RegExp(`${p.deleted}|${p.selfDeleted}`, 'i'),
+            selfDeleted: new RegExp(p.selfDeleted, 'i'),
+            edited: new RegExp(p.edited, 'i'),
+            editedAll: new RegExp(p.edited, 'gi'),
+            viewOnce: new RegExp(`^<?\\s*(?:${p.viewOnce})\\s*>?$`, 'i'),
+            waiting: new RegExp(`^(?:${p.waiting})$`, 'i'),
+            encrypted: new RegExp(p.encrypted, 'i'),
+            groupEvent: new RegExp(p.groupEvent, 'i'),
+            listSeparator: new RegExp(p.listSeparator, 'i'),
+            you: new RegExp(`^(?:${p.you})$`, 'i'),
+            fileAttached: new RegExp(`^(.+?\\.\\w{2,5})\\s*(?:${p.fileAttached})`, 'i'),
+            fileAttachedAll: new RegExp(`\\s*(?:${p.fileAttached})`, 'gi'),
+            poll: new RegExp(`^(?:${p.poll}):\\s*`, 'i'),
+            pollOption: new RegExp(`^(?:${p.pollOption}):\\s*(.*?)\\s*\\((\\d+)\\s*(?:${p.votes})\\)\\s*$`, 'i'),
+            location: new RegExp(`^(?:([^\\n]*)\\n)?(?:${p.location}):\\s*(https?:\\/\\/\\S+)\\s*$`, 'i'),
+            liveLocation: new RegExp(`^(?:${p.liveLocation})\\.?$`, 'i'),
+            events: (p.events || []).map(def => ({ ...def, regex: new RegExp(def.pattern, 'i') })),
+            meridiem: p.am && p.pm
+                ? new RegExp(`^(\\[?[\\d\\/.]+,\\s*\\d{1,2}:\\d{2}(?::\\d{2})?)\\s*(?:(${p.am})|(${p.pm}))`, 'i')
+                : null
+        };
+        
+        // Phrases that are specific enough to identify the export language
+        locale.markers = [
+            locale.attached, locale.mediaOmitted, locale.deleted, locale.edited,
+            locale.encrypted, locale.call, locale.missedCall, locale.fileAttached
+        ];
+        
+        this.compiledLocales[code] = locale;
+        return locale;
+    },
+
+    /**
+     * Detect the export language from localized system phrases
+     * @param {string} content - Raw chat text content
+     * @returns {string} Language code (defaults to 'en')
+     */
+    detectLocale(content) {
+        const lines = content.replace(/\r\n/g, '\n').split('\n').slice(0, 5000).map(l => this.cleanText(l));
+        let best = 'en';
+        let bestScore = 0;
+        
+        for (const code of Object.keys(this.LOCALES)) {
+            const locale = this.getLocale(code);
+            let score = 0;
+            for (const line of lines) {
+                if (line && locale.markers.some(re => re.test(line))) score++;
+            }
+            // English wins ties
+            if (score > bestScore) {
+                best = code;
+                bestScore = score;
+            }
+        }
+        
+        console.log(`🌐 Detected export language: ${this.getLocale(best).name} (${bestScore} matching lines)`);
+        return best;
+    },
+
+    /**
+     * Rewrite localized AM/PM markers (e.g. "a. m.") in a timestamp to AM/PM
+     */
+    normalizeMeridiem(line, locale) {
+        if (!locale || !locale.meridiem) return line;
+        return line.replace(locale.meridiem, (m, time, am) => `${time} ${am ? 'AM' : 'PM'}`);
+    },
+
     /**
      * Detect export format from content
      * @param {string} content - Raw chat text content
+     * @param {Object} locale - Compiled locale (see getLocale)
      * @returns {string} 'ios', 'android-bracket', or 'android-dash'
      */
-    detectFormat(content) {
+    detectFormat(content, locale = null) {
         // Clean the first few lines to detect format
         const lines = content.replace(/\r\n/g, '\n').split('\n').slice(0, 20);
         
         for (const rawLine of lines) {
-            const line = this.cleanText(rawLine);
+            const line = this.normalizeMeridiem(this.cleanText(rawLine), locale);
             if (!line) continue;
             
             // Check for bracketed format: [date, time] sender: message
@@ -79,20 +547,127 @@ const WhatsAppParser = {
         return 'ios';
     },
 
+    /**
+     * Lines parsed per batch by parseChunked
+     */
+    PARSE_CHUNK_LINES: 5000,
+
+    /**
+     * Entries kept per diagnostics list (the counts keep going past it)
+     */
+    DIAGNOSTICS_LIMIT: 500,
+
+    /**
+     * Start of a line that looks like a message timestamp, for spotting lines
+     * the message patterns failed to read
+     */
+    LOOKS_LIKE_TIMESTAMP: /^\[?\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4}[,\s]/,
+
+    /**
+     * Date and time at the start of a line, loose enough for any locale's
+     * AM/PM marker - used to tell chat transcripts from other .txt files
+     */
+    CHAT_LINE_PATTERN: /^\u200e?\[?\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4},?\s+\d{1,2}[:.]\d{2}/,
+
+    /**
+     * Lines sampled by scoreChatText, and the share of them that must start
+     * with a timestamp (multi-line messages keep real chats well under 100%)
+     */
+    CHAT_SCORE_SAMPLE: 500,
+    CHAT_SCORE_THRESHOLD: 0.3,
+
     /**
      * Parse the chat text content
      * @param {string} content - Raw chat text content
-     * @param {Map} mediaFiles - Map of filename -> blob/dataURL
+     * @param {Map} mediaFiles - Map of filename -> media handle (see MediaStore.handles)
+     * @param {Object} options - Parse options
+     * @param {string} options.dateOrder - Force 'DMY' or 'MDY' instead of auto-detecting
+     * @param {string} options.locale - Force a language code from LOCALES instead of auto-detecting
+     * @param {string} options.timeZone - IANA zone the export was written in (suggested when omitted)
+     * @param {string} options.displayTimeZone - IANA zone for formatted times (defaults to the source zone)
+     * @param {string} options.chatTitle - Chat name from the filename, a clue to who exported it (optional)
      * @returns {Object} Parsed chat data
      */
-    parse(content, mediaFiles = new Map()) {
+    parse(content, mediaFiles = new Map(), options = {}) {
+        const state = this.createParseState(content, options);
+        this.parseLines(state, mediaFiles, state.rawLines.length);
+        return this.finishParse(state, mediaFiles);
+    },
+
+    /**
+     * Incremental version of parse() for very large chats (used by parser-worker.js).
+     * Parses PARSE_CHUNK_LINES lines at a time and hands every batch of completed
+     * messages to onBatch before moving on. Batch messages are provisional: the
+     * final result re-links replies and renumbers ids, so callers should replace
+     * them with result.messages once parsing finishes.
+     * @param {string} content - Raw chat text content
+     * @param {Map} mediaFiles - Map of filename -> media handle (see MediaStore.handles)
+     * @param {Object} options - Same options as parse()
+     * @param {Function} onBatch - Called with (messages, progress) where progress is 0-1
+     * @returns {Object} Parsed chat data, same shape as parse()
+     */
+    parseChunked(content, mediaFiles = new Map(), options = {}, onBatch = () => {}) {
+        const state = this.createParseState(content, options);
+        const total = state.rawLines.length;
+        let emitted = 0;
+        
+        while (state.lineIndex < total) {
+            this.parseLines(state, mediaFiles, Math.min(state.lineIndex + this.PARSE_CHUNK_LINES, total));
+            
+            const batch = this.cleanupMessages(state.messages.slice(emitted)).map(msg => this.formatForDisplay(msg));
+            emitted = state.messages.length;
+            onBatch(batch, state.lineIndex / total);
+        }
+        
+        return this.finishParse(state, mediaFiles);
+    },
+
+    /**
+     * Score how much a text file looks like a WhatsApp chat transcript
+     * @param {string} content - Decoded file contents
+     * @returns {Object} { messageLines, sampledLines, ratio, isChat }
+     */
+    scoreChatText(content) {
+        const lines = [];
+        const pattern = /[^\r\n]+/g;
+        let match;
+        while (lines.length < this.CHAT_SCORE_SAMPLE && (match = pattern.exec(content))) {
+            const line = match[0].trim();
+            if (line) lines.push(line);
+        }
+        
+        const messageLines = lines.filter(line => this.CHAT_LINE_PATTERN.test(line)).length;
+        const ratio = lines.length > 0 ? messageLines / lines.length : 0;
+        
+        return {
+            messageLines,
+            sampledLines: lines.length,
+            ratio,
+            isChat: messageLines >= Math.min(3, lines.length) && messageLines > 0 && ratio >= this.CHAT_SCORE_THRESHOLD
+        };
+    },
+
+    /**
+     * Detect language, format and date order, and set up the line-by-line parse state
+     * @param {string} content - Raw chat text content
+     * @param {Object} options - Same options as parse()
+     * @returns {Object} Parse state consumed by parseLines and finishParse
+     */
+    createParseState(content, options = {}) {
         // Normalize line endings and split
         const rawLines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-        const messages = [];
-        const participants = new Map();
         
-        // Detect the export format
-        const exportFormat = this.detectFormat(content);
+        // Detect the export language and format
+        const locale = this.getLocale(options.locale || this.detectLocale(content));
+        const exportFormat = this.detectFormat(content, locale);
+        
+        // Decide DD/MM vs MM/DD once for the whole chat (unless overridden)
+        const dateOrder = options.dateOrder
+            ? { order: options.dateOrder, confidence: 1, source: 'manual' }
+            : this.detectDateOrder(rawLines);
+        
+        // Export text carries wall-clock times only; pin them to a zone
+        const { timeZone, displayTimeZone } = this.resolveTimeZones(options, () => this.suggestTimeZone(rawLines));
         
         // WhatsApp message patterns for different formats
         // iOS/Modern Android: [MM/DD/YY, HH:MM:SS AM/PM] Sender: Message
@@ -101,15 +676,45 @@ const WhatsAppParser = {
         // Legacy Android: DD/MM/YYYY, HH:MM - Sender: Message
         const dashPattern = /^(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM|am|pm)?)\s*-\s*([^:]+):\s*(.*)/;
         
-        // Combined pattern that works for both
-        const messagePattern = exportFormat === 'android-dash' ? dashPattern : bracketPattern;
+        // System message patterns (timestamp but no "Sender:" part)
+        const sysBracketPattern = /^\[(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM|am|pm)?)\]\s*(.+)/;
+        const sysDashPattern = /^(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM|am|pm)?)\s*-\s*(.+)/;
         
-        let currentMessage = null;
-        let lastTimestamp = null;
+        return {
+            rawLines,
+            locale,
+            localeSource: options.locale ? 'manual' : 'auto',
+            exportFormat,
+            dateOrder,
+            timeZone,
+            displayTimeZone,
+            chatTitle: options.chatTitle || null,
+            messagePattern: exportFormat === 'android-dash' ? dashPattern : bracketPattern,
+            sysPattern: exportFormat === 'android-dash' ? sysDashPattern : sysBracketPattern,
+            messages: [],
+            currentMessage: null,
+            lastTimestamp: null,
+            lineIndex: 0,
+            diagnostics: this.createDiagnostics(rawLines.length)
+        };
+    },
+
+    /**
+     * Parse raw lines up to (not including) line `end`, appending finished
+     * messages to state.messages. The message still being built stays in
+     * state.currentMessage until a later line (or finishParse) completes it.
+     * @param {Object} state - From createParseState
+     * @param {Map} mediaFiles - Map of media files
+     * @param {number} end - Line index to stop at
+     */
+    parseLines(state, mediaFiles, end) {
+        const { rawLines, locale, exportFormat, dateOrder, messagePattern, sysPattern, messages, diagnostics } = state;
+        const zone = state.timeZone.zone;
+        let { currentMessage, lastTimestamp } = state;
         
-        for (let i = 0; i < rawLines.length; i++) {
+        for (let i = state.lineIndex; i < end; i++) {
             // Clean the line of invisible characters
-            const line = this.cleanText(rawLines[i]);
+            const line = this.normalizeMeridiem(this.cleanText(rawLines[i]), locale);
             
             // Skip empty lines
             if (!line) continue;
@@ -119,7 +724,7 @@ const WhatsAppParser = {
             
             if (match) {
                 const [, dateStr, timeStr, sender, text] = match;
-                const timestamp = this.parseDateTime(dateStr, timeStr, exportFormat);
+                const timestamp = this.parseDateTime(dateStr, timeStr, exportFormat, dateOrder.order, zone, lastTimestamp);
                 const cleanSender = this.cleanSenderName(sender);
                 
                 // Detect quoted/reply messages:
@@ -132,6 +737,13 @@ const WhatsAppParser = {
                     (!currentMessage.rawText || currentMessage.rawText.trim() === '');
                 
                 if (isQuotedMessage) {
+                    this.recordDiagnostic(diagnostics, 'decisions', {
+                        kind: 'quote_merged',
+                        line: i + 1,
+                        messageLine: currentMessage.line,
+                        detail: `Older than the message before it - read as the message quoted by line ${currentMessage.line}`
+                    });
+                    
                     // This is a quoted message - merge it into the previous message
                     currentMessage.quotedMessage = {
                         timestamp,
@@ -147,18 +759,19 @@ const WhatsAppParser = {
                 // Skip empty messages that are just quote containers
                 if (!text.trim() && currentMessage) {
                     // Look ahead to see if next line is a quoted message
-                    const nextLine = i + 1 < rawLines.length ? this.cleanText(rawLines[i + 1]) : '';
+                    const nextLine = i + 1 < rawLines.length ? this.normalizeMeridiem(this.cleanText(rawLines[i + 1]), locale) : '';
                     const nextMatch = nextLine.match(messagePattern);
                     if (nextMatch) {
-                        const nextTimestamp = this.parseDateTime(nextMatch[1], nextMatch[2], exportFormat);
+                        const nextTimestamp = this.parseDateTime(nextMatch[1], nextMatch[2], exportFormat, dateOrder.order, zone);
                         if (nextTimestamp < timestamp) {
                             // This empty message will contain a quote - save previous and continue
                             if (currentMessage) {
-                                this.finalizeMessage(currentMessage, mediaFiles);
+                                this.finalizeMessage(currentMessage, mediaFiles, locale);
                                 messages.push(currentMessage);
                             }
                             currentMessage = {
                                 id: messages.length,
+                                line: i + 1,
                                 timestamp,
                                 sender: cleanSender,
                                 rawText: '',
@@ -176,18 +789,13 @@ const WhatsAppParser = {
                 
                 // Save previous message if exists
                 if (currentMessage) {
-                    this.finalizeMessage(currentMessage, mediaFiles);
+                    this.finalizeMessage(currentMessage, mediaFiles, locale);
                     messages.push(currentMessage);
                 }
                 
-                // Track participant
-                if (!this.isSystemSender(cleanSender)) {
-                    const count = participants.get(cleanSender) || 0;
-                    participants.set(cleanSender, count + 1);
-                }
-                
                 currentMessage = {
                     id: messages.length,
+                    line: i + 1,
                     timestamp,
                     sender: cleanSender,
                     rawText: text,
@@ -195,11 +803,47 @@ const WhatsAppParser = {
                     type: 'text',
                     media: null,
                     isSystem: false,
-                    hasQuote: false
+                    hasQuote: false,
+                    // iOS puts U+200E right after "Sender:" on system lines
+                    hasSystemMarker: /:\s*\u200e/.test(rawLines[i])
                 };
                 
                 lastTimestamp = timestamp;
+                continue;
+            }
+            
+            // Timestamped line without a sender - a system message (Android)
+            const sysMatch = line.match(sysPattern);
+            
+            if (sysMatch) {
+                if (currentMessage) {
+                    this.finalizeMessage(currentMessage, mediaFiles, locale);
+                    messages.push(currentMessage);
+                }
+                
+                const [, dateStr, timeStr, text] = sysMatch;
+                currentMessage = {
+                    id: messages.length,
+                    line: i + 1,
+                    timestamp: this.parseDateTime(dateStr, timeStr, exportFormat, dateOrder.order, zone, lastTimestamp),
+                    sender: 'System',
+                    rawText: text,
+                    text: '',
+                    type: 'system',
+                    media: null,
+                    isSystem: true
+                };
+                lastTimestamp = currentMessage.timestamp;
             } else if (currentMessage) {
+                // A date-like start that neither pattern took is probably a message we failed to read
+                if (this.LOOKS_LIKE_TIMESTAMP.test(line)) {
+                    this.recordDiagnostic(diagnostics, 'unparsedLines', {
+                        line: i + 1,
+                        text: line,
+                        reason: `Timestamp not recognised - kept as text of line ${currentMessage.line}`
+                    });
+                }
+                
                 // Continuation of previous message (multi-line)
                 // If previous message was expecting a quote and got regular text, this is the reply
                 if (currentMessage.hasQuote && currentMessage.rawText === '') {
@@ -208,162 +852,685 @@ const WhatsAppParser = {
                     currentMessage.rawText += '\n' + line;
                 }
             } else {
-                // Orphan line - might be a system message without sender
-                // System message patterns for different formats
-                const sysBracketPattern = /^\[(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM|am|pm)?)\]\s*(.+)/;
-                const sysDashPattern = /^(\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM|am|pm)?)\s*-\s*(.+)/;
-                
-                const sysPattern = exportFormat === 'android-dash' ? sysDashPattern : sysBracketPattern;
-                const sysMatch = line.match(sysPattern);
-                
-                if (sysMatch) {
-                    if (currentMessage) {
-                        this.finalizeMessage(currentMessage, mediaFiles);
-                        messages.push(currentMessage);
-                    }
-                    
-                    const [, dateStr, timeStr, text] = sysMatch;
-                    currentMessage = {
-                        id: messages.length,
-                        timestamp: this.parseDateTime(dateStr, timeStr, exportFormat),
-                        sender: 'System',
-                        rawText: text,
-                        text: '',
-                        type: 'system',
-                        media: null,
-                        isSystem: true
-                    };
-                    lastTimestamp = currentMessage.timestamp;
-                }
+                // Nothing to attach it to yet
+                this.recordDiagnostic(diagnostics, 'unparsedLines', {
+                    line: i + 1,
+                    text: line,
+                    reason: 'Before the first message - dropped'
+                });
             }
         }
         
+        state.currentMessage = currentMessage;
+        state.lastTimestamp = lastTimestamp;
+        state.lineIndex = end;
+    },
+
+    /**
+     * Complete the parse: flush the last message, link replies, count
+     * participants and build stats and roster
+     * @param {Object} state - From createParseState, after parseLines has consumed every line
+     * @param {Map} mediaFiles - Map of media files
+     * @returns {Object} Parsed chat data
+     */
+    finishParse(state, mediaFiles) {
+        const { messages, locale, exportFormat, dateOrder, timeZone, displayTimeZone, diagnostics } = state;
+        
         // Don't forget the last message
-        if (currentMessage) {
-            this.finalizeMessage(currentMessage, mediaFiles);
-            messages.push(currentMessage);
+        if (state.currentMessage) {
+            this.finalizeMessage(state.currentMessage, mediaFiles, locale);
+            messages.push(state.currentMessage);
+            state.currentMessage = null;
         }
         
+        // Link quotes to the messages they reply to
+        const linkedMessages = this.reconstructReplies(messages, mediaFiles, locale, diagnostics);
+        
         // Post-process: Remove empty messages and clean up
-        const cleanedMessages = this.cleanupMessages(messages);
+        const cleanedMessages = this.cleanupMessages(linkedMessages, diagnostics);
         
         // Process all messages for display
-        const processedMessages = cleanedMessages.map(msg => ({
-            ...msg,
-            formattedTime: this.formatTime(msg.timestamp),
-            formattedDate: this.formatDate(msg.timestamp)
-        }));
+        const processedMessages = cleanedMessages.map(msg => this.formatForDisplay(msg));
+        
+        // Whose phone the export came from (the default point of view)
+        state.exporter = this.detectExporter(processedMessages, { chatTitle: state.chatTitle });
+        
+        this.completeDiagnostics(state, processedMessages, mediaFiles);
+        
+        return this.buildChatData(processedMessages, {
+            exportFormat, // Include detected format for debugging
+            dateOrder,
+            locale: locale.code,
+            timeZone,
+            displayTimeZone,
+            exporter: state.exporter,
+            diagnostics
+        });
+    },
+
+    /**
+     * Empty parse report. Lists hold at most DIAGNOSTICS_LIMIT entries; counts are exact.
+     *   unparsedLines:   [{ line, text, reason }]
+     *   decisions:       [{ kind, line, messageId, detail }] - guesses the parser made
+     *   droppedMessages: [{ line, sender, timestamp, reason }]
+     *   unresolvedMedia: [{ line, messageId, filename, sender, timestamp, reason }]
+     * @param {number} totalLines - Lines in the export
+     */
+    createDiagnostics(totalLines) {
+        return {
+            totalLines,
+            unparsedLines: [],
+            decisions: [],
+            droppedMessages: [],
+            unresolvedMedia: [],
+            counts: { unparsedLines: 0, decisions: 0, droppedMessages: 0, unresolvedMedia: 0 }
+        };
+    },
+
+    /**
+     * Diagnostics lists in the order reports show them
+     */
+    DIAGNOSTIC_LISTS: [
+        { list: 'unparsedLines', title: 'Unrecognised lines' },
+        { list: 'droppedMessages', title: 'Dropped messages' },
+        { list: 'unresolvedMedia', title: 'Missing attachments' },
+        { list: 'decisions', title: 'Guesses made' }
+    ],
+
+    /**
+     * A count with its noun, e.g. "1 dropped message", "1,204 dropped messages"
+     * @param {number} n
+     * @param {string} singular
+     * @param {string} plural - When it isn't the singular plus "s"
+     */
+    formatCount(n, singular, plural = `${singular}s`) {
+        return `${n.toLocaleString()} ${n === 1 ? singular : plural}`;
+    },
+
+    /**
+     * One-line summary of a parse report, e.g. "2 unrecognised lines, 1 missing attachment"
+     */
+    summarizeDiagnostics(diagnostics) {
+        const { counts } = diagnostics;
+        const problems = [
+            counts.unparsedLines && this.formatCount(counts.unparsedLines, 'unrecognised line'),
+            counts.droppedMessages && this.formatCount(counts.droppedMessages, 'dropped message'),
+            counts.unresolvedMedia && this.formatCount(counts.unresolvedMedia, 'missing attachment')
+        ].filter(Boolean);
+        
+        return problems.length > 0
+            ? problems.join(', ')
+            : `All ${diagnostics.totalLines.toLocaleString()} lines accounted for`;
+    },
+
+    /**
+     * Text of one diagnostics entry (without its line number)
+     * @param {string} list - Which list the entry is from
+     * @param {Object} entry
+     */
+    describeDiagnostic(list, entry) {
+        const when = entry.timestamp ? `${this.formatDateRange(entry.timestamp, entry.timestamp)} ${this.formatTime(entry.timestamp)}` : '';
+        switch (list) {
+            case 'unparsedLines':
+                return `${entry.text} - ${entry.reason}`;
+            case 'droppedMessages':
+                return `${entry.sender}, ${when} - ${entry.reason}`;
+            case 'unresolvedMedia':
+                return `${entry.filename} from ${entry.sender}, ${when} - ${entry.reason}`;
+            default:
+                return entry.detail;
+        }
+    },
+
+    /**
+     * Add an entry to one of the diagnostics lists
+     * @param {Object} diagnostics - From createDiagnostics (ignored when null)
+     * @param {string} list - 'unparsedLines', 'decisions', 'droppedMessages' or 'unresolvedMedia'
+     * @param {Object} entry
+     */
+    recordDiagnostic(diagnostics, list, entry) {
+        if (!diagnostics) return;
+        diagnostics.counts[list]++;
+        if (diagnostics[list].length < this.DIAGNOSTICS_LIMIT) diagnostics[list].push(entry);
+    },
+
+    /**
+     * Fill in what is only known once parsing is done: chat-wide guesses,
+     * attachments that could not be matched, and final message ids
+     * @param {Object} state - Parse state
+     * @param {Array} messages - Final messages
+     * @param {Map} mediaFiles - Map of media files
+     */
+    completeDiagnostics(state, messages, mediaFiles) {
+        const { diagnostics, locale, localeSource, exportFormat, dateOrder, timeZone, exporter } = state;
+        
+        const orderName = dateOrder.order === 'DMY' ? 'DD/MM' : 'MM/DD';
+        const chatWide = [
+            { kind: 'locale', detail: `Language: ${locale.name} (${localeSource === 'manual' ? 'chosen' : 'detected'})` },
+            { kind: 'format', detail: `Export format: ${exportFormat}` },
+            {
+                kind: 'date_order',
+                detail: dateOrder.source === 'manual'
+                    ? `Date order: ${orderName} (chosen)`
+                    : dateOrder.confidence === 0
+                        ? `Date order: no evidence either way - assumed ${orderName}`
+                        : `Date order: ${orderName} (confidence ${dateOrder.confidence.toFixed(2)})`
+            },
+            {
+                kind: 'time_zone',
+                detail: timeZone.source === 'manual'
+                    ? `Time zone: ${timeZone.zone} (chosen)`
+                    : `Time zone: ${timeZone.zone} (suggested from ${timeZone.reason})`
+            },
+            { kind: 'exporter', detail: `Exported by: ${this.describeExporter(exporter)}` }
+        ];
+        diagnostics.decisions.unshift(...chatWide.map(entry => ({ ...entry, line: null, messageId: null })));
+        diagnostics.counts.decisions += chatWide.length;
+        
+        messages.forEach(msg => {
+            const media = msg.media;
+            if (!media || !media.filename || !this.ATTACHMENT_TYPES.includes(msg.type)) return;
+            
+            if (!media.hasData) {
+                this.recordDiagnostic(diagnostics, 'unresolvedMedia', {
+                    line: msg.line,
+                    messageId: msg.id,
+                    filename: media.filename,
+                    sender: msg.sender,
+                    timestamp: msg.timestamp,
+                    reason: mediaFiles.size === 0 ? 'No media files in the upload' : 'No file with this name in the upload'
+                });
+            } else if (media.match && media.match.method !== 'exact') {
+                const others = media.match.candidates.length - 1;
+                this.recordDiagnostic(diagnostics, 'decisions', {
+                    kind: 'media_match',
+                    line: msg.line,
+                    messageLine: msg.line,
+                    detail: `"${media.filename}" matched to file "${media.key}" by a loose name match` +
+                        (others > 0 ? ` (${others} other file${others === 1 ? '' : 's'} also matched)` : '')
+                });
+            }
+        });
+        
+        // Point decisions at the final message ids
+        const idByLine = new Map();
+        messages.forEach(msg => {
+            if (msg.line && !idByLine.has(msg.line)) idByLine.set(msg.line, msg.id);
+        });
+        diagnostics.decisions.forEach(entry => {
+            if (entry.messageLine === undefined) return;
+            entry.messageId = idByLine.has(entry.messageLine) ? idByLine.get(entry.messageLine) : null;
+            delete entry.messageLine;
+        });
+    },
+
+    /**
+     * Participants, statistics and roster for a finished message list
+     * @param {Array} messages - Cleaned, display-formatted messages
+     * @param {Object} details - Extra fields for the result (exportFormat, dateOrder, locale, ...)
+     * @returns {Object} Parsed chat data
+     */
+    buildChatData(messages, details) {
+        const participants = new Map();
+        
+        // Track participants (system events are not authored by a participant)
+        messages.forEach(msg => {
+            if (msg.isSystem || this.isSystemSender(msg.sender)) return;
+            participants.set(msg.sender, (participants.get(msg.sender) || 0) + 1);
+        });
         
         // Calculate statistics
-        const stats = this.calculateStats(processedMessages, participants);
+        const stats = this.calculateStats(messages, participants);
+        
+        // Group membership history from join/leave events. Their "You" is the
+        // exporter, whose messages carry their own name.
+        const exporter = details.exporter;
+        const you = exporter && exporter.name && exporter.confidence >= this.EXPORTER_MIN_CONFIDENCE ? exporter.name : null;
+        const roster = this.buildRoster(messages, { you });
         
         return {
-            messages: processedMessages,
+            messages,
             participants: Array.from(participants.entries())
                 .map(([name, count]) => ({ name, count }))
                 .sort((a, b) => b.count - a.count),
             stats,
-            exportFormat // Include detected format for debugging
+            ...details,
+            roster
         };
     },
 
     /**
-     * Clean up messages - remove empty ones, handle edge cases
+     * Merge several parsed exports of the same chat into one timeline.
+     * 
+     * A message counts as the same across exports when its minute, sender and
+     * text agree (Android exports have no seconds, iOS ones do). Repeats inside
+     * one export are kept: if export A has a key twice and B three times, the
+     * merged chat has it three times. When copies differ, the one whose media
+     * is actually in the upload wins, so a "without media" export picks up
+     * files from a "with media" one.
+     * 
+     * @param {Array<Object>} chats - Results of parse(), one per export
+     * @param {Array<string>} labels - Name of each export (for the summary)
+     * @returns {Object} Parsed chat data plus
+     *   sources: [{ label, messageCount, uniqueCount, mediaCount, firstDate, lastDate, exportFormat, locale, timeZone }]
+     *   mergeStats: { exports, total, duplicates }
+     *   diagnostics: every export's parse report, entries tagged with source
+     *   and message.sources: indexes into sources
+     * Each export keeps the source zone it was parsed with; the merged chat is
+     * displayed in the first export's display zone.
      */
-    cleanupMessages(messages) {
-        return messages.filter(msg => {
-            // Keep messages with media
-            if (msg.media) return true;
-            
-            // Keep messages with quoted content
-            if (msg.quotedMessage) return true;
-            
-            // Keep messages with actual text
-            if (msg.text && msg.text.trim()) return true;
-            
-            // Keep system messages
-            if (msg.isSystem) return true;
-            
-            // Keep call messages
-            if (msg.type === 'call' || msg.type === 'missed_call') return true;
+    mergeChats(chats, labels = []) {
+        const displayTimeZone = chats[0].displayTimeZone;
+        this.setDisplayTimeZone(displayTimeZone);
+        
+        const slots = new Map();   // merge key -> [{ message, sources }]
+        const entries = [];        // in first-seen order
+        const idMaps = chats.map(() => new Map()); // per export: old id -> entry
+        
+        chats.forEach((chat, sourceIndex) => {
+            const seen = new Map(); // merge key -> occurrences so far in this export
             
-            // Keep deleted messages
-            if (msg.type === 'deleted') return true;
+            chat.messages.forEach(msg => {
+                const key = this.getMergeKey(msg);
+                const occurrence = seen.get(key) || 0;
+                seen.set(key, occurrence + 1);
+                
+                const slot = slots.get(key) || [];
+                let entry = slot[occurrence];
+                if (entry) {
+                    entry.sources.push(sourceIndex);
+                    if (this.hasBetterMedia(msg, entry.message)) {
+                        entry.message = msg;
+                        entry.messageSource = sourceIndex;
+                    }
+                } else {
+                    entry = { message: msg, messageSource: sourceIndex, sources: [sourceIndex], order: entries.length };
+                    slot.push(entry);
+                    slots.set(key, slot);
+                    entries.push(entry);
+                }
+                idMaps[sourceIndex].set(msg.id, entry);
+            });
+        });
+        
+        // Chronological, keeping file order for equal timestamps
+        entries.sort((a, b) => (a.message.timestamp - b.message.timestamp) || (a.order - b.order));
+        entries.forEach((entry, index) => { entry.id = index; });
+        
+        const messages = entries.map(entry => {
+            const msg = { ...this.formatForDisplay(entry.message), id: entry.id, sources: entry.sources };
             
-            // Filter out empty messages
-            return false;
+            // Reply links point at ids in the export the winning copy came from
+            if (msg.replyTo && msg.replyTo.id !== null) {
+                const original = idMaps[entry.messageSource].get(msg.replyTo.id);
+                msg.replyTo = { ...msg.replyTo, id: original ? original.id : null };
+            }
+            return msg;
+        });
+        
+        const sources = chats.map((chat, sourceIndex) => ({
+            label: labels[sourceIndex] || `Export ${sourceIndex + 1}`,
+            messageCount: chat.messages.length,
+            uniqueCount: entries.filter(entry => entry.sources.length === 1 && entry.sources[0] === sourceIndex).length,
+            mediaCount: chat.messages.filter(msg => msg.media && msg.media.hasData).length,
+            firstDate: chat.stats.firstDate,
+            lastDate: chat.stats.lastDate,
+            exportFormat: chat.exportFormat,
+            locale: chat.locale,
+            timeZone: chat.timeZone.zone
+        }));
+        
+        const total = chats.reduce((sum, chat) => sum + chat.messages.length, 0);
+        
+        // Surface the least certain date order so the override stays reachable
+        const dateOrder = chats.map(chat => chat.dateOrder)
+            .reduce((least, order) => order.confidence < least.confidence ? order : least);
+        
+        console.log(`🔀 Merged ${chats.length} exports: ${total} messages, ${total - messages.length} duplicates removed`);
+        
+        return this.buildChatData(messages, {
+            exportFormat: [...new Set(chats.map(chat => chat.exportFormat))].join(' + '),
+            dateOrder,
+            locale: [...new Set(chats.map(chat => chat.locale))].join(' + '),
+            timeZone: chats[0].timeZone,
+            displayTimeZone,
+            exporter: this.scoreExporterClues(chats.flatMap(chat => (chat.exporter ? chat.exporter.clues : []))),
+            diagnostics: this.mergeDiagnostics(chats, sources, idMaps),
+            sources,
+            mergeStats: {
+                exports: chats.length,
+                total,
+                duplicates: total - messages.length
+            }
         });
     },
 
     /**
-     * Finalize a message - determine type, extract media, clean text
+     * Combine the parse reports of merged exports. Entries get the index of
+     * their export in `source`, and message ids are moved to the merged timeline.
+     * @param {Array<Object>} chats - Parsed exports
+     * @param {Array<Object>} sources - Merge sources (for the labels)
+     * @param {Array<Map>} idMaps - Per export: old id -> merged entry
      */
-    finalizeMessage(message, mediaFiles) {
-        const text = message.rawText || '';
+    mergeDiagnostics(chats, sources, idMaps) {
+        const merged = this.createDiagnostics(0);
         
-        // Check for media attachment: <attached: filename>
-        const attachMatch = text.match(/<\s*attached\s*:\s*([^>]+)>/i);
-        if (attachMatch) {
-            // Extra cleaning for filename - remove any non-printable characters
-            let filename = attachMatch[1];
-            filename = this.cleanText(filename);
-            // Also remove any characters that aren't letters, numbers, dots, dashes, underscores
-            filename = filename.replace(/[^\w\d.\-_]/g, '').trim();
+        chats.forEach((chat, sourceIndex) => {
+            const report = chat.diagnostics;
+            if (!report) return;
             
-            console.log(`📎 Attachment found in message: "${filename}" (raw: "${attachMatch[1]}")`);
+            merged.totalLines += report.totalLines;
+            Object.keys(merged.counts).forEach(list => {
+                merged.counts[list] += report.counts[list];
+                report[list].forEach(entry => {
+                    if (merged[list].length >= this.DIAGNOSTICS_LIMIT) return;
+                    const target = entry.messageId !== null && entry.messageId !== undefined
+                        ? idMaps[sourceIndex].get(entry.messageId)
+                        : null;
+                    merged[list].push({
+                        ...entry,
+                        messageId: target ? target.id : null,
+                        source: sourceIndex,
+                        sourceLabel: sources[sourceIndex].label
+                    });
+                });
+            });
+        });
+        
+        return merged;
+    },
+
+    /**
+     * Identity of a message across exports: minute, sender and whitespace-normalized text
+     */
+    getMergeKey(msg) {
+        const minute = msg.timestamp ? Math.floor(msg.timestamp.getTime() / 60000) : 'none';
+        const text = (msg.text || '').replace(/\s+/g, ' ').trim();
+        return `${minute}|${msg.sender}|${text}`;
+    },
+
+    /**
+     * Whether a copy of a message carries media the other copy lacks
+     */
+    hasBetterMedia(candidate, current) {
+        const hasData = msg => !!(msg.media && msg.media.hasData);
+        return hasData(candidate) && !hasData(current);
+    },
+
+    /**
+     * Copy of a message with its display time and date strings
+     */
+    formatForDisplay(msg) {
+        return {
+            ...msg,
+            formattedTime: this.formatTime(msg.timestamp),
+            formattedDate: this.formatDate(msg.timestamp)
+        };
+    },
+
+    /**
+     * Allowed clock difference (seconds) between a quote and its original,
+     * and between a "quote" and the message it was merged into
+     */
+    REPLY_CLOCK_SKEW: 120,
+
+    /**
+     * Reply reconstruction pass. Links every quotedMessage to the original
+     * message (by id) and records how sure the match is:
+     *   message.replyTo = { id, confidence (0-1), method }
+     * method is 'exact' (sender, text and time agree), 'fuzzy' (partial
+     * agreement) or 'unmatched' (original not in the export).
+     * A "quote" that matches nothing and is only a few seconds older than the
+     * message it was merged into is really a message with a skewed clock -
+     * it is split back out as a regular message.
+     * @param {Array} messages - Finalized messages in file order
+     * @param {Map} mediaFiles - Map of media files (for re-finalizing)
+     * @param {Object} locale - Compiled locale
+     * @param {Object} diagnostics - Parse report to note split quotes in (optional)
+     * @returns {Array} Messages with replyTo set, ids renumbered
+     */
+    reconstructReplies(messages, mediaFiles, locale, diagnostics = null) {
+        const firstLine = (text) => this.cleanText((text || '').split('\n')[0]).toLowerCase();
+        
+        // Score how well a candidate matches a quote
+        const scoreCandidate = (quote, candidate) => {
+            if (candidate.isSystem) return null;
             
-            const extension = filename.split('.').pop().toLowerCase();
+            const quoteText = firstLine(quote.text);
+            const candidateText = firstLine(candidate.rawText);
+            const textExact = quoteText !== '' && quoteText === candidateText;
+            const textPrefix = !textExact && quoteText.length >= 3 &&
+                (candidateText.startsWith(quoteText) || quoteText.startsWith(candidateText) && candidateText.length >= 3);
+            const senderMatch = quote.sender === candidate.sender;
+            const skew = Math.abs(quote.timestamp - candidate.timestamp) / 1000;
+            const timeExact = skew === 0;
             
-            // Find the media file
-            let mediaData = this.findMediaFile(filename, mediaFiles);
+            // Need the text, or the sender at exactly the quoted time
+            if (!textExact && !textPrefix && !(senderMatch && timeExact)) return null;
             
-            message.media = {
-                filename,
-                type: this.getMediaType(extension),
-                extension,
-                data: mediaData,
-                hasData: !!mediaData
+            const confidence = (senderMatch ? 0.3 : 0) +
+                (textExact ? 0.5 : textPrefix ? 0.35 : 0) +
+                (timeExact ? 0.2 : skew <= this.REPLY_CLOCK_SKEW ? 0.1 : 0);
+            return {
+                confidence: Math.round(confidence * 100) / 100,
+                method: textExact && senderMatch && timeExact ? 'exact' : 'fuzzy'
             };
-            message.type = 'media';
-            
-            // Remove the attachment tag from text
-            message.text = text.replace(/<\s*attached\s*:[^>]+>/gi, '').trim();
-            return;
-        }
+        };
         
-        // Check for media omitted
-        if (/(?:image|video|audio|sticker|document|GIF)\s*omitted/i.test(text)) {
-            message.media = {
-                filename: null,
-                type: 'omitted',
-                extension: null,
-                data: null,
-                hasData: false
-            };
-            message.type = 'media_omitted';
-            message.text = '';
-            return;
-        }
+        // Best-scoring original among list[0..end), searching backwards
+        const findOriginal = (quote, list, end) => {
+            let best = null;
+            for (let j = end - 1; j >= 0; j--) {
+                const score = scoreCandidate(quote, list[j]);
+                if (score && (!best || score.confidence > best.confidence)) {
+                    best = { id: list[j].id, ...score };
+                    if (score.method === 'exact') break;
+                }
+            }
+            return best;
+        };
         
-        // Check for PDF document with attachment tag
-        // Format: "filename.pdf • N pages <attached: actual-filename.pdf>"
-        const pdfWithAttachMatch = text.match(/([^•]+\.pdf)\s*•\s*(\d+)\s*pages?\s*<\s*attached\s*:\s*([^>]+)>/i);
+        // Split misfired quotes back out into their own messages. All of the
+        // container's text is the quote's, so the restored message replaces it
+        // rather than leaving an empty shell for cleanup to report as dropped.
+        const result = [];
+        messages.forEach((msg, index) => {
+            result.push(msg);
+            if (!msg.quotedMessage) return;
+            
+            const quote = msg.quotedMessage;
+            const skew = (msg.timestamp - quote.timestamp) / 1000;
+            
+            if (skew <= this.REPLY_CLOCK_SKEW && !findOriginal(quote, messages, index)) {
+                const restored = {
+                    id: msg.id,
+                    line: msg.line,
+                    timestamp: quote.timestamp,
+                    sender: quote.sender,
+                    rawText: [quote.text, msg.rawText].filter(Boolean).join('\n'),
+                    text: '',
+                    type: 'text',
+                    media: null,
+                    isSystem: false,
+                    hasQuote: false
+                };
+                this.finalizeMessage(restored, mediaFiles, locale);
+                
+                this.recordDiagnostic(diagnostics, 'decisions', {
+                    kind: 'quote_split',
+                    line: msg.line,
+                    messageLine: msg.line,
+                    detail: 'Quoted text matched no earlier message - restored as a message of its own'
+                });
+                result[result.length - 1] = restored;
+            }
+        });
+        
+        // Renumber ids, then link remaining quotes to their originals
+        result.forEach((msg, index) => { msg.id = index; });
+        
+        result.forEach((msg, index) => {
+            if (!msg.quotedMessage) return;
+            msg.replyTo = findOriginal(msg.quotedMessage, result, index) ||
+                { id: null, confidence: 0.3, method: 'unmatched' };
+        });
+        
+        return result;
+    },
+
+    /**
+     * Clean up messages - remove empty ones, handle edge cases
+     * @param {Array} messages
+     * @param {Object} diagnostics - Parse report to list dropped messages in (optional)
+     */
+    cleanupMessages(messages, diagnostics = null) {
+        return messages.filter(msg => {
+            if (this.isKeptMessage(msg)) return true;
+            
+            this.recordDiagnostic(diagnostics, 'droppedMessages', {
+                line: msg.line,
+                sender: msg.sender,
+                timestamp: msg.timestamp,
+                reason: 'Empty message'
+            });
+            return false;
+        });
+    },
+
+    /**
+     * Whether a finalized message has anything worth showing
+     */
+    isKeptMessage(msg) {
+        // Keep messages with media
+        if (msg.media) return true;
+        
+        // Keep messages with quoted content
+        if (msg.quotedMessage) return true;
+        
+        // Keep messages with actual text
+        if (msg.text && msg.text.trim()) return true;
+        
+        // Keep system messages
+        if (msg.isSystem) return true;
+        
+        // Keep call messages
+        if (msg.type === 'call' || msg.type === 'missed_call') return true;
+        
+        // Keep deleted messages
+        if (msg.type === 'deleted') return true;
+        
+        // Keep polls, locations and contact cards
+        if (['poll', 'location', 'live_location', 'contact'].includes(msg.type)) return true;
+        
+        // Keep placeholders for content the export never had
+        if (msg.type === 'view_once' || msg.type === 'waiting') return true;
+        
+        // Filter out empty messages
+        return false;
+    },
+
+    /**
+     * Finalize a message - determine type, extract media, clean text
+     * @param {Object} message - Message being built by parse()
+     * @param {Map} mediaFiles - Map of media files
+     * @param {Object} locale - Compiled locale (see getLocale)
+     */
+    finalizeMessage(message, mediaFiles, locale = this.getLocale('en')) {
+        const text = message.rawText || '';
+        
+        // Internal parse flag - read once here so it never reaches chatData
+        const hasSystemMarker = !!message.hasSystemMarker;
+        delete message.hasSystemMarker;
+        
+        // Check for media attachment: <attached: filename> (iOS) or "filename (file attached)" (Android)
+        const attachMatch = text.match(locale.attached) || text.match(locale.fileAttached);
+        if (attachMatch) {
+            // Extra cleaning for filename - remove any non-printable characters
+            let filename = attachMatch[1];
+            filename = this.cleanText(filename);
+            const displayName = filename;
+            // Also remove any characters that aren't letters, numbers, dots, dashes, underscores
+            filename = filename.replace(/[^\w\d.\-_]/g, '').trim();
+            
+            const extension = filename.split('.').pop().toLowerCase();
+            
+            // Find the media file (names with spaces, e.g. contact cards, are tried as-is first)
+            const match = (displayName !== filename && this.matchMediaFile(displayName, mediaFiles)) ||
+                this.matchMediaFile(filename, mediaFiles);
+            const mediaHandle = match ? match.handle : null;
+            
+            message.media = {
+                filename,
+                type: this.getMediaType(extension),
+                extension,
+                key: mediaHandle ? mediaHandle.key : null,
+                hasData: !!mediaHandle,
+                match: match ? { method: match.method, candidates: match.candidates } : null
+            };
+            message.type = 'media';
+            
+            // Remove the attachment tag from text
+            message.text = text.replace(attachMatch[0], '').replace(locale.attachedAll, '').trim();
+            
+            // Shared contact card - read the vCard fields
+            if (extension === 'vcf') {
+                message.type = 'contact';
+                message.contact = this.parseVCard((mediaHandle && mediaHandle.text) || '', displayName);
+            }
+            return;
+        }
+        
+        // View once media is never exported ("View once video omitted" would
+        // otherwise read as ordinary omitted media)
+        const cleaned = this.cleanText(text);
+        if (locale.viewOnce.test(cleaned)) {
+            message.type = 'view_once';
+            message.text = cleaned.replace(/^<\s*|\s*>$/g, '').replace(/\s*omitted$/i, '');
+            return;
+        }
+
+        // The phone never received the decrypted message
+        if (locale.waiting.test(cleaned)) {
+            message.type = 'waiting';
+            message.text = 'Waiting for this message';
+            return;
+        }
+
+        // Check for media omitted
+        if (locale.mediaOmitted.test(text)) {
+            message.media = {
+                filename: null,
+                type: 'omitted',
+                extension: null,
+                key: null,
+                hasData: false
+            };
+            message.type = 'media_omitted';
+            message.text = '';
+            return;
+        }
+        
+        // Check for PDF document with attachment tag
+        // Format: "filename.pdf • N pages <attached: actual-filename.pdf>"
+        const pdfWithAttachMatch = text.match(locale.pdfWithAttachment);
         if (pdfWithAttachMatch) {
             const displayName = pdfWithAttachMatch[1].trim();
             const pages = pdfWithAttachMatch[2];
             const actualFilename = this.cleanText(pdfWithAttachMatch[3]);
             
             // Find the PDF file
-            let mediaData = this.findMediaFile(actualFilename, mediaFiles);
+            const match = this.matchMediaFile(actualFilename, mediaFiles);
+            const mediaHandle = match ? match.handle : null;
             
             message.media = {
                 filename: actualFilename,
                 displayName: displayName,
                 type: 'document',
                 extension: 'pdf',
-                data: mediaData,
-                hasData: !!mediaData,
-                pages: pages
+                key: mediaHandle ? mediaHandle.key : null,
+                hasData: !!mediaHandle,
+                pages: pages,
+                match: match ? { method: match.method, candidates: match.candidates } : null
             };
             message.type = 'document';
             message.text = `${displayName} • ${pages} pages`;
@@ -372,8 +1539,8 @@ const WhatsAppParser = {
         
         // Check for document omitted (PDF, Excel, etc.) - no attachment tag
         // Matches: "filename.pdf • 3 pages document omitted" or "filename.xlsx • 2 sheets document omitted"
-        const docMatch = text.match(/([^•]+\.(pdf|xlsx?|docx?|pptx?))\s*•\s*(\d+)\s*(pages?|sheets?)\s*(?:document\s*omitted)?/i);
-        if (docMatch || /•.*document\s*omitted/i.test(text)) {
+        const docMatch = text.match(locale.documentOmitted);
+        if (docMatch || text.search(locale.documentOmittedAll) !== -1) {
             const filename = docMatch ? docMatch[1].trim() : null;
             const extension = docMatch ? docMatch[2].toLowerCase() : null;
             const count = docMatch ? docMatch[3] : null;
@@ -383,7 +1550,7 @@ const WhatsAppParser = {
                 filename: filename,
                 type: 'document',
                 extension: extension,
-                data: null,
+                key: null,
                 hasData: false,
                 pages: count
             };
@@ -392,11 +1559,30 @@ const WhatsAppParser = {
             return;
         }
         
+        // Check for missed call (including "Tap to call back" and "No answer" Android formats)
+        // Must run before the call check - "Missed voice call" also contains "voice call"
+        if (locale.missedCall.test(text)) {
+            message.type = 'missed_call';
+            // Clean up the text, keeping the essential info
+            let cleanedText = text
+                .replace(locale.tapToCallBack, '')
+                .trim();
+            // If it contains "No answer", format it nicely
+            const noAnswerMatch = cleanedText.match(locale.noAnswer);
+            if (noAnswerMatch) {
+                const callType = cleanedText.match(locale.callType);
+                message.text = callType ? `${callType[1]} - ${noAnswerMatch[0]}` : `Call - ${noAnswerMatch[0]}`;
+            } else {
+                message.text = cleanedText || 'Missed call';
+            }
+            return;
+        }
+        
         // Check for voice/video call (including Group calls)
-        if (/Voice\s*call|Video\s*call|Group\s*call/i.test(text)) {
+        if (locale.call.test(text)) {
             message.type = 'call';
             // Match various call formats: "Voice call, 3 min" or "Group call, 7 invited"
-            const callMatch = text.match(/(Voice\s*call|Video\s*call|Group\s*call)(?:,?\s*(.+))?/i);
+            const callMatch = text.match(locale.callDetails);
             if (callMatch) {
                 let callInfo = callMatch[1];
                 if (callMatch[2]) {
@@ -413,117 +1599,424 @@ const WhatsAppParser = {
             return;
         }
         
-        // Check for missed call (including "Tap to call back" and "No answer" Android formats)
-        if (/Missed.*call|No\s*answer|Tap\s*to\s*call\s*back/i.test(text)) {
-            message.type = 'missed_call';
-            // Clean up the text, keeping the essential info
-            let cleanedText = text
-                .replace(/,?\s*Tap\s*to\s*call\s*back/i, '')
-                .trim();
-            // If it contains "No answer", format it nicely
-            if (/No\s*answer/i.test(cleanedText)) {
-                const callType = cleanedText.match(/(Voice\s*call|Video\s*call)/i);
-                message.text = callType ? `${callType[1]} - No answer` : 'Call - No answer';
-            } else {
-                message.text = cleanedText || 'Missed call';
+        // Check for deleted message
+        if (locale.deleted.test(text)) {
+            message.type = 'deleted';
+            message.text = 'This message was deleted';
+            // "You deleted..." appears under the exporter's own name
+            if (locale.selfDeleted.test(text)) message.selfDeleted = true;
+            return;
+        }
+        
+        // Check for poll: "POLL:\nQuestion\nOPTION: Answer (2 votes)"
+        if (locale.poll.test(text)) {
+            const lines = text.replace(locale.poll, '').split('\n').map(l => this.cleanText(l)).filter(Boolean);
+            const options = [];
+            const questionLines = [];
+            lines.forEach(line => {
+                const optionMatch = line.match(locale.pollOption);
+                if (optionMatch) {
+                    options.push({ text: optionMatch[1], votes: parseInt(optionMatch[2], 10) });
+                } else if (options.length === 0) {
+                    questionLines.push(line);
+                }
+            });
+            
+            if (options.length > 0) {
+                message.type = 'poll';
+                message.poll = {
+                    question: questionLines.join('\n'),
+                    options,
+                    totalVotes: options.reduce((sum, o) => sum + o.votes, 0)
+                };
+                message.text = message.poll.question;
+                return;
             }
+        }
+        
+        // Check for shared location: optional place name, then "location: https://maps.google.com/?q=lat,lng"
+        const locationMatch = this.cleanText(text).match(locale.location);
+        if (locationMatch) {
+            const url = locationMatch[2];
+            const coords = url.match(/[?&](?:q|ll|query)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/) ||
+                url.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+            message.type = 'location';
+            message.location = {
+                name: locationMatch[1] ? locationMatch[1].trim() : null,
+                latitude: coords ? parseFloat(coords[1]) : null,
+                longitude: coords ? parseFloat(coords[2]) : null,
+                url
+            };
+            message.text = message.location.name || '';
             return;
         }
         
-        // Check for deleted message
-        if (/This message was deleted|You deleted this message/i.test(text)) {
-            message.type = 'deleted';
-            message.text = 'This message was deleted';
+        // Check for live location
+        if (locale.liveLocation.test(this.cleanText(text))) {
+            message.type = 'live_location';
+            message.text = this.cleanText(text);
             return;
         }
         
-        // Check for system message content
-        if (/Messages and calls are end-to-end encrypted/i.test(text) ||
-            /created group|added|left|removed|changed the subject|changed this group/i.test(text)) {
+        // Check for system message content. Only sender-less lines and lines
+        // carrying the iOS system marker are candidates, so ordinary messages
+        // that happen to contain "added" or "left" stay as text.
+        const isCandidate = message.isSystem || hasSystemMarker;
+        
+        if (locale.encrypted.test(text)) {
             message.isSystem = true;
             message.type = 'system';
+            message.event = { event: 'encryption_notice', actor: null, targets: [] };
+        } else if (isCandidate) {
+            const event = this.parseSystemEvent(this.cleanText(text), locale);
+            if (event || message.isSystem || locale.groupEvent.test(text)) {
+                message.isSystem = true;
+                message.type = 'system';
+                message.event = event || { event: 'other', actor: null, targets: [] };
+            }
         }
         
         // Check for edited message indicator
-        if (/<This message was edited>/i.test(text)) {
+        if (locale.edited.test(text)) {
             message.isEdited = true;
             // Remove the edit indicator from text
-            message.text = this.cleanMessageText(text.replace(/<This message was edited>/gi, '').trim());
+            message.text = this.cleanMessageText(text.replace(locale.editedAll, '').trim(), locale);
             return;
         }
         
         // Regular text message - clean it up
-        message.text = this.cleanMessageText(text);
+        message.text = this.cleanMessageText(text, locale);
     },
 
     /**
-     * Find media file with flexible matching
+     * Parse a system line into a typed event record
+     * @param {string} text - Cleaned system message text
+     * @param {Object} locale - Compiled locale (see getLocale)
+     * @returns {Object|null} { event, actor, targets[], ...event-specific fields } or null
      */
-    findMediaFile(filename, mediaFiles) {
-        if (!filename || mediaFiles.size === 0) {
-            console.log(`✗ Media search skipped: filename="${filename}", mediaFiles.size=${mediaFiles.size}`);
-            return null;
+    parseSystemEvent(text, locale) {
+        if (!text || text.includes('\n')) return null;
+        
+        for (const def of locale.events) {
+            const match = text.match(def.regex);
+            if (!match) continue;
+            
+            // The exporting user is "You" in every language
+            const name = (value) => {
+                const cleaned = this.cleanSenderName(value);
+                return locale.you.test(cleaned) ? 'You' : cleaned;
+            };
+            
+            const event = { event: def.event, actor: null, targets: [], ...(def.values || {}) };
+            event.targets = [...event.targets];
+            def.fields.forEach((field, index) => {
+                const value = match[index + 1];
+                if (value === undefined) return;
+                
+                if (field === 'targets') {
+                    event.targets = value.split(locale.listSeparator)
+                        .map(name)
+                        .filter(Boolean);
+                } else if (field === 'actor') {
+                    event.actor = name(value);
+                } else {
+                    event[field] = value.trim();
+                }
+            });
+            return event;
         }
         
-        console.log(`🔍 Searching for media: "${filename}" (length: ${filename.length})`);
-        console.log(`   Available files: ${Array.from(mediaFiles.keys()).map(k => `"${k}"`).join(', ')}`);
+        return null;
+    },
+
+    /**
+     * Parse a vCard (.vcf) into the fields shown on a contact bubble
+     * @param {string} vcard - vCard text ('' when the file is not in the export)
+     * @param {string} filename - Attachment filename, used as the name fallback
+     * @returns {Object} { name, phones[], emails[], organization }
+     */
+    parseVCard(vcard, filename = '') {
+        const contact = {
+            name: filename.replace(/\.vcf$/i, '').replace(/^\d+-/, '').trim() || 'Contact',
+            phones: [],
+            emails: [],
+            organization: null
+        };
+        if (!vcard) return contact;
+        
+        // Unfold continuation lines (RFC 6350: lines starting with a space or tab)
+        const lines = vcard.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        
+        lines.forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon === -1) return;
+            
+            // "item1.TEL;type=CELL" -> "TEL"
+            const key = line.slice(0, colon).split(';')[0].replace(/^item\d+\./i, '').toUpperCase();
+            const value = line.slice(colon + 1).replace(/\\([,;\\])/g, '$1').trim();
+            if (!value) return;
+            
+            if (key === 'FN') contact.name = value;
+            else if (key === 'TEL') contact.phones.push(value);
+            else if (key === 'EMAIL') contact.emails.push(value);
+            else if (key === 'ORG') contact.organization = value.replace(/;+$/, '').replace(/;/g, ', ');
+        });
+        
+        return contact;
+    },
+
+    /**
+     * Find media file with flexible matching
+     * (misses and partial matches end up in the parse diagnostics)
+     */
+    findMediaFile(filename, mediaFiles) {
+        const match = this.matchMediaFile(filename, mediaFiles);
+        return match ? match.handle : null;
+    },
+
+    /**
+     * How an attachment reference was matched to a file, most trusted first.
+     * Core and numeric matches are substring guesses and may pick the wrong file.
+     */
+    MEDIA_MATCH_METHODS: {
+        exact: { label: 'Exact name', fuzzy: false },
+        case: { label: 'Name ignoring case', fuzzy: false },
+        core: { label: 'Core filename', fuzzy: true },
+        numeric: { label: 'Number in the name', fuzzy: true },
+        manual: { label: 'Linked by hand', fuzzy: false }
+    },
+
+    /**
+     * Find media file with flexible matching, saying how it was found
+     * @param {string} filename - Name from the attachment reference
+     * @param {Map} mediaFiles - Map of media files
+     * @returns {Object|null} { handle, method, candidates } - candidates are the
+     *   keys of every file the winning method matched (more than one = ambiguous)
+     */
+    matchMediaFile(filename, mediaFiles) {
+        if (!filename || mediaFiles.size === 0) return null;
         
         // Exact match
         if (mediaFiles.has(filename)) {
-            console.log(`✓ Media found (exact match): ${filename}`);
-            return mediaFiles.get(filename);
+            return { handle: mediaFiles.get(filename), method: 'exact', candidates: [filename] };
         }
         
+        const keys = Array.from(mediaFiles.keys());
+        const found = (method, candidates) => candidates.length > 0
+            ? { handle: mediaFiles.get(candidates[0]), method, candidates }
+            : null;
+        
         // Case-insensitive match
         const filenameLower = filename.toLowerCase();
-        for (const [key, value] of mediaFiles) {
-            if (key.toLowerCase() === filenameLower) {
-                console.log(`✓ Media found (case-insensitive): ${filename} -> ${key}`);
-                return value;
-            }
-        }
+        const caseMatch = found('case', keys.filter(key => key.toLowerCase() === filenameLower));
+        if (caseMatch) return caseMatch;
         
         // Try without any extra characters - extract just the core filename
         const coreMatch = filename.match(/(\d{5,}[-_](?:PHOTO|VIDEO|AUDIO|DOCUMENT|FILE)[-_\d]+\.\w+)/i);
         if (coreMatch) {
             const coreFilename = coreMatch[1];
-            console.log(`   Trying core filename: "${coreFilename}"`);
-            for (const [key, value] of mediaFiles) {
-                if (key.includes(coreFilename) || coreFilename.includes(key)) {
-                    console.log(`✓ Media found (core match): ${filename} -> ${key}`);
-                    return value;
-                }
-            }
+            const match = found('core', keys.filter(key => key.includes(coreFilename) || coreFilename.includes(key)));
+            if (match) return match;
         }
         
         // Last resort: fuzzy match on numeric part
         const numericPart = filename.match(/(\d{8,})/);
         if (numericPart) {
-            console.log(`   Trying numeric part: "${numericPart[1]}"`);
-            for (const [key, value] of mediaFiles) {
-                if (key.includes(numericPart[1])) {
-                    console.log(`✓ Media found (numeric match): ${filename} -> ${key}`);
-                    return value;
-                }
-            }
+            return found('numeric', keys.filter(key => key.includes(numericPart[1])));
         }
         
-        console.log(`✗ Media NOT found: "${filename}"`);
         return null;
     },
 
+    /**
+     * Message types whose media is a reference to a file in the upload
+     */
+    ATTACHMENT_TYPES: ['media', 'contact', 'document'],
+
+    /**
+     * Attachment reconciliation: every attachment reference with the file it
+     * was matched to and how, plus the files in the upload no message uses
+     * @param {Object} chatData - Parsed chat data
+     * @param {Map} mediaFiles - Map of media files
+     * @returns {Object} { references, unreferenced, counts }
+     *   references:   [{ messageId, sender, timestamp, filename, key, method, fuzzy, ambiguous, candidates }]
+     *                 (method is null when no file was found)
+     *   unreferenced: keys of media files no message points at
+     *   counts:       { references, matched, fuzzy, ambiguous, manual, missing, unreferenced }
+     */
+    reconcileMedia(chatData, mediaFiles) {
+        const references = chatData.messages
+            .filter(msg => msg.media && msg.media.filename && this.ATTACHMENT_TYPES.includes(msg.type))
+            .map(msg => {
+                const { filename, key, match } = msg.media;
+                // No match record: nothing was found, or an importer that does not say how it matched
+                const method = match ? match.method : (key ? 'exact' : null);
+                const candidates = match ? match.candidates : (key ? [key] : []);
+                return {
+                    messageId: msg.id,
+                    sender: msg.sender,
+                    timestamp: msg.timestamp,
+                    filename,
+                    key,
+                    method,
+                    fuzzy: !!method && this.MEDIA_MATCH_METHODS[method].fuzzy,
+                    ambiguous: method !== 'manual' && candidates.length > 1,
+                    candidates
+                };
+            });
+        
+        const used = new Set(references.map(reference => reference.key).filter(Boolean));
+        const unreferenced = Array.from(mediaFiles.keys()).filter(key => !used.has(key));
+        
+        return {
+            references,
+            unreferenced,
+            counts: {
+                references: references.length,
+                matched: references.filter(reference => reference.key).length,
+                fuzzy: references.filter(reference => reference.fuzzy).length,
+                ambiguous: references.filter(reference => reference.ambiguous).length,
+                manual: references.filter(reference => reference.method === 'manual').length,
+                missing: references.filter(reference => !reference.key).length,
+                unreferenced: unreferenced.length
+            }
+        };
+    },
+
+    /**
+     * One-line summary of reconcileMedia counts, e.g. "12 attachments, 2 loose matches"
+     */
+    summarizeReconciliation(counts) {
+        return [
+            this.formatCount(counts.references, 'attachment'),
+            counts.fuzzy && this.formatCount(counts.fuzzy, 'loose match', 'loose matches'),
+            counts.ambiguous && `${counts.ambiguous.toLocaleString()} ambiguous`,
+            counts.missing && `${counts.missing.toLocaleString()} missing`,
+            counts.manual && `${counts.manual.toLocaleString()} linked by hand`,
+            counts.unreferenced && this.formatCount(counts.unreferenced, 'unused file')
+        ].filter(Boolean).join(', ');
+    },
+
+    /**
+     * Chat data with the text read from image attachments (OCR) stored on
+     * their messages as `imageText`, for search and the PDF text layer
+     * @param {Object} chatData
+     * @param {Map} texts - media key -> text in the image ('' for none)
+     * @returns {Object} New chat data, or the same one when no image has text
+     */
+    applyImageText(chatData, texts) {
+        if (!texts || texts.size === 0) return chatData;
+        
+        let found = false;
+        const messages = chatData.messages.map(msg => {
+            const text = msg.media && msg.media.type === 'image' && msg.media.key ? texts.get(msg.media.key) : '';
+            if (!text) return msg;
+            found = true;
+            return { ...msg, imageText: text };
+        });
+        
+        return found ? { ...chatData, messages } : chatData;
+    },
+
+    /**
+     * Apply attachment links made by hand (reconciliation panel)
+     * @param {Object} chatData - Parsed chat data
+     * @param {Map<number, Object>} links - Message id -> { filename, key }; key null unlinks the file
+     * @param {Map} mediaFiles - Map of media files
+     * @returns {Object} New chat data (chatData itself is left alone)
+     */
+    applyMediaLinks(chatData, links, mediaFiles) {
+        if (!links || links.size === 0) return chatData;
+        const decisions = [];
+        
+        const messages = chatData.messages.map(msg => {
+            const link = links.get(msg.id);
+            // A link only holds for the reference it was made on (ids move when a chat is re-parsed)
+            if (!link || !msg.media || msg.media.filename !== link.filename) return msg;
+            
+            const handle = link.key ? mediaFiles.get(link.key) : null;
+            const media = {
+                ...msg.media,
+                key: handle ? handle.key : null,
+                hasData: !!handle,
+                match: { method: 'manual', candidates: handle ? [handle.key] : [] }
+            };
+            const linked = { ...msg, media };
+            
+            if (handle) {
+                // Show the file as what it is, not what the reference said it was
+                media.extension = handle.key.split('.').pop().toLowerCase();
+                if (msg.type === 'media') media.type = this.getMediaType(media.extension);
+                if (msg.type === 'contact' && handle.text) linked.contact = this.parseVCard(handle.text, msg.media.filename);
+            }
+            
+            decisions.push({
+                kind: 'media_match',
+                line: msg.line || null,
+                messageId: msg.id,
+                detail: handle
+                    ? `"${msg.media.filename}" linked to file "${handle.key}" by hand`
+                    : `"${msg.media.filename}" unlinked by hand`
+            });
+            return linked;
+        });
+        
+        if (decisions.length === 0) return chatData;
+        const linkedChat = { ...chatData, messages };
+        
+        // Missing attachments follow the links: one linked to a file is found,
+        // one that had a file and was unlinked by hand is missing
+        if (chatData.diagnostics) {
+            const found = new Set();
+            const unlinked = [];
+            chatData.messages.forEach((msg, index) => {
+                const linked = messages[index];
+                if (linked === msg || !this.ATTACHMENT_TYPES.includes(msg.type)) return;
+                if (!msg.media.hasData && linked.media.hasData) found.add(msg.id);
+                if (msg.media.hasData && !linked.media.hasData) unlinked.push(linked);
+            });
+            
+            const unresolvedMedia = chatData.diagnostics.unresolvedMedia.filter(entry => !found.has(entry.messageId));
+            unlinked.forEach(msg => {
+                if (unresolvedMedia.length >= this.DIAGNOSTICS_LIMIT) return;
+                unresolvedMedia.push({
+                    line: msg.line || null,
+                    messageId: msg.id,
+                    filename: msg.media.filename,
+                    sender: msg.sender,
+                    timestamp: msg.timestamp,
+                    reason: 'Unlinked by hand'
+                });
+            });
+            if (unlinked.length > 0) {
+                // Back in message order (entries of merged chats may have no message id)
+                unresolvedMedia.sort((a, b) => (a.messageId === null) - (b.messageId === null) || a.messageId - b.messageId);
+            }
+            const counts = { ...chatData.diagnostics.counts };
+            counts.unresolvedMedia += unlinked.length - found.size;
+            counts.decisions += decisions.length;
+            linkedChat.diagnostics = {
+                ...chatData.diagnostics,
+                unresolvedMedia,
+                decisions: [...chatData.diagnostics.decisions, ...decisions],
+                counts
+            };
+        }
+        return linkedChat;
+    },
+
     /**
      * Clean message text for display
      */
-    cleanMessageText(text) {
+    cleanMessageText(text, locale = this.getLocale('en')) {
         if (!text) return '';
         
         // Remove any leftover attachment tags
-        text = text.replace(/<\s*attached\s*:[^>]+>/gi, '');
+        text = text.replace(locale.attachedAll, '');
         
         // Remove "omitted" text
-        text = text.replace(/(?:image|video|audio|sticker|document|GIF)\s*omitted/gi, '');
-        text = text.replace(/•.*document\s*omitted/gi, '');
+        text = text.replace(locale.mediaOmittedAll, '');
+        text = text.replace(locale.documentOmittedAll, '');
         
         // Clean and normalize
         text = this.cleanText(text);
@@ -547,13 +2040,439 @@ const WhatsAppParser = {
         return s === 'system' || s.includes('whatsapp');
     },
 
+    /**
+     * Digits a phone number must have for a sender to count as a number
+     */
+    PHONE_MIN_DIGITS: 7,
+
+    /**
+     * Trailing digits compared when two numbers are written differently
+     * (e.g. "07700 900123" in a contacts file vs "+44 7700 900123" in the chat)
+     */
+    PHONE_MATCH_DIGITS: 9,
+
+    /**
+     * Check whether a sender name is a bare phone number (unsaved contact)
+     */
+    isPhoneNumber(name) {
+        const text = this.cleanText(name || '');
+        return /^\+?[\d\s().\-\u2011]+$/.test(text) && text.replace(/\D/g, '').length >= this.PHONE_MIN_DIGITS;
+    },
+
+    /**
+     * Key under which spellings of one identity collide: digits for phone
+     * numbers, otherwise the name without "~", case and extra spaces
+     */
+    getIdentityKey(name) {
+        if (this.isPhoneNumber(name)) return 'tel:' + name.replace(/\D/g, '');
+        return 'name:' + this.cleanText(name).replace(/^~+/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    },
+
+    /**
+     * Read a contacts file into a phone book
+     * @param {string} text - File contents
+     * @param {string} filename - .vcf (one or many vCards) or .csv (a header row
+     *   with a name column and one or more phone columns, as Google and Outlook export)
+     * @returns {Map<string, string>} Phone digits -> name
+     */
+    parseContacts(text, filename) {
+        const book = new Map();
+        const add = (name, phone) => {
+            const digits = (phone || '').replace(/\D/g, '');
+            if (name && digits.length >= this.PHONE_MIN_DIGITS) book.set(digits, name.trim());
+        };
+
+        if (/\.vcf$/i.test(filename) || /^\s*BEGIN:VCARD/i.test(text)) {
+            text.split(/^BEGIN:VCARD/im).slice(1).forEach(card => {
+                const contact = this.parseVCard('BEGIN:VCARD' + card, '');
+                if (contact.name === 'Contact') return;
+                contact.phones.forEach(phone => add(contact.name, phone));
+            });
+            return book;
+        }
+
+        const rows = this.parseCsv(text);
+        if (rows.length < 2) return book;
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const column = (pattern) => header.findIndex(cell => pattern.test(cell));
+
+        const nameColumn = column(/^(name|full name|display name|file as)$/);
+        const givenColumn = column(/^(given name|first name)$/);
+        const familyColumn = column(/^(family name|last name)$/);
+        const phoneColumns = header
+            .map((cell, i) => (/phone|mobile|tel/.test(cell) && !/type|label/.test(cell) ? i : -1))
+            .filter(i => i !== -1);
+
+        rows.slice(1).forEach(row => {
+            const name = (nameColumn !== -1 && row[nameColumn]) ||
+                [row[givenColumn], row[familyColumn]].filter(Boolean).join(' ');
+            // Google puts several numbers in one cell, separated by ":::"
+            phoneColumns.forEach(i => (row[i] || '').split(':::').forEach(phone => add(name, phone)));
+        });
+        return book;
+    },
+
+    /**
+     * Split CSV text into rows of cells (quoted cells may hold commas,
+     * newlines and doubled quotes). The delimiter - comma, or semicolon as
+     * spreadsheets write it in some locales - is taken from the header row,
+     * so the other one can appear inside names and notes.
+     * @returns {Array<Array<string>>}
+     */
+    parseCsv(text) {
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const count = (char) => header.split(char).length - 1;
+        const delimiter = count(';') > count(',') ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        if (row.some(value => value !== '')) rows.push(row);
+        return rows;
+    },
+
+    /**
+     * Look up a phone number in a contacts book, allowing for national vs
+     * international formatting
+     * @returns {string|null} Contact name
+     */
+    findContactName(phone, contacts) {
+        const digits = phone.replace(/\D/g, '');
+        if (contacts.has(digits)) return contacts.get(digits);
+
+        // Same trailing digits - only trusted when exactly one contact matches
+        const tail = digits.slice(-this.PHONE_MATCH_DIGITS);
+        const matches = new Set();
+        contacts.forEach((name, number) => {
+            if (number.slice(-this.PHONE_MATCH_DIGITS) === tail) matches.add(name);
+        });
+        return matches.size === 1 ? matches.values().next().value : null;
+    },
+
+    /**
+     * Decide the display name of every participant
+     * @param {Array<string>} names - Participant names as parsed, most active first
+     * @param {Object} sources
+     * @param {Map<string, string>} sources.contacts - Phone book from parseContacts (optional)
+     * @param {Map<string, string>} sources.manual - Name -> name chosen by the user (optional)
+     * @returns {Map<string, Object>} Name -> { name, source: 'manual' | 'contact' | 'merged' | null }
+     *   Names that end up the same are one identity. 'merged' means the name
+     *   only differed in spelling ("~", case, spaces, number formatting) from
+     *   a more active one.
+     */
+    resolveIdentities(names, { contacts = null, manual = null } = {}) {
+        const canonical = new Map(); // identity key -> first (most active) spelling
+        const identities = new Map();
+
+        names.forEach(name => {
+            const key = this.getIdentityKey(name);
+            if (!canonical.has(key)) canonical.set(key, name);
+            const spelling = canonical.get(key);
+
+            let identity = { name: spelling, source: spelling !== name ? 'merged' : null };
+            const contactName = contacts && this.isPhoneNumber(spelling) && this.findContactName(spelling, contacts);
+            if (contactName) identity = { name: contactName, source: 'contact' };
+            if (manual && manual.has(name)) identity = { name: manual.get(name), source: 'manual' };
+
+            identities.set(name, identity);
+        });
+        return identities;
+    },
+
+    /**
+     * Rename participants everywhere in parsed chat data - senders, quotes,
+     * reactions, group events (and their text), the roster, participant list
+     * and statistics
+     * @param {Object} chatData - Result of parse() or mergeChats()
+     * @param {Map<string, string>} renames - Name as parsed -> display name
+     * @returns {Object} New chat data (chatData itself is left alone)
+     */
+    applyIdentities(chatData, renames) {
+        if (!renames || renames.size === 0) return chatData;
+        const rename = (name) => (name && renames.has(name) ? renames.get(name) : name);
+
+        const messages = chatData.messages.map(msg => {
+            const renamed = { ...msg, sender: rename(msg.sender) };
+            if (msg.quotedMessage) {
+                renamed.quotedMessage = { ...msg.quotedMessage, sender: rename(msg.quotedMessage.sender) };
+            }
+            if (msg.reactions) {
+                renamed.reactions = msg.reactions.map(reaction => ({ ...reaction, sender: rename(reaction.sender) }));
+            }
+            if (msg.event) {
+                renamed.event = { ...msg.event, actor: rename(msg.event.actor), targets: msg.event.targets.map(rename) };
+                // System text names the people involved - replace whole names
+                // only, all in one pass, so "Ann" leaves "Anna" alone and a
+                // number leaves longer numbers that contain it alone
+                const names = [msg.event.actor, ...msg.event.targets]
+                    .filter(name => name && renames.has(name))
+                    .sort((a, b) => b.length - a.length);
+                if (names.length > 0 && renamed.text) {
+                    const alternatives = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+                    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'gu');
+                    renamed.text = renamed.text.replace(pattern, name => renames.get(name));
+                }
+            }
+            return renamed;
+        });
+
+        // participants, stats and roster are rebuilt from the renamed messages
+        const details = { ...chatData };
+        ['messages', 'participants', 'stats', 'roster'].forEach(key => delete details[key]);
+
+        if (chatData.exporter) {
+            details.exporter = {
+                ...chatData.exporter,
+                name: rename(chatData.exporter.name),
+                clues: chatData.exporter.clues.map(clue => ({ ...clue, name: rename(clue.name) }))
+            };
+        }
+        if (chatData.diagnostics) {
+            details.diagnostics = {
+                ...chatData.diagnostics,
+                droppedMessages: chatData.diagnostics.droppedMessages.map(entry => ({ ...entry, sender: rename(entry.sender) })),
+                unresolvedMedia: chatData.diagnostics.unresolvedMedia.map(entry => ({ ...entry, sender: rename(entry.sender) }))
+            };
+        }
+
+        return this.buildChatData(messages, details);
+    },
+
+    /**
+     * How strongly one clue points at the exporting user (0-1)
+     */
+    EXPORTER_CLUE_WEIGHTS: {
+        from_me: 1,          // Database rows flagged as sent from this phone
+        self_deleted: 0.95,  // "You deleted this message" under a participant's name
+        chat_title: 0.8,     // One-to-one chat named after the other participant
+        you_events: 0.5      // "You added ..." and the only participant never named in events
+    },
+
+    /**
+     * Confidence from which the detected exporter becomes the default point of view
+     */
+    EXPORTER_MIN_CONFIDENCE: 0.5,
+
+    /**
+     * System events that only happen in groups
+     */
+    GROUP_EVENTS: ['group_created', 'member_added', 'member_removed', 'member_left', 'member_joined', 'subject_changed'],
+
+    /**
+     * Infer who exported the chat. The export is written from the exporter's
+     * side: their own deletions and group actions say "You", and a one-to-one
+     * chat is named after the other person (in the filename, and on iOS as the
+     * sender of the system lines in _chat.txt).
+     * @param {Array} messages - Finished messages
+     * @param {Object} hints
+     * @param {string} hints.chatTitle - Chat name from the filename or the export (optional)
+     * @returns {Object} { name, confidence: 0-1, clues: [{ kind, name, detail }] } -
+     *   name is null when nothing in the chat points at anyone
+     */
+    detectExporter(messages, { chatTitle = null } = {}) {
+        const isYou = (name) => /^you$/i.test(name || '');
+        const participants = new Map(); // identity key -> name
+        const selfDeleted = new Map();  // name -> count
+        const titles = new Set(chatTitle ? [chatTitle] : []);
+        const namedInEvents = new Set();
+        let youEvents = 0;
+        let isGroup = false;
+
+        messages.forEach(msg => {
+            if (msg.isSystem) {
+                // iOS attributes system lines to the chat's name
+                if (msg.sender && !this.isSystemSender(msg.sender)) titles.add(msg.sender);
+                if (!msg.event) return;
+                if (this.GROUP_EVENTS.includes(msg.event.event)) isGroup = true;
+                const names = [msg.event.actor, ...msg.event.targets].filter(Boolean);
+                if (names.some(isYou)) youEvents++;
+                names.filter(name => !isYou(name)).forEach(name => namedInEvents.add(this.getIdentityKey(name)));
+                return;
+            }
+            if (this.isSystemSender(msg.sender)) return;
+            participants.set(this.getIdentityKey(msg.sender), msg.sender);
+            if (msg.selfDeleted) selfDeleted.set(msg.sender, (selfDeleted.get(msg.sender) || 0) + 1);
+        });
+
+        const clues = [];
+        selfDeleted.forEach((count, name) => {
+            clues.push({ kind: 'self_deleted', name, detail: `${count} "You deleted this message" under ${name}` });
+        });
+
+        // Two people and the chat is named after one of them
+        if (participants.size === 2 && !isGroup) {
+            const [first, second] = Array.from(participants.entries());
+            titles.forEach(title => {
+                const key = this.getIdentityKey(title);
+                const other = key === first[0] ? second[1] : key === second[0] ? first[1] : null;
+                if (other) clues.push({ kind: 'chat_title', name: other, detail: `one-to-one chat named "${title}"` });
+            });
+        }
+
+        // The exporter's own events say "You", everyone else's carry a name
+        const unnamed = Array.from(participants.entries()).filter(([key, name]) => !namedInEvents.has(key) && !isYou(name));
+        if (youEvents > 0 && unnamed.length === 1 && participants.size > 1) {
+            clues.push({
+                kind: 'you_events',
+                name: unnamed[0][1],
+                detail: `${youEvents} "You ..." system message${youEvents === 1 ? '' : 's'}, every other participant is named in one`
+            });
+        }
+
+        return this.scoreExporterClues(clues);
+    },
+
+    /**
+     * Weigh exporter clues against each other. Repeated clues (the same kind
+     * for the same name, e.g. from merged exports) count once.
+     * @param {Array<Object>} clues - [{ kind, name, detail }]
+     * @returns {Object} { name, confidence: 0-1, clues }
+     */
+    scoreExporterClues(clues) {
+        const unique = new Map();
+        clues.forEach(clue => {
+            const key = `${clue.kind}|${clue.name}`;
+            if (!unique.has(key)) unique.set(key, clue);
+        });
+
+        // Chance the clues for a name are all wrong shrinks with every clue
+        const doubt = new Map();
+        unique.forEach(clue => {
+            doubt.set(clue.name, (doubt.has(clue.name) ? doubt.get(clue.name) : 1) * (1 - this.EXPORTER_CLUE_WEIGHTS[clue.kind]));
+        });
+
+        let name = null;
+        let best = 0;
+        let total = 0;
+        doubt.forEach((value, candidate) => {
+            const score = 1 - value;
+            total += score;
+            if (score > best) {
+                name = candidate;
+                best = score;
+            }
+        });
+
+        return {
+            name,
+            // Clues for other people make the winner less certain
+            confidence: total > 0 ? Math.round(best * (best / total) * 100) / 100 : 0,
+            clues: Array.from(unique.values()).sort((a, b) => this.EXPORTER_CLUE_WEIGHTS[b.kind] - this.EXPORTER_CLUE_WEIGHTS[a.kind])
+        };
+    },
+
+    /**
+     * Explain an exporter detection, e.g. "Anna (95% confidence: 2 "You deleted this message" under Anna)"
+     */
+    describeExporter(exporter) {
+        if (!exporter || !exporter.name) return 'not identified - no clues in the export';
+        const reasons = exporter.clues.filter(clue => clue.name === exporter.name).map(clue => clue.detail);
+        return `${exporter.name} (${Math.round(exporter.confidence * 100)}% confidence: ${reasons.join('; ')})`;
+    },
+
+    /**
+     * Confidence below which the detected date order is treated as a guess
+     * and the UI offers a manual override
+     */
+    DATE_ORDER_LOW_CONFIDENCE: 0.5,
+
+    /**
+     * Detect whether the chat uses DD/MM or MM/DD by looking at every timestamp.
+     * Each candidate order is scored by impossible values (month > 12, day past
+     * the end of the month) and by how often the dates go backwards in time.
+     * @param {string[]} lines - Raw chat lines
+     * @returns {Object} { order: 'DMY'|'MDY', confidence: 0-1, source: 'auto' }
+     */
+    detectDateOrder(lines) {
+        const datePrefix = /^\[?(\d{1,2})[\/.](\d{1,2})[\/.](\d{2,4}),/;
+        const dates = [];
+        
+        for (const rawLine of lines) {
+            const match = this.cleanText(rawLine).match(datePrefix);
+            if (!match) continue;
+            
+            let year = parseInt(match[3], 10);
+            if (year < 100) year += year < 50 ? 2000 : 1900;
+            dates.push([parseInt(match[1], 10), parseInt(match[2], 10), year]);
+        }
+        
+        const score = (order) => {
+            let impossible = 0;
+            let backwards = 0;
+            let lastValue = null;
+            
+            for (const [first, second, year] of dates) {
+                const day = order === 'DMY' ? first : second;
+                const month = order === 'DMY' ? second : first;
+                
+                if (month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) {
+                    impossible++;
+                    continue;
+                }
+                
+                const value = (year * 12 + month) * 31 + day;
+                if (lastValue !== null && value < lastValue) backwards++;
+                lastValue = value;
+            }
+            
+            // A single impossible date outweighs any amount of disorder
+            return impossible * (dates.length + 1) + backwards;
+        };
+        
+        const dmy = score('DMY');
+        const mdy = score('MDY');
+        
+        if (dmy === mdy) {
+            // No evidence either way - keep the historical MM/DD default
+            console.log('📅 Date order: ambiguous, defaulting to MM/DD');
+            return { order: 'MDY', confidence: 0, source: 'auto' };
+        }
+        
+        const order = dmy < mdy ? 'DMY' : 'MDY';
+        const confidence = Math.abs(dmy - mdy) / Math.max(dmy, mdy);
+        console.log(`📅 Date order: ${order === 'DMY' ? 'DD/MM' : 'MM/DD'} (confidence ${confidence.toFixed(2)})`);
+        return { order, confidence, source: 'auto' };
+    },
+
     /**
      * Parse date and time into a Date object
      * @param {string} dateStr - Date string
      * @param {string} timeStr - Time string
      * @param {string} exportFormat - Export format ('ios', 'android-bracket', 'android-dash')
+     * @param {string} dateOrder - 'DMY' or 'MDY' as detected for the whole chat (optional)
+     * @param {string} timeZone - IANA zone the wall-clock time is in (optional, browser zone when omitted)
+     * @param {Date} notBefore - Previous message time, used to pick the right side of a DST fall-back (optional)
      */
-    parseDateTime(dateStr, timeStr, exportFormat = 'ios') {
+    parseDateTime(dateStr, timeStr, exportFormat = 'ios', dateOrder = null, timeZone = null, notBefore = null) {
         try {
             // Clean the strings
             dateStr = this.cleanText(dateStr);
@@ -573,7 +2492,13 @@ const WhatsAppParser = {
             
             // Determine date format based on values and export format
             // iOS typically uses MM/DD/YY, some Android regions use DD/MM/YY
-            if (first > 12) {
+            if (dateOrder === 'DMY') {
+                day = first;
+                month = second;
+            } else if (dateOrder === 'MDY') {
+                month = first;
+                day = second;
+            } else if (first > 12) {
                 // First value > 12 means it must be DD/MM/YY format
                 day = first;
                 month = second;
@@ -592,7 +2517,11 @@ const WhatsAppParser = {
             
             // Parse time
             const timeMatch = timeStr.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM|am|pm)?/);
-            if (!timeMatch) return new Date(year, month - 1, day);
+            if (!timeMatch) {
+                return timeZone
+                    ? this.zonedTimeToInstant([year, month, day, 0, 0, 0], timeZone)
+                    : new Date(year, month - 1, day);
+            }
             
             let hours = parseInt(timeMatch[1], 10);
             const minutes = parseInt(timeMatch[2], 10);
@@ -606,6 +2535,9 @@ const WhatsAppParser = {
             }
             // If no period, assume 24-hour format (common in international Android exports)
             
+            if (timeZone) {
+                return this.zonedTimeToInstant([year, month, day, hours, minutes, seconds], timeZone, notBefore);
+            }
             return new Date(year, month - 1, day, hours, minutes, seconds);
         } catch (e) {
             console.error('Date parse error:', e);
@@ -613,51 +2545,314 @@ const WhatsAppParser = {
         }
     },
 
+    /**
+     * Country calling codes of countries that use a single time zone, for
+     * suggesting the source zone from phone numbers in the chat. Countries
+     * spanning several zones (+1, +7, +55, +61, ...) are left out on purpose.
+     */
+    CALLING_CODE_ZONES: {
+        '20': 'Africa/Cairo', '27': 'Africa/Johannesburg', '30': 'Europe/Athens',
+        '31': 'Europe/Amsterdam', '32': 'Europe/Brussels', '33': 'Europe/Paris',
+        '34': 'Europe/Madrid', '36': 'Europe/Budapest', '39': 'Europe/Rome',
+        '40': 'Europe/Bucharest', '41': 'Europe/Zurich', '43': 'Europe/Vienna',
+        '44': 'Europe/London', '45': 'Europe/Copenhagen', '46': 'Europe/Stockholm',
+        '47': 'Europe/Oslo', '48': 'Europe/Warsaw', '49': 'Europe/Berlin',
+        '51': 'America/Lima', '53': 'America/Havana', '54': 'America/Argentina/Buenos_Aires',
+        '56': 'America/Santiago', '57': 'America/Bogota', '58': 'America/Caracas',
+        '60': 'Asia/Kuala_Lumpur', '63': 'Asia/Manila', '64': 'Pacific/Auckland',
+        '65': 'Asia/Singapore', '66': 'Asia/Bangkok', '81': 'Asia/Tokyo',
+        '82': 'Asia/Seoul', '84': 'Asia/Ho_Chi_Minh', '86': 'Asia/Shanghai',
+        '90': 'Europe/Istanbul', '91': 'Asia/Kolkata', '92': 'Asia/Karachi',
+        '94': 'Asia/Colombo', '212': 'Africa/Casablanca', '233': 'Africa/Accra',
+        '234': 'Africa/Lagos', '254': 'Africa/Nairobi', '255': 'Africa/Dar_es_Salaam',
+        '256': 'Africa/Kampala', '351': 'Europe/Lisbon', '353': 'Europe/Dublin',
+        '358': 'Europe/Helsinki', '380': 'Europe/Kyiv', '420': 'Europe/Prague',
+        '852': 'Asia/Hong_Kong', '880': 'Asia/Dhaka', '886': 'Asia/Taipei',
+        '961': 'Asia/Beirut', '962': 'Asia/Amman', '965': 'Asia/Kuwait',
+        '966': 'Asia/Riyadh', '971': 'Asia/Dubai', '972': 'Asia/Jerusalem',
+        '974': 'Asia/Qatar', '977': 'Asia/Kathmandu'
+    },
+
+    /**
+     * Time zone used for formatted times and dates (null = browser zone)
+     */
+    displayTimeZone: null,
+
+    // zone -> Intl.DateTimeFormat, "zone|hour" -> offset in minutes, and
+    // "options|zone" -> display formatter (toLocale*String builds a new one per call)
+    zoneFormatters: new Map(),
+    zoneOffsets: new Map(),
+    displayFormatters: new Map(),
+
+    /**
+     * IANA zone of the browser (or worker) running the parser
+     */
+    getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    },
+
+    /**
+     * Check that a zone name is known to Intl
+     */
+    isValidTimeZone(zone) {
+        if (!zone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Source and display zone for a parse: the ones chosen in options when
+     * valid, else the suggestion (display defaults to the source zone).
+     * Also makes the display zone the formatting default.
+     * @param {Object} options - { timeZone, displayTimeZone }
+     * @param {Function} suggest - Returns { zone, source: 'auto', reason } when no zone was chosen
+     * @returns {Object} { timeZone: { zone, source, reason }, displayTimeZone }
+     */
+    resolveTimeZones(options, suggest) {
+        const timeZone = options.timeZone && this.isValidTimeZone(options.timeZone)
+            ? { zone: options.timeZone, source: 'manual', reason: null }
+            : suggest();
+        const displayTimeZone = options.displayTimeZone && this.isValidTimeZone(options.displayTimeZone)
+            ? options.displayTimeZone
+            : timeZone.zone;
+        this.setDisplayTimeZone(displayTimeZone);
+        return { timeZone, displayTimeZone };
+    },
+
+    /**
+     * Set the zone formatTime, formatDate and friends use by default
+     * @param {string} zone - IANA zone, or null for the browser zone
+     */
+    setDisplayTimeZone(zone) {
+        this.displayTimeZone = zone && this.isValidTimeZone(zone) ? zone : null;
+    },
+
+    /**
+     * Guess the zone an export was written in. Phone numbers of unsaved
+     * contacts usually share the exporter's country; otherwise fall back to
+     * the browser's zone, which is right whenever the chat is opened on the
+     * phone's own computer.
+     * @param {Array<string>} lines - Raw chat lines
+     * @returns {Object} { zone, source: 'auto', reason }
+     */
+    suggestTimeZone(lines) {
+        const counts = new Map();
+        const phonePattern = /\+(\d{1,3})[\s -]?\(?\d{2,5}\)?[\s -]?\d{3,5}[\s -]?\d{0,5}/g;
+        
+        lines.slice(0, 2000).forEach(line => {
+            for (const match of line.matchAll(phonePattern)) {
+                // Calling codes are prefix-free: try the longest first
+                const digits = match[0].replace(/\D/g, '');
+                const code = [3, 2, 1].map(length => digits.slice(0, length))
+                    .find(prefix => this.CALLING_CODE_ZONES[prefix]);
+                if (code) counts.set(code, (counts.get(code) || 0) + 1);
+            }
+        });
+        
+        const best = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+        if (best && this.isValidTimeZone(this.CALLING_CODE_ZONES[best[0]])) {
+            const zone = this.CALLING_CODE_ZONES[best[0]];
+            console.log(`🕐 Time zone: ${zone} (from +${best[0]} phone numbers)`);
+            return { zone, source: 'auto', reason: `phone numbers (+${best[0]})` };
+        }
+        
+        const zone = this.getBrowserTimeZone();
+        console.log(`🕐 Time zone: ${zone} (browser)`);
+        return { zone, source: 'auto', reason: 'this browser' };
+    },
+
+    /**
+     * Wall-clock parts of an instant in a zone
+     * @returns {Object} { year, month, day, hour, minute, second }
+     */
+    getZonedParts(date, timeZone) {
+        let formatter = this.zoneFormatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+            this.zoneFormatters.set(timeZone, formatter);
+        }
+        
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+        });
+        return parts;
+    },
+
+    /**
+     * Offset of a zone from UTC at an instant, in minutes (east positive).
+     * Cached per hour - no zone changes offset more often than that.
+     */
+    getTimeZoneOffset(instant, timeZone) {
+        const hour = Math.floor(instant / 3600000);
+        const cacheKey = `${timeZone}|${hour}`;
+        if (this.zoneOffsets.has(cacheKey)) return this.zoneOffsets.get(cacheKey);
+        
+        const at = hour * 3600000;
+        const p = this.getZonedParts(new Date(at), timeZone);
+        const offset = (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - at) / 60000;
+        this.zoneOffsets.set(cacheKey, offset);
+        return offset;
+    },
+
+    /**
+     * Turn a wall-clock time in a zone into an instant.
+     * Times skipped by a DST jump are moved forward by the jump (02:30 -> 03:30).
+     * Times repeated when clocks go back take the first occurrence, unless that
+     * would put the message before notBefore and the second one would not.
+     * @param {Array<number>} parts - [year, month (1-12), day, hours, minutes, seconds]
+     * @param {string} timeZone - IANA zone
+     * @param {Date} notBefore - Previous message time (optional)
+     * @returns {Date}
+     */
+    zonedTimeToInstant([year, month, day, hours, minutes, seconds], timeZone, notBefore = null) {
+        const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        
+        // The offsets a few hours either side bracket any transition near this time
+        const earlierOffset = this.getTimeZoneOffset(wall - 12 * 3600000, timeZone);
+        const laterOffset = this.getTimeZoneOffset(wall + 12 * 3600000, timeZone);
+        
+        const candidates = [...new Set([earlierOffset, laterOffset])]
+            .map(offset => wall - offset * 60000)
+            .filter(instant => wall - this.getTimeZoneOffset(instant, timeZone) * 60000 === instant)
+            .sort((a, b) => a - b);
+        
+        if (candidates.length === 0) {
+            // In the gap: read the time with the offset from before the jump
+            return new Date(wall - earlierOffset * 60000);
+        }
+        if (candidates.length > 1 && notBefore && candidates[0] < notBefore && candidates[1] >= notBefore) {
+            return new Date(candidates[1]);
+        }
+        return new Date(candidates[0]);
+    },
+
+    /**
+     * Format an instant with en-US Intl options in a zone, reusing formatters
+     * @param {Date} date
+     * @param {Object} options - Intl.DateTimeFormat options (without timeZone)
+     * @param {string} timeZone - IANA zone, or null for the browser zone
+     */
+    formatInZone(date, options, timeZone) {
+        const cacheKey = `${JSON.stringify(options)}|${timeZone || ''}`;
+        let formatter = this.displayFormatters.get(cacheKey);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined });
+            this.displayFormatters.set(cacheKey, formatter);
+        }
+        return formatter.format(date);
+    },
+
+    /**
+     * Calendar day of an instant in a zone, as 'YYYY-MM-DD'
+     * @param {Date} date
+     * @param {string} timeZone - Defaults to the display zone
+     */
+    getDateKey(date, timeZone = this.displayTimeZone) {
+        if (!(date instanceof Date) || isNaN(date)) return '';
+        const p = this.getZonedParts(date, timeZone || this.getBrowserTimeZone());
+        return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Instant a 'YYYY-MM-DD' day starts in a zone
+     * @param {string} dateKey
+     * @param {string} timeZone - Defaults to the display zone
+     * @returns {Date}
+     */
+    getDayStart(dateKey, timeZone = this.displayTimeZone) {
+        const [year, month, day] = dateKey.split('-').map(p => parseInt(p, 10));
+        return this.zonedTimeToInstant([year, month, day, 0, 0, 0], timeZone || this.getBrowserTimeZone());
+    },
+
+    /**
+     * Zone name with its current UTC offset, e.g. "Asia/Kolkata (UTC+05:30)"
+     * @param {string} timeZone
+     * @param {Date} at - Instant to take the offset at (default now)
+     */
+    describeTimeZone(timeZone, at = new Date()) {
+        const offset = this.getTimeZoneOffset(at.getTime(), timeZone);
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${timeZone} (UTC${sign}${hours}:${minutes})`;
+    },
+
+    /**
+     * Re-format a parsed chat for another display zone without re-parsing
+     * @param {Object} chatData - Result of parse() or mergeChats()
+     * @param {string} timeZone - IANA zone to display in
+     * @returns {Object} Chat data with updated formatted times, dates and date range
+     */
+    applyDisplayTimeZone(chatData, timeZone) {
+        this.setDisplayTimeZone(timeZone);
+        const { stats } = chatData;
+        
+        return {
+            ...chatData,
+            messages: chatData.messages.map(msg => this.formatForDisplay(msg)),
+            stats: { ...stats, dateRange: this.formatDateRange(stats.firstDate, stats.lastDate) },
+            displayTimeZone: this.displayTimeZone
+        };
+    },
+
     /**
      * Get media type from extension
      */
     getMediaType(extension) {
         const ext = (extension || '').toLowerCase();
         const types = {
-            jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', heic: 'image',
+            jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', heic: 'image', heif: 'image',
             mp4: 'video', mov: 'video', avi: 'video', '3gp': 'video', mkv: 'video',
             mp3: 'audio', ogg: 'audio', opus: 'audio', m4a: 'audio', wav: 'audio', aac: 'audio',
-            pdf: 'document', doc: 'document', docx: 'document', xls: 'document', xlsx: 'document'
+            pdf: 'document', doc: 'document', docx: 'document', xls: 'document', xlsx: 'document', txt: 'document',
+            vcf: 'contact'
         };
         return types[ext] || 'file';
     },
 
     /**
      * Format time for display
+     * @param {Date} date
+     * @param {string} timeZone - Defaults to the display zone
      */
-    formatTime(date) {
+    formatTime(date, timeZone = this.displayTimeZone) {
         if (!(date instanceof Date) || isNaN(date)) return '';
-        return date.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-        });
+        return this.formatInZone(date, { hour: 'numeric', minute: '2-digit', hour12: true }, timeZone);
     },
 
     /**
      * Format date for display
+     * @param {Date} date
+     * @param {string} timeZone - Defaults to the display zone
      */
-    formatDate(date) {
+    formatDate(date, timeZone = this.displayTimeZone) {
         if (!(date instanceof Date) || isNaN(date)) return '';
         
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
+        const now = new Date();
+        const dateKey = this.getDateKey(date, timeZone);
+        const todayKey = this.getDateKey(now, timeZone);
         
-        if (date.toDateString() === today.toDateString()) return 'Today';
-        if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+        if (dateKey === todayKey) return 'Today';
+        if (dateKey === this.getDateKey(new Date(now - 86400000), timeZone)) return 'Yesterday';
         
-        return date.toLocaleDateString('en-US', {
-            weekday: 'long',
-            month: 'long',
-            day: 'numeric',
-            year: date.getFullYear() !== today.getFullYear() ? 'numeric' : undefined
-        });
+        const opts = dateKey.slice(0, 4) !== todayKey.slice(0, 4)
+            ? { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }
+            : { weekday: 'long', month: 'long', day: 'numeric' };
+        return this.formatInZone(date, opts, timeZone);
     },
 
     /**
@@ -676,9 +2871,25 @@ const WhatsAppParser = {
         const firstDate = dates[0];
         const lastDate = dates[dates.length - 1];
         
+        // Count system events by type
+        const systemEvents = {};
+        messages.forEach(m => {
+            if (m.event) systemEvents[m.event.event] = (systemEvents[m.event.event] || 0) + 1;
+        });
+        
+        // Content that changed after sending or never made it into the export
+        const flagged = {
+            edited: messages.filter(m => m.isEdited).length,
+            viewOnce: messages.filter(m => m.type === 'view_once').length,
+            waiting: messages.filter(m => m.type === 'waiting').length,
+            disappearing: systemEvents.disappearing_messages_toggled || 0
+        };
+        
         return {
             totalMessages: messages.length,
             mediaMessages: mediaMessages.length,
+            systemEvents,
+            flagged,
             participants: participants.size,
             firstDate,
             lastDate,
@@ -686,14 +2897,170 @@ const WhatsAppParser = {
         };
     },
 
+    /**
+     * One-line summary of stats.flagged, e.g. "2 edited messages, 1 view-once message"
+     * @returns {string} '' when nothing is flagged
+     */
+    describeFlagged(stats) {
+        const flagged = stats.flagged || {};
+        return [
+            flagged.edited && this.formatCount(flagged.edited, 'edited message'),
+            flagged.viewOnce && this.formatCount(flagged.viewOnce, 'view-once message'),
+            flagged.waiting && this.formatCount(flagged.waiting, 'message still waiting', 'messages still waiting'),
+            flagged.disappearing && this.formatCount(flagged.disappearing, 'disappearing-message notice')
+        ].filter(Boolean).join(', ');
+    },
+
+    /**
+     * Build the group roster history from membership events and activity.
+     * Members who speak without a recorded join are assumed to have been in
+     * the group since before the export began (period.from === null).
+     * @param {Array} messages - Processed messages in chronological order
+     * @param {Object} [options]
+     * @param {string} [options.you] - Name of the exporting user, for the "You" in events
+     *   (without it "You" stays a member of its own)
+     * @returns {Object} { members: [...], timeline: [...], hasHistory }
+     */
+    buildRoster(messages, { you = null } = {}) {
+        const members = new Map();
+        const timeline = [];
+        const person = (name) => (you && name === 'You' ? you : name);
+        
+        const getMember = (name) => {
+            if (!members.has(name)) {
+                members.set(name, { name, periods: [], messageCount: 0, firstMessage: null, lastMessage: null });
+            }
+            return members.get(name);
+        };
+        
+        const openPeriod = (name, timestamp, method, by = null) => {
+            const member = getMember(name);
+            const last = member.periods[member.periods.length - 1];
+            if (last && !last.to) return; // Already in the group
+            member.periods.push({ from: timestamp, joinMethod: method, joinedBy: by, to: null, leaveMethod: null, removedBy: null });
+            if (timestamp) timeline.push({ timestamp, type: 'joined', name, method, by });
+        };
+        
+        const closePeriod = (name, timestamp, method, by = null) => {
+            const member = getMember(name);
+            let last = member.periods[member.periods.length - 1];
+            if (!last || last.to) {
+                // Left without a recorded join - was there before the export began
+                last = { from: null, joinMethod: null, joinedBy: null, to: null, leaveMethod: null, removedBy: null };
+                member.periods.push(last);
+            }
+            last.to = timestamp;
+            last.leaveMethod = method;
+            last.removedBy = by;
+            timeline.push({ timestamp, type: 'left', name, method, by });
+        };
+        
+        messages.forEach(msg => {
+            const event = msg.event;
+            if (event) {
+                switch (event.event) {
+                    case 'group_created':
+                        if (event.actor) openPeriod(person(event.actor), msg.timestamp, 'created');
+                        break;
+                    case 'member_added':
+                        event.targets.forEach(t => openPeriod(person(t), msg.timestamp, 'added', person(event.actor)));
+                        break;
+                    case 'member_joined':
+                        openPeriod(person(event.actor), msg.timestamp, 'joined');
+                        break;
+                    case 'member_removed':
+                        event.targets.forEach(t => closePeriod(person(t), msg.timestamp, 'removed', person(event.actor)));
+                        break;
+                    case 'member_left':
+                        closePeriod(person(event.actor), msg.timestamp, 'left');
+                        break;
+                    case 'number_changed':
+                        if (event.actor && event.newNumber) {
+                            closePeriod(person(event.actor), msg.timestamp, 'number_changed');
+                            openPeriod(event.newNumber, msg.timestamp, 'number_changed');
+                        }
+                        break;
+                }
+                return;
+            }
+            
+            if (msg.isSystem || this.isSystemSender(msg.sender)) return;
+            
+            const member = getMember(msg.sender);
+            const last = member.periods[member.periods.length - 1];
+            if (!last) {
+                member.periods.push({ from: null, joinMethod: null, joinedBy: null, to: null, leaveMethod: null, removedBy: null });
+            } else if (last.to) {
+                // Spoke after leaving - rejoined without a recorded event
+                member.periods.push({ from: msg.timestamp, joinMethod: null, joinedBy: null, to: null, leaveMethod: null, removedBy: null });
+            }
+            
+            member.messageCount++;
+            if (!member.firstMessage) member.firstMessage = msg.timestamp;
+            member.lastMessage = msg.timestamp;
+        });
+        
+        const memberList = Array.from(members.values()).map(m => ({
+            ...m,
+            isCurrent: m.periods.length > 0 && !m.periods[m.periods.length - 1].to
+        }));
+        
+        return {
+            members: memberList,
+            timeline,
+            hasHistory: timeline.length > 0
+        };
+    },
+
+    /**
+     * Get the members who were in the group on a given date
+     * @param {Object} roster - Roster from buildRoster
+     * @param {string} dateKey - Day to check as 'YYYY-MM-DD' in the display zone
+     * @returns {Array} Member records
+     */
+    getMembersOnDate(roster, dateKey) {
+        const dayStart = this.getDayStart(dateKey);
+        // Noon UTC of the next calendar day keeps clear of DST edges
+        const next = new Date(`${dateKey}T12:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        const dayEnd = this.getDayStart(next.toISOString().slice(0, 10));
+        
+        return roster.members.filter(m => m.periods.some(p =>
+            (!p.from || p.from < dayEnd) && (!p.to || p.to >= dayStart)
+        ));
+    },
+
+    /**
+     * Describe a membership period in one line, e.g.
+     * "Joined Jan 3, 2023 (added by Alice) - left Mar 2, 2024"
+     */
+    describeMembershipPeriod(period) {
+        const opts = { month: 'short', day: 'numeric', year: 'numeric' };
+        const methods = { created: 'created the group', joined: 'via invite link', number_changed: 'number change' };
+        
+        let text = period.from
+            ? `Joined ${this.formatInZone(period.from, opts, this.displayTimeZone)}`
+            : 'Member before export start';
+        if (period.joinedBy) text += ` (added by ${period.joinedBy})`;
+        else if (methods[period.joinMethod]) text += ` (${methods[period.joinMethod]})`;
+        
+        if (period.to) {
+            text += ` - ${period.leaveMethod === 'removed' ? 'removed' : 'left'} ${this.formatInZone(period.to, opts, this.displayTimeZone)}`;
+            if (period.removedBy) text += ` by ${period.removedBy}`;
+            else if (period.leaveMethod === 'number_changed') text += ' (number change)';
+        }
+        
+        return text;
+    },
+
     /**
      * Format date range for display
      */
     formatDateRange(start, end) {
         if (!start || !end) return '-';
         const opts = { month: 'short', day: 'numeric', year: 'numeric' };
-        const startStr = start.toLocaleDateString('en-US', opts);
-        const endStr = end.toLocaleDateString('en-US', opts);
+        const startStr = this.formatInZone(start, opts, this.displayTimeZone);
+        const endStr = this.formatInZone(end, opts, this.displayTimeZone);
         return startStr === endStr ? startStr : `${startStr} - ${endStr}`;
     }
 };
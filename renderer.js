@@ -7,11 +7,49 @@ const ChatRenderer = {
     // Reference to the current user (for outgoing messages)
     currentUser: null,
     
+    // 'pov' puts the current user's messages on the right; 'neutral' left-aligns
+    // every message under a coloured sender label
+    layout: 'pov',
+    
+    // Sender name -> label colour (neutral layout)
+    participantColors: new Map(),
+    
     // All messages for search functionality
     allMessages: [],
     
     // Media files map
     mediaFiles: new Map(),
+    
+    // Media waiting to scroll into view (element -> loader)
+    mediaObserver: null,
+    pendingMedia: new WeakMap(),
+    
+    // Virtualized message list. Every date separator and message is a row
+    // with a measured (or estimated) height; only rows near the viewport are
+    // in the DOM, the rest is represented by padding on the list element.
+    list: null,
+    scrollContainer: null,
+    rows: [],                 // { type: 'date', text } | { type: 'message', message, showSender }
+    rowHeights: [],
+    rowOffsets: null,         // prefix sums of rowHeights, rebuilt when heights change
+    rowIndexById: new Map(),  // message id -> row index
+    rowElements: new Map(),   // row index -> element currently in the DOM
+    rowIndexByElement: new WeakMap(),
+    rowObserver: null,        // re-measures rendered rows whose size changes (e.g. an image loads)
+    windowStart: 0,           // rows [windowStart, windowEnd) are in the DOM
+    windowEnd: 0,
+    renderQueued: false,
+    printing: false,
+    
+    // Extra distance above and below the viewport kept rendered (px)
+    RENDER_BUFFER: 800,
+    
+    // Active search query, highlighted in rows as they are rendered
+    searchQuery: '',
+    
+    // Date and sender of the last row added (for separators and grouping)
+    lastRenderedDate: null,
+    lastRenderedSender: null,
 
     /**
      * Initialize the renderer
@@ -21,6 +59,7 @@ const ChatRenderer = {
     init(chatData, mediaFiles = new Map()) {
         this.allMessages = chatData.messages;
         this.mediaFiles = mediaFiles;
+        this.participantColors = new Map((chatData.participants || []).map((p, index) => [p.name, this.getParticipantColor(index)]));
         
         // Don't auto-set current user here - let the user choose via selector
         // Default will be set by app.js after selector is populated
@@ -35,39 +74,369 @@ const ChatRenderer = {
     },
 
     /**
-     * Render all messages to the container
+     * Switch between the POV layout and the neutral transcript
+     * @param {string} layout - 'pov' or 'neutral'
+     */
+    setLayout(layout) {
+        this.layout = layout;
+    },
+
+    /**
+     * Render all messages to the container (virtualized)
      * @param {string} containerId - ID of the container element
      * @param {Object} chatData - Parsed chat data
+     * @param {Object} options
+     * @param {boolean} options.keepPosition - Keep the first visible message in place
+     *   instead of scrolling to the bottom (e.g. when switching POV)
+     * @param {string} options.highlight - Search query to highlight
      */
-    renderMessages(containerId, chatData) {
+    renderMessages(containerId, chatData, { keepPosition = false, highlight = '' } = {}) {
         const container = document.getElementById(containerId);
         if (!container) return;
         
+        this.attachList(container);
+        const anchor = keepPosition ? this.getScrollAnchor() : null;
+        this.searchQuery = highlight.trim();
+        
+        // Stop watching media and sizes in the bubbles being thrown away
+        if (this.mediaObserver) this.mediaObserver.disconnect();
+        if (this.rowObserver) this.rowObserver.disconnect();
+        
         container.innerHTML = '';
+        this.rows = [];
+        this.rowHeights = [];
+        this.rowOffsets = null;
+        this.rowIndexById = new Map();
+        this.rowElements = new Map();
+        this.windowStart = 0;
+        this.windowEnd = 0;
+        this.lastRenderedDate = null;
+        this.lastRenderedSender = null;
         
-        let lastDate = null;
-        let lastSender = null;
+        this.addRows(chatData.messages);
         
-        chatData.messages.forEach((message, index) => {
+        const rowIndex = anchor ? this.rowIndexById.get(anchor.messageId) : undefined;
+        if (rowIndex !== undefined) {
+            this.scrollContainer.scrollTop = this.getRowOffsets()[rowIndex] - anchor.offset;
+            this.renderWindow();
+        } else {
+            this.scrollToBottom();
+        }
+    },
+
+    /**
+     * Append messages after the ones already rendered (used while a large
+     * chat is still streaming in from the parser worker)
+     * @param {string} containerId - ID of the container element
+     * @param {Array} messages - Messages to add at the end
+     */
+    appendMessages(containerId, messages) {
+        if (!document.getElementById(containerId)) return;
+        
+        this.addRows(messages);
+        this.renderWindow();
+    },
+
+    /**
+     * Add rows for messages, inserting date separators and sender grouping
+     */
+    addRows(messages) {
+        messages.forEach(message => {
             // Add date separator if needed
-            if (message.formattedDate !== lastDate) {
-                container.appendChild(this.createDateSeparator(message.formattedDate));
-                lastDate = message.formattedDate;
-                lastSender = null; // Reset sender grouping on new day
+            if (message.formattedDate !== this.lastRenderedDate) {
+                const row = { type: 'date', text: message.formattedDate };
+                this.rows.push(row);
+                this.rowHeights.push(this.estimateRowHeight(row));
+                this.lastRenderedDate = message.formattedDate;
+                this.lastRenderedSender = null; // Reset sender grouping on new day
             }
             
-            // Create and append message element
-            const showSender = message.sender !== lastSender && !message.isSystem;
-            const messageEl = this.createMessageElement(message, showSender);
-            container.appendChild(messageEl);
+            const row = {
+                type: 'message',
+                message,
+                showSender: message.sender !== this.lastRenderedSender && !message.isSystem
+            };
+            this.rowIndexById.set(message.id, this.rows.length);
+            this.rows.push(row);
+            this.rowHeights.push(this.estimateRowHeight(row));
             
-            lastSender = message.sender;
+            this.lastRenderedSender = message.sender;
+        });
+        
+        this.rowOffsets = null;
+    },
+
+    /**
+     * Hook the list up to its scroll container (once)
+     */
+    attachList(container) {
+        if (this.list === container) return;
+        
+        this.list = container;
+        this.scrollContainer = document.getElementById('messagesContainer') || container.parentElement;
+        
+        const queueRender = () => {
+            if (this.renderQueued) return;
+            this.renderQueued = true;
+            requestAnimationFrame(() => {
+                this.renderQueued = false;
+                this.renderWindow();
+            });
+        };
+        
+        this.scrollContainer.addEventListener('scroll', queueRender, { passive: true });
+        
+        // Covers the chat screen being shown and window resizes
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(queueRender).observe(this.scrollContainer);
+            this.rowObserver = new ResizeObserver(entries => this.onRowsResized(entries));
+        }
+        
+        // Printing needs every message in the DOM
+        window.addEventListener('beforeprint', () => {
+            this.printing = true;
+            this.renderWindow();
         });
+        window.addEventListener('afterprint', () => {
+            this.printing = false;
+            this.renderWindow();
+        });
+    },
+
+    /**
+     * Rough height of a row before it has been measured
+     */
+    estimateRowHeight(row) {
+        if (row.type === 'date') return 44;
         
-        // Scroll to bottom
-        const messagesContainer = document.getElementById('messagesContainer');
-        if (messagesContainer) {
-            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        const message = row.message;
+        if (message.isSystem) return 40;
+        
+        let height = 36;
+        if (row.showSender) height += 18;
+        if (message.quotedMessage) height += 44;
+        if (message.poll || message.location || message.contact) height += 110;
+        else if (message.media) height += message.media.hasData && ['image', 'video'].includes(message.media.type) ? 200 : 60;
+        
+        const lines = (message.text || '').split('\n')
+            .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / 48)), 0);
+        return height + lines * 19;
+    },
+
+    /**
+     * Top offset of every row (plus the total height at the end)
+     */
+    getRowOffsets() {
+        if (!this.rowOffsets) {
+            const offsets = new Float64Array(this.rowHeights.length + 1);
+            for (let i = 0; i < this.rowHeights.length; i++) {
+                offsets[i + 1] = offsets[i] + this.rowHeights[i];
+            }
+            this.rowOffsets = offsets;
+        }
+        return this.rowOffsets;
+    },
+
+    /**
+     * Index of the row at a given vertical position
+     */
+    findRowAt(position) {
+        const offsets = this.getRowOffsets();
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= position) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    },
+
+    /**
+     * Put the rows around the viewport in the DOM and keep the first visible
+     * row still when measured heights differ from estimates. Only rows that
+     * enter the window are created and measured; rows already in it stay put
+     * and are re-measured by rowObserver when their size changes.
+     */
+    renderWindow() {
+        if (!this.list || !this.scrollContainer) return;
+        
+        const total = this.rows.length;
+        const scrollTop = this.scrollContainer.scrollTop;
+        const viewportHeight = this.scrollContainer.clientHeight;
+        
+        const start = this.printing ? 0 : this.findRowAt(scrollTop - this.RENDER_BUFFER);
+        const end = this.printing ? total : Math.min(total, this.findRowAt(scrollTop + viewportHeight + this.RENDER_BUFFER) + 1);
+        const anchorIndex = this.findRowAt(scrollTop);
+        
+        // Drop rows that left the window
+        for (const [index, element] of this.rowElements) {
+            if (index < start || index >= end) {
+                this.rowElements.delete(index);
+                this.releaseMedia(element);
+                if (this.rowObserver) this.rowObserver.unobserve(element);
+                element.remove();
+            }
+        }
+        
+        // Create the ones that entered it, above or below the rows that stayed
+        const keptStart = this.rowElements.size > 0 ? Math.max(start, this.windowStart) : end;
+        const above = document.createDocumentFragment();
+        const below = document.createDocumentFragment();
+        const created = [];
+        for (let i = start; i < end; i++) {
+            if (this.rowElements.has(i)) continue;
+            const element = this.createRowElement(this.rows[i]);
+            this.rowElements.set(i, element);
+            this.rowIndexByElement.set(element, i);
+            (i < keptStart ? above : below).appendChild(element);
+            created.push(i);
+        }
+        this.list.insertBefore(above, this.list.firstChild);
+        this.list.appendChild(below);
+        this.windowStart = start;
+        this.windowEnd = end;
+        
+        // Everything is in the DOM while printing - no padding or measuring needed
+        if (this.printing) {
+            this.list.style.paddingTop = '0px';
+            this.list.style.paddingBottom = '0px';
+            return;
+        }
+        
+        // Measure the new rows (one layout for all of them), then watch them
+        let anchorShift = 0;
+        const heights = this.measureRows(created.map(index => this.rowElements.get(index)));
+        created.forEach((index, i) => {
+            const delta = this.setRowHeight(index, heights[i]);
+            if (index < anchorIndex) anchorShift += delta;
+            if (this.rowObserver) this.rowObserver.observe(this.rowElements.get(index));
+        });
+        
+        this.updateListPadding();
+        if (anchorShift) {
+            this.scrollContainer.scrollTop = scrollTop + anchorShift;
+        }
+    },
+
+    /**
+     * Rendered rows changed size (media loaded, text rewrapped) - update their
+     * heights and keep the first visible row still
+     */
+    onRowsResized(entries) {
+        // A hidden chat screen collapses every row - nothing to learn from that
+        if (this.printing || this.scrollContainer.clientHeight === 0) return;
+        
+        const scrollTop = this.scrollContainer.scrollTop;
+        const anchorIndex = this.findRowAt(scrollTop);
+        const resized = entries
+            .map(entry => entry.target)
+            .filter(element => this.rowElements.get(this.rowIndexByElement.get(element)) === element);
+        if (resized.length === 0) return;
+        
+        let anchorShift = 0;
+        const heights = this.measureRows(resized);
+        resized.forEach((element, i) => {
+            const index = this.rowIndexByElement.get(element);
+            const delta = this.setRowHeight(index, heights[i]);
+            if (index < anchorIndex) anchorShift += delta;
+        });
+        
+        this.updateListPadding();
+        if (anchorShift) {
+            this.scrollContainer.scrollTop = scrollTop + anchorShift;
+        }
+    },
+
+    /**
+     * Heights of rendered rows, including their margins and the list's gap
+     * @param {Array<HTMLElement>} elements
+     * @returns {Array<number>}
+     */
+    measureRows(elements) {
+        if (elements.length === 0) return [];
+        const gap = parseFloat(getComputedStyle(this.list).rowGap) || 0;
+        return elements.map(element => {
+            const style = getComputedStyle(element);
+            return element.getBoundingClientRect().height +
+                parseFloat(style.marginTop) + parseFloat(style.marginBottom) + gap;
+        });
+    },
+
+    /**
+     * Record a row's measured height
+     * @returns {number} How much the row grew (0 when it is unchanged)
+     */
+    setRowHeight(index, height) {
+        const delta = height - this.rowHeights[index];
+        if (Math.abs(delta) > 0.5) {
+            this.rowHeights[index] = height;
+            this.rowOffsets = null;
+            return delta;
+        }
+        return 0;
+    },
+
+    /**
+     * Pad the list for the rows above and below the rendered window
+     */
+    updateListPadding() {
+        const offsets = this.getRowOffsets();
+        this.list.style.paddingTop = `${offsets[this.windowStart]}px`;
+        this.list.style.paddingBottom = `${offsets[this.rows.length] - offsets[this.windowEnd]}px`;
+    },
+
+    /**
+     * Create the DOM element for a row
+     */
+    createRowElement(row) {
+        if (row.type === 'date') return this.createDateSeparator(row.text);
+        
+        const element = this.createMessageElement(row.message, row.showSender);
+        if (this.searchQuery) this.highlightElement(element, this.searchQuery);
+        return element;
+    },
+
+    /**
+     * First visible message and its distance from the top of the viewport
+     * @returns {Object|null} { messageId, offset }
+     */
+    getScrollAnchor() {
+        if (!this.scrollContainer || this.rows.length === 0) return null;
+        
+        const scrollTop = this.scrollContainer.scrollTop;
+        const offsets = this.getRowOffsets();
+        for (let i = this.findRowAt(scrollTop); i < this.rows.length; i++) {
+            if (this.rows[i].type === 'message') {
+                return { messageId: this.rows[i].message.id, offset: offsets[i] - scrollTop };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Scroll so a row is in view and return its element
+     * @param {number} index - Row index
+     * @returns {HTMLElement|null}
+     */
+    scrollToRow(index) {
+        const container = this.scrollContainer;
+        container.scrollTop = this.getRowOffsets()[index] - container.clientHeight / 2;
+        this.renderWindow();
+        
+        const element = this.rowElements.get(index) || null;
+        if (element) element.scrollIntoView({ block: 'center' });
+        return element;
+    },
+
+    /**
+     * Scroll to the last message
+     */
+    scrollToBottom() {
+        // Twice: the first pass measures the last rows, which moves the bottom
+        for (let pass = 0; pass < 2; pass++) {
+            this.scrollContainer.scrollTop = this.scrollContainer.scrollHeight;
+            this.renderWindow();
         }
     },
 
@@ -89,6 +458,9 @@ const ChatRenderer = {
         wrapper.className = `message ${this.getMessageClass(message)}`;
         wrapper.dataset.messageId = message.id;
         wrapper.dataset.timestamp = message.timestamp ? message.timestamp.getTime() : 0;
+        if (message.event) {
+            wrapper.dataset.event = message.event.event;
+        }
         
         const bubble = document.createElement('div');
         bubble.className = 'message-bubble';
@@ -98,23 +470,32 @@ const ChatRenderer = {
             const senderEl = document.createElement('div');
             senderEl.className = 'message-sender';
             senderEl.textContent = message.sender;
+            if (this.layout === 'neutral') senderEl.style.color = this.getSenderColor(message.sender);
             bubble.appendChild(senderEl);
         }
         
         // Add quoted message if present (reply feature)
         if (message.quotedMessage) {
-            const quoteEl = document.createElement('div');
-            quoteEl.className = 'quoted-message';
-            quoteEl.innerHTML = `
-                <div class="quoted-sender">${this.escapeHtml(message.quotedMessage.sender || '')}</div>
-                <div class="quoted-text">${this.escapeHtml(message.quotedMessage.text || 'Media')}</div>
-            `;
-            bubble.appendChild(quoteEl);
+            bubble.appendChild(this.createQuoteElement(message));
+        }
+        
+        // Polls, locations and contact cards get a dedicated card
+        const card = this.createCardElement(message);
+        if (card) {
+            // Contact cards link to the .vcf once it is loaded
+            const download = card.querySelector('a[download]');
+            if (download) {
+                this.observeMedia(download, message.media.key, url => { download.href = url; });
+            }
+            bubble.appendChild(card);
         }
         
-        // Add media if present
-        if (message.media) {
-            bubble.appendChild(this.createMediaElement(message.media));
+        // Add media if present (a contact's .vcf is shown as the card instead)
+        if (message.media && !message.contact) {
+            const mediaEl = this.createMediaElement(message.media);
+            // Text read from the image, for search highlights
+            if (message.imageText) mediaEl.dataset.imageText = message.imageText;
+            bubble.appendChild(mediaEl);
         }
         
         // Add message text
@@ -135,10 +516,84 @@ const ChatRenderer = {
             bubble.appendChild(metaEl);
         }
         
+        // Reactions (only known from database imports)
+        if (message.reactions && message.reactions.length > 0) {
+            bubble.appendChild(this.createReactionsElement(message));
+        }
+        
         wrapper.appendChild(bubble);
         return wrapper;
     },
 
+    /**
+     * Create the reaction chips under a bubble - one per emoji, with who reacted
+     */
+    createReactionsElement(message) {
+        const byEmoji = new Map();
+        message.reactions.forEach(reaction => {
+            if (!byEmoji.has(reaction.emoji)) byEmoji.set(reaction.emoji, []);
+            byEmoji.get(reaction.emoji).push(reaction.sender);
+        });
+        
+        const reactionsEl = document.createElement('div');
+        reactionsEl.className = 'message-reactions';
+        byEmoji.forEach((senders, emoji) => {
+            const chip = document.createElement('span');
+            chip.className = 'reaction';
+            chip.title = senders.join(', ');
+            chip.textContent = senders.length > 1 ? `${emoji} ${senders.length}` : emoji;
+            reactionsEl.appendChild(chip);
+        });
+        return reactionsEl;
+    },
+
+    /**
+     * Create the quoted block for a reply. Clicking it jumps to the original
+     * message when the parser could link one (see WhatsAppParser.reconstructReplies).
+     */
+    createQuoteElement(message) {
+        const quote = message.quotedMessage;
+        const replyTo = message.replyTo || { id: null, confidence: 0, method: 'unmatched' };
+        
+        const quoteEl = document.createElement('div');
+        quoteEl.className = 'quoted-message';
+        quoteEl.innerHTML = `
+            <div class="quoted-sender">${this.escapeHtml(quote.sender || '')}</div>
+            <div class="quoted-text">${this.escapeHtml(quote.text || 'Media')}</div>
+        `;
+        
+        if (replyTo.id !== null) {
+            quoteEl.classList.add('linked');
+            quoteEl.title = `Reply to message #${replyTo.id} (${Math.round(replyTo.confidence * 100)}% match) - click to view`;
+            quoteEl.addEventListener('click', () => this.scrollToMessage(replyTo.id));
+        } else {
+            quoteEl.title = 'Original message is not in this export';
+        }
+        
+        if (replyTo.confidence < 0.6) {
+            quoteEl.classList.add('uncertain');
+        }
+        
+        return quoteEl;
+    },
+
+    /**
+     * Scroll to a message by id and flash it
+     * @returns {boolean} Whether the message is currently rendered
+     */
+    scrollToMessage(messageId) {
+        const index = this.rowIndexById.get(messageId);
+        if (index === undefined) return false;
+        
+        const el = this.scrollToRow(index);
+        if (!el) return false;
+        
+        el.classList.remove('flash');
+        el.offsetHeight; // Trigger reflow
+        el.classList.add('flash');
+        return true;
+    },
+
     /**
      * Get message CSS class (incoming/outgoing/system/call)
      */
@@ -147,14 +602,17 @@ const ChatRenderer = {
             return 'system';
         }
         
+        // The neutral transcript has no "own" messages
+        const isOwn = this.layout !== 'neutral' && this.currentUser && message.sender === this.currentUser;
+        
         if (message.type === 'call' || message.type === 'missed_call') {
-            const baseClass = this.currentUser && message.sender === this.currentUser ? 'outgoing' : 'incoming';
+            const baseClass = isOwn ? 'outgoing' : 'incoming';
             return `${baseClass} ${message.type === 'missed_call' ? 'missed_call' : 'call'}`;
         }
         
         // Simple heuristic: if sender matches current user pattern, it's outgoing
         // This is a best-effort approach since WhatsApp exports don't explicitly mark this
-        if (this.currentUser && message.sender === this.currentUser) {
+        if (isOwn) {
             return 'outgoing';
         }
         
@@ -186,43 +644,87 @@ const ChatRenderer = {
         // Handle images with data
         if (media.type === 'image' && media.hasData) {
             const img = document.createElement('img');
-            img.src = media.data;
             img.alt = media.filename || 'Image';
-            img.loading = 'lazy';
-            img.onclick = () => this.openLightbox(media.data);
+            img.onclick = () => img.src && this.openLightbox(img.src);
             container.appendChild(img);
+            
+            // Converted images (e.g. HEIC) keep a link to the file as it was sent
+            if (MediaStore.isConverted(media.key)) {
+                const original = document.createElement('a');
+                original.className = 'media-original';
+                original.download = media.filename || media.key;
+                original.textContent = `Download original (.${media.key.split('.').pop().toLowerCase()})`;
+                container.appendChild(original);
+                this.observeMedia(img, media.key, url => {
+                    img.src = url;
+                    MediaStore.getUrl(media.key).then(originalUrl => { original.href = originalUrl; });
+                });
+            } else {
+                this.observeMedia(img, media.key, url => { img.src = url; });
+            }
             return container;
         }
         
         // Handle video with data
         if (media.type === 'video' && media.hasData) {
             const video = document.createElement('video');
-            video.src = media.data;
             video.controls = true;
             video.preload = 'metadata';
+            container.classList.add('video');
             container.appendChild(video);
+            
+            // Poster frame as the thumbnail, length and size in the corner
+            const badge = document.createElement('span');
+            badge.className = 'video-badge';
+            container.appendChild(badge);
+            this.observeMedia(video, media.key, url => {
+                video.src = url;
+                MediaStore.getVideoInfo(media.key)
+                    .then(info => {
+                        video.poster = info.url;
+                        badge.textContent = this.describeVideo(info);
+                    })
+                    .catch(error => console.warn(`No poster frame for ${media.key}:`, error.message));
+            });
             return container;
         }
         
-        // Handle audio with data
+        // Handle audio with data: a voice note bubble with its waveform, or the
+        // plain player when the browser cannot decode the file
         if (media.type === 'audio' && media.hasData) {
             const audio = document.createElement('audio');
-            audio.src = media.data;
-            audio.controls = true;
+            audio.preload = 'metadata';
+            const note = this.createVoiceNote(audio, media);
+            container.classList.add('audio');
+            container.appendChild(note);
             container.appendChild(audio);
+            
+            // An <audio> without controls takes no space, so the bubble is watched instead
+            this.observeMedia(note, media.key, url => {
+                audio.src = url;
+                MediaStore.getAudioInfo(media.key)
+                    .then(info => this.drawWaveform(note, info))
+                    .catch(error => {
+                        console.warn(`No waveform for ${media.key}:`, error.message);
+                        note.remove();
+                        audio.controls = true;
+                    });
+            });
             return container;
         }
         
         // Handle documents with data (PDF, etc.)
         if (media.type === 'document' && media.hasData) {
             container.innerHTML = `
-                <div class="media-placeholder" style="cursor: pointer;" onclick="window.open('${media.data}', '_blank')">
+                <a class="media-placeholder" target="_blank" rel="noopener noreferrer">
                     <svg viewBox="0 0 24 24" fill="currentColor">
                         <path d="M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm2 16H8v-2h8v2zm0-4H8v-2h8v2zm-3-5V3.5L18.5 9H13z"/>
                     </svg>
                     <span>📄 ${this.escapeHtml(media.filename || 'Document')} (click to view)</span>
-                </div>
+                </a>
             `;
+            const link = container.firstElementChild;
+            this.observeMedia(link, media.key, url => { link.href = url; });
             return container;
         }
         
@@ -246,6 +748,204 @@ const ChatRenderer = {
         return container;
     },
 
+    /**
+     * Voice note bubble: play button, waveform (filled in by drawWaveform),
+     * length and filename. Playing colours the bars; clicking them seeks.
+     * @param {HTMLAudioElement} audio - Player the bubble controls
+     * @param {Object} media - Message media
+     */
+    createVoiceNote(audio, media) {
+        const note = document.createElement('div');
+        note.className = 'voice-note';
+        note.innerHTML = `
+            <button class="voice-play" type="button" aria-label="Play voice note">▶</button>
+            <div class="voice-body">
+                <div class="voice-waveform"></div>
+                <div class="voice-meta">
+                    <span class="voice-duration"></span>
+                    <span class="voice-filename">${this.escapeHtml(media.filename || '')}</span>
+                </div>
+            </div>
+        `;
+        
+        const button = note.querySelector('.voice-play');
+        const waveform = note.querySelector('.voice-waveform');
+        button.addEventListener('click', () => {
+            if (!audio.paused) {
+                audio.pause();
+                return;
+            }
+            // A format the browser can't play, or a click before the file is
+            // in - fall back to the browser's own player, as when decoding fails
+            audio.play().catch(error => {
+                if (error.name === 'AbortError') return; // Paused again before it started
+                console.warn(`Could not play ${media.filename}:`, error.message);
+                note.remove();
+                audio.controls = true;
+            });
+        });
+        audio.addEventListener('play', () => {
+            button.textContent = '❚❚';
+            button.setAttribute('aria-label', 'Pause voice note');
+        });
+        audio.addEventListener('pause', () => {
+            button.textContent = '▶';
+            button.setAttribute('aria-label', 'Play voice note');
+        });
+        audio.addEventListener('timeupdate', () => {
+            const bars = waveform.children;
+            const played = audio.duration ? Math.round(audio.currentTime / audio.duration * bars.length) : 0;
+            Array.from(bars).forEach((bar, i) => bar.classList.toggle('played', i < played));
+        });
+        waveform.addEventListener('click', (e) => {
+            if (!audio.duration) return;
+            const rect = waveform.getBoundingClientRect();
+            audio.currentTime = (e.clientX - rect.left) / rect.width * audio.duration;
+        });
+        
+        return note;
+    },
+
+    /**
+     * Fill a voice note bubble with its waveform and length
+     * @param {HTMLElement} note - From createVoiceNote
+     * @param {Object} info - From MediaStore.getAudioInfo
+     */
+    drawWaveform(note, info) {
+        note.querySelector('.voice-waveform').innerHTML = info.peaks
+            .map(peak => `<span style="height: ${Math.round(peak * 100)}%"></span>`)
+            .join('');
+        note.querySelector('.voice-duration').textContent = this.formatDuration(info.duration);
+    },
+
+    /**
+     * Video or voice note length as the chat apps show it, e.g. "0:07" or "1:02:33"
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
+    /**
+     * Length and resolution of a video, e.g. "0:42 · 1280×720"
+     * @param {Object} info - From MediaStore.getVideoInfo
+     */
+    describeVideo(info) {
+        return [
+            info.duration !== null ? this.formatDuration(info.duration) : null,
+            `${info.width}×${info.height}`
+        ].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * Load a media file into an element once it scrolls into view
+     * @param {HTMLElement} element - Element to watch
+     * @param {string} key - MediaStore key
+     * @param {Function} apply - Called with the object URL of a version the page can show
+     */
+    observeMedia(element, key, apply) {
+        const load = () => MediaStore.getDisplayUrl(key)
+            .then(apply)
+            .catch(error => console.error(`Could not load media ${key}:`, error));
+        
+        if (typeof IntersectionObserver === 'undefined') {
+            load();
+            return;
+        }
+        
+        if (!this.mediaObserver) {
+            // Start loading a little before the bubble is on screen
+            this.mediaObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.mediaObserver.unobserve(entry.target);
+                    const pending = this.pendingMedia.get(entry.target);
+                    this.pendingMedia.delete(entry.target);
+                    if (pending) pending();
+                });
+            }, { root: document.getElementById('messagesContainer'), rootMargin: '400px 0px' });
+        }
+        
+        this.pendingMedia.set(element, load);
+        this.mediaObserver.observe(element);
+    },
+
+    /**
+     * Stop waiting on media inside an element that left the DOM
+     */
+    releaseMedia(element) {
+        if (!this.mediaObserver) return;
+        element.querySelectorAll('img, video, audio, a, .voice-note').forEach(el => {
+            if (this.pendingMedia.delete(el)) this.mediaObserver.unobserve(el);
+        });
+    },
+
+    /**
+     * Create a card for poll, location and contact messages
+     * @returns {HTMLElement|null} Card element, or null for other message types
+     */
+    createCardElement(message) {
+        if (message.poll) {
+            const { question, options, totalVotes } = message.poll;
+            const maxVotes = Math.max(1, ...options.map(o => o.votes));
+            
+            const card = document.createElement('div');
+            card.className = 'message-card poll-card';
+            card.innerHTML = `
+                <div class="card-title">📊 ${this.escapeHtml(question)}</div>
+                ${options.map(option => `
+                    <div class="poll-option">
+                        <div class="poll-option-row">
+                            <span>${this.escapeHtml(option.text)}</span>
+                            <span class="poll-votes">${option.votes}</span>
+                        </div>
+                        <div class="poll-bar"><span style="width: ${Math.round(option.votes / maxVotes * 100)}%"></span></div>
+                    </div>
+                `).join('')}
+                <div class="card-footer">${totalVotes} vote${totalVotes === 1 ? '' : 's'}</div>
+            `;
+            return card;
+        }
+        
+        if (message.location) {
+            const { name, latitude, longitude, url } = message.location;
+            
+            const card = document.createElement('a');
+            card.className = 'message-card location-card';
+            card.href = url;
+            card.target = '_blank';
+            card.rel = 'noopener noreferrer';
+            card.innerHTML = `
+                <div class="card-title">📍 ${this.escapeHtml(name || 'Location')}</div>
+                ${latitude !== null ? `<div class="card-detail">${latitude.toFixed(5)}, ${longitude.toFixed(5)}</div>` : ''}
+                <div class="card-footer">Open in maps</div>
+            `;
+            return card;
+        }
+        
+        if (message.contact) {
+            const { name, phones, emails, organization } = message.contact;
+            
+            const card = document.createElement('div');
+            card.className = 'message-card contact-card';
+            card.innerHTML = `
+                <div class="card-title">👤 ${this.escapeHtml(name)}</div>
+                ${organization ? `<div class="card-detail">${this.escapeHtml(organization)}</div>` : ''}
+                ${phones.map(phone => `<div class="card-detail">📞 ${this.escapeHtml(phone)}</div>`).join('')}
+                ${emails.map(email => `<div class="card-detail">✉️ ${this.escapeHtml(email)}</div>`).join('')}
+                ${message.media && message.media.hasData
+                    ? `<a class="card-footer" download="${this.escapeHtml(message.media.filename)}">Download contact card</a>`
+                    : '<div class="card-footer">Contact card not included in export</div>'}
+            `;
+            return card;
+        }
+        
+        return null;
+    },
+
     /**
      * Format message text with links and special formatting
      */
@@ -285,6 +985,27 @@ const ChatRenderer = {
             return `<span style="opacity: 0.7">📄 Document not included in export</span>`;
         }
         
+        // View once and "waiting for this message" - the content never existed in the export
+        const notice = this.getContentNotice(message);
+        if (notice) {
+            return `<span class="content-notice" title="${this.escapeHtml(notice.detail)}">${notice.icon} ${this.escapeHtml(notice.label)}</span>` +
+                `<span class="content-notice-detail">${this.escapeHtml(notice.detail)}</span>`;
+        }
+        
+        // Shown on their card instead
+        if (message.type === 'poll' || message.type === 'location' || message.type === 'contact') {
+            return '';
+        }
+        
+        if (message.type === 'live_location') {
+            return `<span style="opacity: 0.8">📡 ${this.escapeHtml(text)}</span>`;
+        }
+        
+        if (message.event) {
+            const icon = this.getSystemEventIcon(message.event.event);
+            return `${icon ? icon + ' ' : ''}${this.escapeHtml(text)}`;
+        }
+        
         // Escape HTML first
         text = this.escapeHtml(text);
         
@@ -310,6 +1031,52 @@ const ChatRenderer = {
         return text;
     },
 
+    /**
+     * Indicator for a message whose content is not in the export (also used by the exporters)
+     * @returns {Object|null} { icon, label, detail }, or null for other messages
+     */
+    getContentNotice(message) {
+        if (message.type === 'view_once') {
+            return {
+                icon: '👁️',
+                label: message.text || 'View once media',
+                detail: 'View once - can only be opened on the phone, never included in exports'
+            };
+        }
+        if (message.type === 'waiting') {
+            return {
+                icon: '⏳',
+                label: 'Waiting for this message',
+                detail: 'The exporting phone never received this message - its content is not available'
+            };
+        }
+        return null;
+    },
+
+    /**
+     * Get icon for a structured system event (see WhatsAppParser.parseSystemEvent)
+     */
+    getSystemEventIcon(eventType) {
+        const icons = {
+            encryption_notice: '🔒',
+            group_created: '👥',
+            member_added: '➕',
+            member_joined: '➕',
+            member_removed: '➖',
+            member_left: '➖',
+            subject_changed: '✏️',
+            icon_changed: '🖼️',
+            description_changed: '✏️',
+            settings_changed: '⚙️',
+            admin_promoted: '⭐',
+            admin_demoted: '⭐',
+            number_changed: '📱',
+            disappearing_messages_toggled: '⏱️',
+            message_pinned: '📌'
+        };
+        return icons[eventType] || '';
+    },
+
     /**
      * Escape HTML special characters
      */
@@ -350,6 +1117,14 @@ const ChatRenderer = {
         document.getElementById('mediaCount').textContent = chatData.stats.mediaMessages.toLocaleString();
         document.getElementById('dateRange').textContent = chatData.stats.dateRange;
         
+        // Edited, view once, waiting and disappearing messages
+        const flaggedItem = document.getElementById('flaggedStat');
+        if (flaggedItem) {
+            const flagged = WhatsAppParser.describeFlagged(chatData.stats);
+            flaggedItem.style.display = flagged ? '' : 'none';
+            document.getElementById('flaggedCount').textContent = flagged;
+        }
+        
         // Update title
         document.getElementById('chatTitle').textContent = chatName;
         document.getElementById('chatSubtitle').textContent = 
@@ -359,6 +1134,167 @@ const ChatRenderer = {
         // which sets up click handlers for POV switching
     },
 
+    /**
+     * Render the membership history panel
+     * @param {Object} roster - Roster from WhatsAppParser.buildRoster
+     * @param {string} date - Optional YYYY-MM-DD; only members on that day are listed
+     */
+    renderMembershipPanel(roster, date = null) {
+        const section = document.getElementById('membershipSection');
+        const list = document.getElementById('membershipList');
+        const summary = document.getElementById('membershipSummary');
+        if (!section || !list) return;
+        
+        // Only groups with join/leave events have a history worth showing
+        if (!roster || !roster.hasHistory) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        
+        const members = date
+            ? WhatsAppParser.getMembersOnDate(roster, date)
+            : roster.members;
+        
+        const current = roster.members.filter(m => m.isCurrent).length;
+        summary.textContent = date
+            ? `${members.length} member(s) on ${new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : `${current} current, ${roster.members.length - current} former, ${roster.timeline.length} change(s)`;
+        
+        list.innerHTML = '';
+        members.forEach(member => {
+            const li = document.createElement('li');
+            if (!member.isCurrent) li.classList.add('former');
+            
+            const name = document.createElement('span');
+            name.className = 'membership-name';
+            name.textContent = member.name;
+            li.appendChild(name);
+            
+            member.periods.forEach(period => {
+                const periodEl = document.createElement('span');
+                periodEl.className = 'membership-period';
+                periodEl.textContent = WhatsAppParser.describeMembershipPeriod(period);
+                li.appendChild(periodEl);
+            });
+            
+            list.appendChild(li);
+        });
+    },
+
+    /**
+     * Render the merged exports panel: where each message came from
+     * @param {Object} chatData - Parsed chat data (sources is only set for merged chats)
+     */
+    renderSourcesPanel(chatData) {
+        const section = document.getElementById('sourcesSection');
+        const list = document.getElementById('sourcesList');
+        const summary = document.getElementById('sourcesSummary');
+        if (!section || !list) return;
+        
+        if (!chatData.sources) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        
+        const { exports, total, duplicates } = chatData.mergeStats;
+        summary.textContent = `${exports} exports, ${total.toLocaleString()} messages, ` +
+            `${duplicates.toLocaleString()} duplicate(s) removed`;
+        
+        list.innerHTML = '';
+        chatData.sources.forEach(source => {
+            const li = document.createElement('li');
+            
+            const name = document.createElement('span');
+            name.className = 'source-name';
+            name.textContent = source.label;
+            li.appendChild(name);
+            
+            const details = [
+                `${source.messageCount.toLocaleString()} messages, ${source.uniqueCount.toLocaleString()} only here`,
+                `${source.mediaCount.toLocaleString()} with media`,
+                WhatsAppParser.formatDateRange(source.firstDate, source.lastDate),
+                `Read as ${source.timeZone.replace(/_/g, ' ')} time`
+            ];
+            details.forEach(text => {
+                const detail = document.createElement('span');
+                detail.className = 'source-detail';
+                detail.textContent = text;
+                li.appendChild(detail);
+            });
+            
+            list.appendChild(li);
+        });
+    },
+
+    /**
+     * Render the parse report panel: lines and messages the parser could not
+     * place, attachments it could not find and guesses it made
+     * @param {Object} chatData - Parsed chat data
+     */
+    renderParseReport(chatData) {
+        const section = document.getElementById('parseReportSection');
+        const groups = document.getElementById('parseReportGroups');
+        const summary = document.getElementById('parseReportSummary');
+        if (!section || !groups) return;
+        
+        const report = chatData.diagnostics;
+        if (!report) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        summary.textContent = WhatsAppParser.summarizeDiagnostics(report);
+        
+        groups.innerHTML = '';
+        WhatsAppParser.DIAGNOSTIC_LISTS.forEach(({ list, title }) => {
+            const count = report.counts[list];
+            if (count === 0) return;
+            
+            const group = document.createElement('details');
+            group.className = 'parse-report-group';
+            
+            const heading = document.createElement('summary');
+            heading.textContent = `${title} (${count.toLocaleString()})`;
+            group.appendChild(heading);
+            
+            const items = document.createElement('ul');
+            report[list].forEach(entry => {
+                const li = document.createElement('li');
+                
+                if (entry.line) {
+                    const line = document.createElement('span');
+                    line.className = 'parse-report-line';
+                    line.textContent = entry.sourceLabel ? `${entry.sourceLabel}:${entry.line}` : `Line ${entry.line}`;
+                    li.appendChild(line);
+                }
+                
+                const text = document.createElement('span');
+                text.className = 'parse-report-text';
+                text.textContent = WhatsAppParser.describeDiagnostic(list, entry);
+                li.appendChild(text);
+                
+                // Entries tied to a message jump to it
+                if (entry.messageId !== null && entry.messageId !== undefined) {
+                    li.classList.add('linked');
+                    li.addEventListener('click', () => this.scrollToMessage(entry.messageId));
+                }
+                items.appendChild(li);
+            });
+            
+            if (count > report[list].length) {
+                const more = document.createElement('li');
+                more.className = 'parse-report-more';
+                more.textContent = `...and ${(count - report[list].length).toLocaleString()} more`;
+                items.appendChild(more);
+            }
+            
+            group.appendChild(items);
+            groups.appendChild(group);
+        });
+    },
+
     /**
      * Get initials from name
      */
@@ -382,6 +1318,17 @@ const ChatRenderer = {
         return colors[index % colors.length];
     },
 
+    /**
+     * Label colour of a sender - by participant order, so the app, PDF and
+     * HTML agree. Senders not in the list yet (while streaming) take the next colour.
+     */
+    getSenderColor(name) {
+        if (!this.participantColors.has(name)) {
+            this.participantColors.set(name, this.getParticipantColor(this.participantColors.size));
+        }
+        return this.participantColors.get(name);
+    },
+
     /**
      * Search messages and highlight results
      */
@@ -398,18 +1345,14 @@ const ChatRenderer = {
         this.allMessages.forEach(msg => {
             const msgText = (msg.text || '').toLowerCase();
             const msgSender = (msg.sender || '').toLowerCase();
-            if (msgText.includes(lowerQuery) || msgSender.includes(lowerQuery)) {
+            const imageText = (msg.imageText || '').toLowerCase();
+            if (msgText.includes(lowerQuery) || msgSender.includes(lowerQuery) || imageText.includes(lowerQuery)) {
                 results.push(msg);
             }
         });
         
-        // Re-render with only matching messages
-        this.renderMessages('messagesList', { messages: results });
-        
-        // Highlight matches in the UI after rendering
-        setTimeout(() => {
-            this.highlightSearchResults(query);
-        }, 50);
+        // Re-render with only matching messages, highlighted as they render
+        this.renderMessages('messagesList', { messages: results }, { highlight: query });
         
         return results;
     },
@@ -418,22 +1361,47 @@ const ChatRenderer = {
      * Highlight search results in the message list
      */
     highlightSearchResults(query) {
-        const messages = document.querySelectorAll('.message-text');
+        this.searchQuery = query.trim();
+        this.rowElements.forEach(element => this.highlightElement(element, this.searchQuery));
+    },
+
+    /**
+     * Highlight (or clear) a query in one rendered message
+     */
+    highlightElement(element, query) {
         const regex = new RegExp(`(${this.escapeRegex(query)})`, 'gi');
         
-        messages.forEach(msgEl => {
-            // Get original text (stored in data attribute or recompute)
-            const originalHtml = msgEl.innerHTML;
-            
+        element.querySelectorAll('.message-text').forEach(msgEl => {
             // Remove existing highlights
-            const cleanHtml = originalHtml.replace(/<span class="highlight">([^<]+)<\/span>/gi, '$1');
+            const cleanHtml = msgEl.innerHTML.replace(/<span class="highlight">([^<]+)<\/span>/gi, '$1');
             
             // Add new highlights
-            if (query.trim()) {
-                msgEl.innerHTML = cleanHtml.replace(regex, '<span class="highlight">$1</span>');
-            } else {
-                msgEl.innerHTML = cleanHtml;
+            msgEl.innerHTML = query ? cleanHtml.replace(regex, '<span class="highlight">$1</span>') : cleanHtml;
+        });
+        
+        // Text read from an image: outline the image and show the words around the match
+        element.querySelectorAll('.message-media[data-image-text]').forEach(mediaEl => {
+            const text = mediaEl.dataset.imageText;
+            const index = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+            mediaEl.classList.toggle('text-match', index !== -1);
+            
+            let excerpt = mediaEl.querySelector('.image-text-match');
+            if (index === -1) {
+                if (excerpt) excerpt.remove();
+                return;
+            }
+            if (!excerpt) {
+                excerpt = document.createElement('div');
+                excerpt.className = 'image-text-match';
+                mediaEl.appendChild(excerpt);
             }
+            
+            const CONTEXT = 30;
+            const start = Math.max(0, index - CONTEXT);
+            const end = Math.min(text.length, index + query.length + CONTEXT);
+            excerpt.innerHTML = `🔍 ${start > 0 ? '…' : ''}${this.escapeHtml(text.slice(start, index))}` +
+                `<span class="highlight">${this.escapeHtml(text.slice(index, index + query.length))}</span>` +
+                `${this.escapeHtml(text.slice(index + query.length, end))}${end < text.length ? '…' : ''}`;
         });
     },
 
@@ -446,27 +1414,23 @@ const ChatRenderer = {
 
     /**
      * Jump to a specific date in the chat
+     * @param {string} date - 'YYYY-MM-DD', a day in the display time zone
      */
     jumpToDate(date) {
-        const targetDate = new Date(date);
-        const targetDateStr = targetDate.toDateString();
-        
         // Find the first message on that date
-        const messageEl = document.querySelector(`.message[data-timestamp]`);
-        const allMessages = document.querySelectorAll('.message[data-timestamp]');
-        
-        for (const msg of allMessages) {
-            const msgDate = new Date(parseInt(msg.dataset.timestamp));
-            if (msgDate.toDateString() === targetDateStr) {
-                msg.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                msg.style.animation = 'none';
-                msg.offsetHeight; // Trigger reflow
-                msg.style.animation = 'messageIn 0.3s ease';
-                return true;
-            }
-        }
+        const index = this.rows.findIndex(row =>
+            row.type === 'message' && row.message.timestamp &&
+            WhatsAppParser.getDateKey(row.message.timestamp) === date
+        );
+        if (index === -1) return false;
         
-        return false;
+        const msg = this.scrollToRow(index);
+        if (msg) {
+            msg.style.animation = 'none';
+            msg.offsetHeight; // Trigger reflow
+            msg.style.animation = 'messageIn 0.3s ease';
+        }
+        return true;
     }
 };
 
@@ -0,0 +1,409 @@
+/**
+ * WhatsApp2PDF - Telegram Importer
+ * Reads the result.json of a Telegram Desktop chat export ("Export chat
+ * history", format: Machine-readable JSON) into the same chat data shape
+ * WhatsAppParser.parse returns, so the renderer and exporters need no changes.
+ *
+ * Telegram message kinds map onto the existing message types:
+ *   text + text_entities    -> text (entities become WhatsApp-style *bold* etc.)
+ *   photo / file            -> media, document or media_omitted
+ *   poll / location / contact -> poll, location, live_location, contact cards
+ *   phone_call / group_call -> call, missed_call
+ *   other service actions   -> system messages with a typed event
+ * Only single-chat exports are supported; a full account export (chats.list)
+ * is rejected by score().
+ */
+
+const TelegramImporter = {
+    id: 'telegram',
+    name: 'Telegram Desktop (JSON)',
+    extensions: ['json'],
+
+    // Chat types Telegram Desktop writes for a single-chat export
+    CHAT_TYPES: [
+        'personal_chat', 'bot_chat', 'saved_messages', 'private_group',
+        'private_supergroup', 'public_supergroup', 'private_channel', 'public_channel'
+    ],
+
+    // Placeholder Telegram writes when a file was excluded from the export
+    NOT_INCLUDED: /^\(File (?:not included|exceeds maximum size)/,
+
+    // Telegram media_type -> WhatsApp2PDF media type
+    MEDIA_TYPES: {
+        voice_message: 'audio',
+        audio_file: 'audio',
+        video_file: 'video',
+        video_message: 'video',
+        animation: 'video',
+        sticker: 'image'
+    },
+
+    // Entity type -> [prefix, suffix] in WhatsApp markup
+    ENTITY_MARKUP: {
+        bold: ['*', '*'],
+        italic: ['_', '_'],
+        strikethrough: ['~', '~'],
+        code: ['```', '```'],
+        pre: ['```', '```']
+    },
+
+    /**
+     * Check whether a file is a Telegram chat export
+     * @param {string} filename
+     * @param {string} content - Decoded file contents
+     * @returns {Object} { isChat, messageLines, title, summary }
+     */
+    score(filename, content) {
+        // result.json starts with the chat's name, type and id before the messages
+        const head = content.slice(0, 2000);
+        const type = head.match(/"type"\s*:\s*"([a-z_]+)"/);
+        const isChat = /^\s*\{\s*"name"\s*:/.test(head) && !!type &&
+            this.CHAT_TYPES.includes(type[1]) && /"messages"\s*:\s*\[/.test(content);
+
+        if (!isChat) return { isChat: false, messageLines: 0, title: null, summary: 'Not a Telegram chat export' };
+
+        const name = head.match(/"name"\s*:\s*("(?:[^"\\]|\\.)*")/);
+        const messageCount = (content.match(/"type"\s*:\s*"message"/g) || []).length;
+        return {
+            isChat: true,
+            messageLines: messageCount,
+            title: name ? JSON.parse(name[1]) : null,
+            summary: `Telegram export, ${messageCount.toLocaleString()} messages`
+        };
+    },
+
+    /**
+     * Parse a Telegram result.json
+     * @param {string} content - The JSON text
+     * @param {Map} mediaFiles - Map of filename -> media handle (see MediaStore.handles)
+     * @param {Object} options - Same options as WhatsAppParser.parse (timeZone and
+     *   displayTimeZone apply; dateOrder and locale have no meaning here)
+     * @returns {Object} Chat data, same shape as WhatsAppParser.parse
+     */
+    parse(content, mediaFiles = new Map(), options = {}) {
+        const P = WhatsAppParser;
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Not a valid Telegram export (${error.message})`);
+        }
+        const rawMessages = Array.isArray(data.messages) ? data.messages : [];
+
+        // Newer exports carry date_unixtime (an instant); older ones only local wall-clock time
+        const hasUnixTimes = rawMessages.some(raw => raw.date_unixtime);
+        const { timeZone, displayTimeZone } = P.resolveTimeZones(options, () => ({
+            zone: P.getBrowserTimeZone(),
+            source: 'auto',
+            reason: hasUnixTimes ? 'Telegram UTC timestamps' : 'this browser'
+        }));
+
+        const diagnostics = P.createDiagnostics(rawMessages.length);
+        const idMap = new Map(); // Telegram id -> message
+        const messages = [];
+
+        rawMessages.forEach(raw => {
+            const message = this.convertMessage(raw, mediaFiles, timeZone.zone, diagnostics);
+            if (!message) return;
+            message.id = messages.length;
+            messages.push(message);
+            idMap.set(raw.id, message);
+        });
+
+        // Replies name the Telegram id of the original - link and quote it
+        messages.forEach(message => {
+            if (message.telegramReplyTo === undefined) return;
+            const original = idMap.get(message.telegramReplyTo);
+            delete message.telegramReplyTo;
+
+            message.hasQuote = true;
+            message.quotedMessage = original
+                ? { timestamp: original.timestamp, sender: original.sender, text: original.text || 'Media' }
+                : { timestamp: null, sender: '', text: 'Message not in this export' };
+            message.replyTo = original
+                ? { id: original.id, confidence: 1, method: 'exact' }
+                : { id: null, confidence: 1, method: 'unmatched' };
+        });
+
+        messages.forEach(message => {
+            // Omitted files are expected to be missing, like WhatsApp's "<Media omitted>"
+            if (!['media', 'contact'].includes(message.type)) return;
+            if (message.media && message.media.filename && !message.media.hasData) {
+                P.recordDiagnostic(diagnostics, 'unresolvedMedia', {
+                    line: null,
+                    messageId: message.id,
+                    filename: message.media.filename,
+                    sender: message.sender,
+                    timestamp: message.timestamp,
+                    reason: mediaFiles.size === 0 ? 'No media files in the upload' : 'No file with this name in the upload'
+                });
+            }
+        });
+
+        // A personal chat is named after the other person
+        const exporter = P.detectExporter(messages, { chatTitle: data.name });
+
+        const chatWide = [
+            { kind: 'format', detail: `Export format: ${this.name}` },
+            {
+                kind: 'time_zone',
+                detail: timeZone.source === 'manual'
+                    ? `Time zone: ${timeZone.zone} (chosen)`
+                    : `Time zone: ${timeZone.zone} (${timeZone.reason})`
+            },
+            { kind: 'exporter', detail: `Exported by: ${P.describeExporter(exporter)}` }
+        ];
+        diagnostics.decisions.unshift(...chatWide.map(entry => ({ ...entry, line: null, messageId: null })));
+        diagnostics.counts.decisions += chatWide.length;
+
+        console.log(`✈️ Telegram export "${data.name}": ${messages.length} messages`);
+
+        return P.buildChatData(messages.map(msg => P.formatForDisplay(msg)), {
+            exportFormat: 'telegram-json',
+            dateOrder: { order: null, confidence: 1, source: 'format' },
+            locale: 'en',
+            timeZone,
+            displayTimeZone,
+            exporter,
+            diagnostics
+        });
+    },
+
+    /**
+     * Convert one Telegram message into a WhatsApp2PDF message
+     * @returns {Object|null} Message (id assigned by the caller), or null to skip it
+     */
+    convertMessage(raw, mediaFiles, timeZone, diagnostics) {
+        const P = WhatsAppParser;
+        const timestamp = this.parseDate(raw, timeZone);
+
+        if (raw.type === 'service') {
+            return this.convertService(raw, timestamp, diagnostics);
+        }
+        if (raw.type !== 'message') {
+            P.recordDiagnostic(diagnostics, 'unparsedLines', {
+                line: null,
+                text: JSON.stringify(raw).slice(0, 200),
+                reason: `Unknown Telegram message type "${raw.type}" - dropped`
+            });
+            return null;
+        }
+
+        let text = this.convertText(raw.text);
+        if (raw.forwarded_from) {
+            text = `_Forwarded from ${raw.forwarded_from}_` + (text ? `\n${text}` : '');
+        }
+
+        const message = {
+            id: null,
+            timestamp,
+            // Telegram writes null for accounts deleted since
+            sender: raw.from || raw.author || 'Deleted Account',
+            rawText: text,
+            text,
+            type: 'text',
+            media: null,
+            isSystem: false,
+            hasQuote: false
+        };
+        if (raw.edited) message.isEdited = true;
+        if (raw.reply_to_message_id !== undefined) message.telegramReplyTo = raw.reply_to_message_id;
+
+        if (raw.poll) {
+            const options = (raw.poll.answers || []).map(answer => ({ text: answer.text, votes: answer.voters || 0 }));
+            message.type = 'poll';
+            message.poll = {
+                question: raw.poll.question || '',
+                options,
+                totalVotes: raw.poll.total_voters !== undefined
+                    ? raw.poll.total_voters
+                    : options.reduce((sum, option) => sum + option.votes, 0)
+            };
+            message.text = message.poll.question;
+        } else if (raw.location_information) {
+            const { latitude, longitude } = raw.location_information;
+            if (raw.live_location_period_seconds) {
+                message.type = 'live_location';
+                message.text = 'Live location';
+            } else {
+                message.type = 'location';
+                message.location = {
+                    name: [raw.place_name, raw.address].filter(Boolean).join(', ') || null,
+                    latitude,
+                    longitude,
+                    url: `https://maps.google.com/?q=${latitude},${longitude}`
+                };
+                message.text = message.location.name || '';
+            }
+        } else if (raw.contact_information) {
+            const info = raw.contact_information;
+            message.type = 'contact';
+            message.contact = {
+                name: [info.first_name, info.last_name].filter(Boolean).join(' ') || info.phone_number || 'Contact',
+                phones: info.phone_number ? [info.phone_number] : [],
+                emails: [],
+                organization: null
+            };
+            message.media = this.resolveMedia(raw.contact_vcard, 'contact', mediaFiles);
+        } else if (raw.photo || raw.file) {
+            this.attachMedia(message, raw, mediaFiles);
+        }
+
+        return message;
+    },
+
+    /**
+     * Fill in media fields for a photo or file message
+     */
+    attachMedia(message, raw, mediaFiles) {
+        const path = raw.photo || raw.file;
+
+        if (this.NOT_INCLUDED.test(path)) {
+            const isDocument = !raw.photo && !this.MEDIA_TYPES[raw.media_type];
+            message.type = isDocument ? 'document_omitted' : 'media_omitted';
+            message.media = {
+                filename: raw.file_name || null,
+                type: isDocument ? 'document' : 'omitted',
+                extension: raw.file_name ? raw.file_name.split('.').pop().toLowerCase() : null,
+                key: null,
+                hasData: false
+            };
+            if (isDocument && raw.file_name) message.text = [raw.file_name, message.text].filter(Boolean).join('\n');
+            return;
+        }
+
+        const extension = path.split('.').pop().toLowerCase();
+        const type = raw.photo ? 'image' : this.MEDIA_TYPES[raw.media_type] || WhatsAppParser.getMediaType(extension);
+        message.media = this.resolveMedia(path, type, mediaFiles);
+
+        // Animated stickers (.tgs) can't be shown - keep them as a file
+        if (extension === 'tgs') message.media.type = 'file';
+        if (raw.file_name) message.media.displayName = raw.file_name;
+        message.type = 'media';
+    },
+
+    /**
+     * Media record for a path from the export (files are matched by name)
+     */
+    resolveMedia(path, type, mediaFiles) {
+        if (!path || this.NOT_INCLUDED.test(path)) {
+            return { filename: null, type, extension: null, key: null, hasData: false };
+        }
+        const filename = path.split('/').pop();
+        const match = WhatsAppParser.matchMediaFile(filename, mediaFiles);
+        const handle = match ? match.handle : null;
+        return {
+            filename,
+            type,
+            extension: filename.split('.').pop().toLowerCase(),
+            key: handle ? handle.key : null,
+            hasData: !!handle,
+            match: match ? { method: match.method, candidates: match.candidates } : null
+        };
+    },
+
+    /**
+     * Convert a service message (group changes, calls, pins)
+     */
+    convertService(raw, timestamp, diagnostics) {
+        const actor = raw.actor || raw.from || null;
+        const members = Array.isArray(raw.members) ? raw.members.filter(Boolean) : [];
+        const system = (event, text) => ({
+            id: null,
+            timestamp,
+            sender: 'System',
+            rawText: text,
+            text,
+            type: 'system',
+            media: null,
+            isSystem: true,
+            event: { actor, targets: [], ...event }
+        });
+
+        switch (raw.action) {
+            case 'create_group':
+            case 'create_channel':
+                return system({ event: 'group_created', subject: raw.title }, `${actor} created group "${raw.title || ''}"`);
+            case 'invite_members':
+                return system({ event: 'member_added', targets: members }, `${actor} added ${members.join(', ')}`);
+            case 'remove_members':
+                // Telegram records leaving as removing yourself
+                if (members.length === 1 && members[0] === actor) {
+                    return system({ event: 'member_left' }, `${actor} left`);
+                }
+                return system({ event: 'member_removed', targets: members }, `${actor} removed ${members.join(', ')}`);
+            case 'join_group_by_link':
+            case 'join_group_by_request':
+                return system({ event: 'member_joined' }, `${actor} joined using an invite link`);
+            case 'edit_group_title':
+                return system({ event: 'subject_changed', newSubject: raw.title }, `${actor} changed the group name to "${raw.title || ''}"`);
+            case 'edit_group_photo':
+            case 'delete_group_photo':
+                return system({ event: 'icon_changed' }, `${actor} changed this group's icon`);
+            case 'pin_message':
+                return system({ event: 'message_pinned' }, `${actor} pinned a message`);
+            case 'phone_call':
+            case 'group_call': {
+                const missed = ['missed', 'busy'].includes(raw.discard_reason);
+                const kind = raw.action === 'group_call' ? 'Group call' : 'Voice call';
+                const minutes = raw.duration_seconds ? `, ${Math.max(1, Math.round(raw.duration_seconds / 60))} min` : '';
+                const text = missed ? `Missed ${kind.toLowerCase()}` : `${kind}${minutes}`;
+                return {
+                    id: null,
+                    timestamp,
+                    sender: actor || 'Unknown',
+                    rawText: text,
+                    text,
+                    type: missed ? 'missed_call' : 'call',
+                    media: null,
+                    isSystem: false,
+                    hasQuote: false
+                };
+            }
+            default: {
+                const action = (raw.action || 'action').replace(/_/g, ' ');
+                WhatsAppParser.recordDiagnostic(diagnostics, 'decisions', {
+                    kind: 'service_action',
+                    line: null,
+                    messageId: null,
+                    detail: `Telegram "${raw.action}" shown as a generic notice`
+                });
+                return system({ event: 'other' }, actor ? `${actor}: ${action}` : action);
+            }
+        }
+    },
+
+    /**
+     * Flatten Telegram text (a string or an array of strings and entities)
+     * into WhatsApp-style markup the renderer and exporters understand
+     */
+    convertText(text) {
+        if (typeof text === 'string') return text;
+        if (!Array.isArray(text)) return '';
+
+        return text.map(part => {
+            if (typeof part === 'string') return part;
+            const markup = this.ENTITY_MARKUP[part.type];
+            if (markup) return `${markup[0]}${part.text}${markup[1]}`;
+            if (part.type === 'text_link' && part.href && part.href !== part.text) return `${part.text} (${part.href})`;
+            return part.text || '';
+        }).join('');
+    },
+
+    /**
+     * Timestamp of a message: date_unixtime when present, else the local
+     * "YYYY-MM-DDTHH:MM:SS" read in the source zone
+     */
+    parseDate(raw, timeZone) {
+        if (raw.date_unixtime) return new Date(parseInt(raw.date_unixtime, 10) * 1000);
+
+        const match = (raw.date || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return null;
+        return WhatsAppParser.zonedTimeToInstant(match.slice(1).map(n => parseInt(n, 10)), timeZone);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TelegramImporter;
+}